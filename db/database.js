@@ -60,6 +60,130 @@ async function initDatabase() {
       END $$;
     `);
     
+    // Bulk posting jobs - processed by the server-side worker (utils/jobs.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        delay_from INTEGER NOT NULL DEFAULT 0,
+        delay_up_to INTEGER NOT NULL DEFAULT 0,
+        next_run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP DEFAULT NULL,
+        finished_at TIMESTAMP DEFAULT NULL
+      )
+    `);
+
+    // One row per post in a job, in posting order
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS job_items (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        post JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        result JSONB DEFAULT NULL,
+        error TEXT DEFAULT NULL,
+        started_at TIMESTAMP DEFAULT NULL,
+        finished_at TIMESTAMP DEFAULT NULL
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS job_items_job_id_idx ON job_items (job_id, position)');
+    // Posting options for the whole job, e.g. { resubmit: true }
+    await pool.query(`ALTER TABLE jobs ADD COLUMN IF NOT EXISTS options JSONB NOT NULL DEFAULT '{}'`);
+    await pool.query('ALTER TABLE job_items ADD COLUMN IF NOT EXISTS error_code VARCHAR(50) DEFAULT NULL');
+    await pool.query('ALTER TABLE job_items ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0');
+
+    // Every submission made through uploadPost(), successful or not.
+    // Kept when the account or job is deleted.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS submissions (
+        id SERIAL PRIMARY KEY,
+        account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+        job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL,
+        subreddit VARCHAR(255) NOT NULL,
+        title TEXT DEFAULT NULL,
+        url TEXT DEFAULT NULL,
+        flair_id VARCHAR(255) DEFAULT NULL,
+        flair_text VARCHAR(255) DEFAULT NULL,
+        kind VARCHAR(20) DEFAULT NULL,
+        reddit_id VARCHAR(20) DEFAULT NULL,
+        fullname VARCHAR(30) DEFAULT NULL,
+        permalink TEXT DEFAULT NULL,
+        status VARCHAR(20) NOT NULL,
+        error_code VARCHAR(50) DEFAULT NULL,
+        error TEXT DEFAULT NULL,
+        attempts INTEGER DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        submitted_at TIMESTAMP DEFAULT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS submissions_account_id_idx ON submissions (account_id, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS submissions_created_at_idx ON submissions (created_at)');
+
+    // What happened to a post after Reddit accepted it (see utils/tracker.js)
+    await pool.query(`
+      ALTER TABLE submissions
+        ADD COLUMN IF NOT EXISTS reddit_status VARCHAR(20) DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS removed_by_category VARCHAR(50) DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS is_removed BOOLEAN DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS is_spam BOOLEAN DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS is_visible BOOLEAN DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS status_checked_at TIMESTAMP DEFAULT NULL
+    `);
+
+    // Engagement snapshots taken by the status checker, plus the latest values on the submission
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS submission_metrics (
+        id SERIAL PRIMARY KEY,
+        submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+        score INTEGER DEFAULT NULL,
+        upvote_ratio REAL DEFAULT NULL,
+        num_comments INTEGER DEFAULT NULL,
+        collected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS submission_metrics_submission_id_idx ON submission_metrics (submission_id, collected_at)');
+    await pool.query(`
+      ALTER TABLE submissions
+        ADD COLUMN IF NOT EXISTS score INTEGER DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS upvote_ratio REAL DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS num_comments INTEGER DEFAULT NULL
+    `);
+
+    // Per-account defaults for post options (nsfw, spoiler, oc, sendreplies)
+    await pool.query(`ALTER TABLE accounts ADD COLUMN IF NOT EXISTS post_defaults JSONB NOT NULL DEFAULT '{}'`);
+
+    // Self-post text as submitted (and edited later), and when the post was edited or deleted from the app
+    await pool.query(`
+      ALTER TABLE submissions
+        ADD COLUMN IF NOT EXISTS body TEXT DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP DEFAULT NULL
+    `);
+
+    // The post a crosspost shared (t3_...)
+    await pool.query('ALTER TABLE submissions ADD COLUMN IF NOT EXISTS crosspost_fullname VARCHAR(30) DEFAULT NULL');
+
+    // The first comment posted under a new post, and what came of it
+    await pool.query(`
+      ALTER TABLE submissions
+        ADD COLUMN IF NOT EXISTS comment TEXT DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS comment_id VARCHAR(20) DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS comment_error_code VARCHAR(50) DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS comment_error TEXT DEFAULT NULL
+    `);
+
+    // The link as the duplicate guard compares it (see normalizeUrl in utils/duplicates.js)
+    await pool.query('ALTER TABLE submissions ADD COLUMN IF NOT EXISTS normalized_url TEXT DEFAULT NULL');
+    await pool.query('CREATE INDEX IF NOT EXISTS submissions_normalized_url_idx ON submissions (account_id, normalized_url)');
+    await pool.query('CREATE INDEX IF NOT EXISTS submissions_crosspost_fullname_idx ON submissions (account_id, crosspost_fullname)');
+    
     console.log('Database initialized successfully');
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -117,6 +241,34 @@ async function updateAccount(id, name, client_id, client_secret, refresh_token,
   }
 }
 
+// Save a new refresh token for an account (Reddit may rotate it on refresh)
+async function updateRefreshToken(id, refresh_token) {
+  try {
+    const result = await pool.query(
+      'UPDATE accounts SET refresh_token = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [refresh_token, id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error updating refresh token:', error);
+    throw error;
+  }
+}
+
+// Save an account's defaults for post options
+async function updatePostDefaults(id, post_defaults) {
+  try {
+    const result = await pool.query(
+      'UPDATE accounts SET post_defaults = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [JSON.stringify(post_defaults), id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error updating post defaults:', error);
+    throw error;
+  }
+}
+
 // Delete account
 async function deleteAccount(id) {
   try {
@@ -128,6 +280,682 @@ async function deleteAccount(id) {
   }
 }
 
+// Create a job with one item per post
+async function createJob(account_id, posts, delay_from = 0, delay_up_to = 0, options = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const jobResult = await client.query(
+      'INSERT INTO jobs (account_id, delay_from, delay_up_to, options) VALUES ($1, $2, $3, $4) RETURNING *',
+      [account_id, delay_from, delay_up_to, JSON.stringify(options)]
+    );
+    const job = jobResult.rows[0];
+    
+    for (let i = 0; i < posts.length; i++) {
+      await client.query(
+        'INSERT INTO job_items (job_id, position, post) VALUES ($1, $2, $3)',
+        [job.id, i, JSON.stringify(posts[i])]
+      );
+    }
+    
+    await client.query('COMMIT');
+    return job;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating job:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Get job by ID, including its items
+async function getJobById(id) {
+  try {
+    const jobResult = await pool.query(
+      `SELECT *, GREATEST(0, CEIL(EXTRACT(EPOCH FROM (next_run_at - CURRENT_TIMESTAMP))))::int AS wait_seconds FROM jobs WHERE id = $1`,
+      [id]
+    );
+    const job = jobResult.rows[0];
+    if (!job) {
+      return null;
+    }
+    
+    const itemsResult = await pool.query('SELECT * FROM job_items WHERE job_id = $1 ORDER BY position ASC', [id]);
+    job.items = itemsResult.rows;
+    return job;
+  } catch (error) {
+    console.error('Error getting job:', error);
+    throw error;
+  }
+}
+
+// Just the status of a job, for checks between retries
+async function getJobStatus(id) {
+  try {
+    const result = await pool.query('SELECT status FROM jobs WHERE id = $1', [id]);
+    return result.rows[0]?.status || null;
+  } catch (error) {
+    console.error('Error getting job status:', error);
+    throw error;
+  }
+}
+
+// Get latest jobs with item counts per status
+async function getJobs(limit = 20) {
+  try {
+    const result = await pool.query(`
+      SELECT jobs.*,
+        COUNT(job_items.id)::int AS total,
+        COUNT(job_items.id) FILTER (WHERE job_items.status = 'pending')::int AS pending,
+        COUNT(job_items.id) FILTER (WHERE job_items.status = 'posted')::int AS posted,
+        COUNT(job_items.id) FILTER (WHERE job_items.status = 'failed')::int AS failed,
+        COUNT(job_items.id) FILTER (WHERE job_items.status = 'skipped')::int AS skipped
+      FROM jobs
+      LEFT JOIN job_items ON job_items.job_id = jobs.id
+      GROUP BY jobs.id
+      ORDER BY jobs.id DESC
+      LIMIT $1
+    `, [limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting jobs:', error);
+    throw error;
+  }
+}
+
+// Count the items of a job per status
+async function getJobItemCounts(job_id) {
+  try {
+    const result = await pool.query(
+      `SELECT
+        COUNT(*)::int AS total,
+        COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+        COUNT(*) FILTER (WHERE status = 'posting')::int AS posting,
+        COUNT(*) FILTER (WHERE status = 'posted')::int AS posted,
+        COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+        COUNT(*) FILTER (WHERE status = 'skipped')::int AS skipped
+      FROM job_items WHERE job_id = $1`,
+      [job_id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error counting job items:', error);
+    throw error;
+  }
+}
+
+// Get jobs that are ready to post their next item
+async function getDueJobs() {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM jobs WHERE status IN ('pending', 'running') AND next_run_at <= CURRENT_TIMESTAMP ORDER BY next_run_at ASC`
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting due jobs:', error);
+    throw error;
+  }
+}
+
+// Get the next item of a job that still has to be posted
+async function getNextJobItem(job_id) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM job_items WHERE job_id = $1 AND status = 'pending' ORDER BY position ASC LIMIT 1`,
+      [job_id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error getting next job item:', error);
+    throw error;
+  }
+}
+
+// Update the status of an active job, setting started_at/finished_at as it moves on.
+// Returns nothing if the job was paused or cancelled in the meantime.
+async function updateJobStatus(id, status) {
+  try {
+    const result = await pool.query(
+      `UPDATE jobs SET status = $1::varchar,
+        started_at = CASE WHEN $1 = 'running' THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
+        finished_at = CASE WHEN $1 IN ('completed', 'cancelled') THEN CURRENT_TIMESTAMP ELSE finished_at END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND status IN ('pending', 'running') RETURNING *`,
+      [status, id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error updating job status:', error);
+    throw error;
+  }
+}
+
+// Schedule the next post of an active job
+async function setJobNextRun(id, delaySeconds) {
+  try {
+    const result = await pool.query(
+      `UPDATE jobs SET next_run_at = CURRENT_TIMESTAMP + ($1 || ' seconds')::interval, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND status IN ('pending', 'running') RETURNING *`,
+      [String(delaySeconds), id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error scheduling job:', error);
+    throw error;
+  }
+}
+
+// Pause a job - the post being submitted right now still finishes
+async function pauseJob(id) {
+  try {
+    const result = await pool.query(
+      `UPDATE jobs SET status = 'paused', updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND status IN ('pending', 'running') RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error pausing job:', error);
+    throw error;
+  }
+}
+
+// Resume a paused job, keeping whatever is left of the delay before its next post
+async function resumeJob(id) {
+  try {
+    const result = await pool.query(
+      `UPDATE jobs SET status = CASE WHEN started_at IS NULL THEN 'pending' ELSE 'running' END,
+        next_run_at = GREATEST(next_run_at, CURRENT_TIMESTAMP),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'paused' RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error resuming job:', error);
+    throw error;
+  }
+}
+
+// Cancel a job and skip all of its posts that weren't submitted yet
+async function cancelJob(id) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('pending', 'running', 'paused') RETURNING *`,
+      [id]
+    );
+    const job = result.rows[0];
+    
+    if (job) {
+      await client.query(
+        `UPDATE job_items SET status = 'skipped', finished_at = CURRENT_TIMESTAMP WHERE job_id = $1 AND status = 'pending'`,
+        [id]
+      );
+    }
+    
+    await client.query('COMMIT');
+    return job;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error cancelling job:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Mark a job item as being posted. Returns nothing if the item was skipped
+// or its job was paused or cancelled in the meantime.
+async function startJobItem(id) {
+  try {
+    const result = await pool.query(
+      `UPDATE job_items SET status = 'posting', started_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'pending'
+        AND EXISTS (SELECT 1 FROM jobs WHERE jobs.id = job_items.job_id AND jobs.status IN ('pending', 'running'))
+      RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error starting job item:', error);
+    throw error;
+  }
+}
+
+// Record the outcome of a job item
+async function updateJobItem(id, status, result = null, error = null, error_code = null, attempts = null) {
+  try {
+    const queryResult = await pool.query(
+      `UPDATE job_items SET status = $1, result = $2, error = $3, error_code = $4, attempts = COALESCE($5, attempts), finished_at = CURRENT_TIMESTAMP
+      WHERE id = $6 RETURNING *`,
+      [status, result ? JSON.stringify(result) : null, error, error_code, attempts, id]
+    );
+    return queryResult.rows[0];
+  } catch (error) {
+    console.error('Error updating job item:', error);
+    throw error;
+  }
+}
+
+// Put an item back in the queue (e.g. after a rate limit), keeping the reason
+async function rescheduleJobItem(id, error = null, error_code = null) {
+  try {
+    const result = await pool.query(
+      `UPDATE job_items SET status = 'pending', error = $1, error_code = $2, started_at = NULL
+      WHERE id = $3 AND status = 'posting' RETURNING *`,
+      [error, error_code, id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error rescheduling job item:', error);
+    throw error;
+  }
+}
+
+// Items still marked as posting were interrupted by a restart - we can't know
+// whether Reddit accepted them, so fail them instead of posting twice
+async function failInterruptedJobItems() {
+  try {
+    const result = await pool.query(
+      `UPDATE job_items SET status = 'failed', error = 'Interrupted by server restart. Check Reddit before posting it again.', error_code = 'INTERRUPTED', finished_at = CURRENT_TIMESTAMP
+      WHERE status = 'posting' RETURNING *`
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error failing interrupted job items:', error);
+    throw error;
+  }
+}
+
+// Record a submission (see uploadPost/submitPost in utils/reddit.js)
+async function addSubmission(submission) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO submissions (account_id, job_id, subreddit, title, url, flair_id, flair_text, kind,
+        reddit_id, fullname, permalink, status, error_code, error, attempts, created_at, submitted_at, body, crosspost_fullname,
+        comment, comment_id, comment_error_code, comment_error, normalized_url)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, COALESCE($16, CURRENT_TIMESTAMP), $17, $18, $19,
+        $20, $21, $22, $23, $24)
+      RETURNING *`,
+      [
+        submission.account_id,
+        submission.job_id || null,
+        submission.subreddit,
+        submission.title || null,
+        submission.url || null,
+        submission.flair_id || null,
+        submission.flair_text || null,
+        submission.kind || null,
+        submission.reddit_id || null,
+        submission.fullname || null,
+        submission.permalink || null,
+        submission.status,
+        submission.error_code || null,
+        submission.error || null,
+        submission.attempts || 1,
+        submission.created_at || null,
+        submission.submitted_at || null,
+        submission.body || null,
+        submission.crosspost_fullname || null,
+        submission.comment || null,
+        submission.comment_id || null,
+        submission.comment_error_code || null,
+        submission.comment_error || null,
+        submission.normalized_url || null
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error adding submission:', error);
+    throw error;
+  }
+}
+
+// Submission history, newest first. Filters: account_id, subreddit, status,
+// from/to (created_at), fullnames, limit/offset. Returns { submissions, total }.
+async function getSubmissions({ account_id, subreddit, status, from, to, fullnames, limit = 50, offset = 0 } = {}) {
+  try {
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (account_id) addCondition('submissions.account_id = ?', account_id);
+    if (subreddit) addCondition('LOWER(submissions.subreddit) = LOWER(?)', subreddit);
+    if (status) addCondition('submissions.status = ?', status);
+    if (from) addCondition('submissions.created_at >= ?', from);
+    if (to) addCondition('submissions.created_at <= ?', to);
+    if (fullnames && fullnames.length > 0) addCondition('submissions.fullname = ANY(?)', fullnames);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM submissions ${where}`, params);
+    const result = await pool.query(
+      `SELECT submissions.*, accounts.name AS account_name
+      FROM submissions
+      LEFT JOIN accounts ON accounts.id = submissions.account_id
+      ${where}
+      ORDER BY submissions.created_at DESC, submissions.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return { submissions: result.rows, total: countResult.rows[0].total };
+  } catch (error) {
+    console.error('Error getting submissions:', error);
+    throw error;
+  }
+}
+
+// Posted submissions whose Reddit status is due for a check: young posts every
+// few minutes, older ones less often, nothing older than `hours`.
+// Deleted posts don't come back, so they're left alone.
+async function getSubmissionsToCheck(hours, limit = 500) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM submissions
+      WHERE status = 'posted' AND fullname IS NOT NULL AND account_id IS NOT NULL
+        AND submitted_at > CURRENT_TIMESTAMP - ($1 || ' hours')::interval
+        AND reddit_status IS DISTINCT FROM 'deleted'
+        AND (status_checked_at IS NULL OR status_checked_at < CURRENT_TIMESTAMP - CASE
+          WHEN submitted_at > CURRENT_TIMESTAMP - interval '1 hour' THEN interval '5 minutes'
+          WHEN submitted_at > CURRENT_TIMESTAMP - interval '1 day' THEN interval '30 minutes'
+          ELSE interval '2 hours'
+        END)
+      ORDER BY status_checked_at ASC NULLS FIRST
+      LIMIT $2`,
+      [String(hours), limit]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting submissions to check:', error);
+    throw error;
+  }
+}
+
+// Save the result of a status check
+async function updateSubmissionStatus(id, { reddit_status, removed_by_category, is_removed, is_spam, is_visible }) {
+  try {
+    const result = await pool.query(
+      `UPDATE submissions SET reddit_status = $1, removed_by_category = $2, is_removed = $3, is_spam = $4, is_visible = $5,
+        status_checked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6 RETURNING *`,
+      [reddit_status, removed_by_category, is_removed, is_spam, is_visible, id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error updating submission status:', error);
+    throw error;
+  }
+}
+
+// The post was deleted on Reddit from the app - the status checker leaves deleted posts alone
+async function markSubmissionDeleted(id) {
+  try {
+    const result = await pool.query(
+      `UPDATE submissions SET reddit_status = 'deleted', is_visible = false,
+        deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error marking submission deleted:', error);
+    throw error;
+  }
+}
+
+async function updateSubmissionBody(id, body) {
+  try {
+    const result = await pool.query(
+      `UPDATE submissions SET body = $1, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 RETURNING *`,
+      [body, id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error updating submission body:', error);
+    throw error;
+  }
+}
+
+// Save an engagement snapshot and keep the latest values on the submission
+async function addSubmissionMetrics(submission_id, { score, upvote_ratio, num_comments }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO submission_metrics (submission_id, score, upvote_ratio, num_comments)
+      VALUES ($1, $2, $3, $4) RETURNING *`,
+      [submission_id, score, upvote_ratio, num_comments]
+    );
+    await client.query(
+      'UPDATE submissions SET score = $1, upvote_ratio = $2, num_comments = $3 WHERE id = $4',
+      [score, upvote_ratio, num_comments, submission_id]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error adding submission metrics:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getSubmissionById(id) {
+  try {
+    const result = await pool.query(
+      `SELECT submissions.*, accounts.name AS account_name
+      FROM submissions LEFT JOIN accounts ON accounts.id = submissions.account_id
+      WHERE submissions.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error getting submission:', error);
+    throw error;
+  }
+}
+
+// Engagement snapshots of a submission, oldest first
+async function getSubmissionMetrics(submission_id) {
+  try {
+    const result = await pool.query(
+      `SELECT score, upvote_ratio, num_comments, collected_at FROM submission_metrics
+      WHERE submission_id = $1 ORDER BY collected_at ASC`,
+      [submission_id]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting submission metrics:', error);
+    throw error;
+  }
+}
+
+// Engagement totals of posted submissions (latest snapshot of each), grouped
+// by 'subreddit' or 'account'. Filters: account_id, from/to (created_at).
+async function getMetricsTotals(groupBy, { account_id, from, to } = {}) {
+  try {
+    const conditions = ["submissions.status = 'posted'"];
+    const params = [];
+    if (account_id) {
+      params.push(account_id);
+      conditions.push(`submissions.account_id = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`submissions.created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`submissions.created_at <= $${params.length}`);
+    }
+
+    const group = groupBy === 'account'
+      ? { select: 'submissions.account_id, accounts.name AS account_name', by: 'submissions.account_id, accounts.name' }
+      : { select: 'LOWER(submissions.subreddit) AS subreddit', by: 'LOWER(submissions.subreddit)' };
+
+    const result = await pool.query(`
+      SELECT ${group.select},
+        COUNT(*)::int AS posts,
+        COUNT(submissions.score)::int AS tracked_posts,
+        COALESCE(SUM(submissions.score), 0)::int AS total_score,
+        COALESCE(SUM(submissions.num_comments), 0)::int AS total_comments,
+        ROUND(AVG(submissions.score)::numeric, 1)::float AS avg_score,
+        ROUND(AVG(submissions.num_comments)::numeric, 1)::float AS avg_comments,
+        ROUND(AVG(submissions.upvote_ratio)::numeric, 3)::float AS avg_upvote_ratio,
+        COUNT(*) FILTER (WHERE submissions.reddit_status IN ('removed', 'spam'))::int AS removed_posts
+      FROM submissions
+      LEFT JOIN accounts ON accounts.id = submissions.account_id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY ${group.by}
+      ORDER BY total_score DESC
+    `, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting metrics totals:', error);
+    throw error;
+  }
+}
+
+// Posting outcomes for the analytics view. Filters: account_id, from/to
+// (created_at); volume is grouped by `interval` ('day', 'week' or 'month').
+// Engagement medians use each post's latest snapshot.
+async function getAnalytics({ account_id, from, to, interval = 'day' } = {}) {
+  try {
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (account_id) addCondition('submissions.account_id = ?', account_id);
+    if (from) addCondition('submissions.created_at >= ?', from);
+    if (to) addCondition('submissions.created_at <= ?', to);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const outcomes = `
+      COUNT(*)::int AS total,
+      COUNT(*) FILTER (WHERE submissions.status = 'posted')::int AS posted,
+      COUNT(*) FILTER (WHERE submissions.status = 'failed')::int AS failed,
+      COUNT(*) FILTER (WHERE submissions.reddit_status IN ('removed', 'spam'))::int AS removed`;
+
+    const totals = await pool.query(`SELECT ${outcomes} FROM submissions ${where}`, params);
+
+    const byAccount = await pool.query(`
+      SELECT submissions.account_id, accounts.name AS account_name, ${outcomes}
+      FROM submissions
+      LEFT JOIN accounts ON accounts.id = submissions.account_id
+      ${where}
+      GROUP BY submissions.account_id, accounts.name
+      ORDER BY total DESC
+    `, params);
+
+    const bySubreddit = await pool.query(`
+      SELECT LOWER(submissions.subreddit) AS subreddit, ${outcomes}
+      FROM submissions ${where}
+      GROUP BY LOWER(submissions.subreddit)
+      ORDER BY total DESC
+    `, params);
+
+    const failureReasons = await pool.query(`
+      SELECT COALESCE(submissions.error_code, 'UNKNOWN') AS error_code, COUNT(*)::int AS count
+      FROM submissions
+      WHERE submissions.status = 'failed' ${conditions.length > 0 ? `AND ${conditions.join(' AND ')}` : ''}
+      GROUP BY 1
+      ORDER BY count DESC
+    `, params);
+
+    const volume = await pool.query(`
+      SELECT date_trunc($${params.length + 1}, submissions.created_at) AS period,
+        COUNT(*) FILTER (WHERE submissions.status = 'posted')::int AS posted,
+        COUNT(*) FILTER (WHERE submissions.status = 'failed')::int AS failed
+      FROM submissions ${where}
+      GROUP BY 1
+      ORDER BY 1 ASC
+    `, [...params, interval]);
+
+    const engagement = await pool.query(`
+      SELECT LOWER(submissions.subreddit) AS subreddit,
+        COUNT(*)::int AS posts,
+        ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY submissions.score)::numeric, 1)::float AS median_score,
+        ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY submissions.num_comments)::numeric, 1)::float AS median_comments,
+        ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY submissions.upvote_ratio)::numeric, 3)::float AS median_upvote_ratio
+      FROM submissions
+      WHERE submissions.status = 'posted' AND submissions.score IS NOT NULL
+        ${conditions.length > 0 ? `AND ${conditions.join(' AND ')}` : ''}
+      GROUP BY LOWER(submissions.subreddit)
+      ORDER BY median_score DESC
+    `, params);
+
+    return {
+      totals: totals.rows[0],
+      byAccount: byAccount.rows,
+      bySubreddit: bySubreddit.rows,
+      failureReasons: failureReasons.rows,
+      volume: volume.rows,
+      engagement: engagement.rows
+    };
+  } catch (error) {
+    console.error('Error getting analytics:', error);
+    throw error;
+  }
+}
+
+// The newest successful submission of an account to a subreddit with the
+// normalized link or crossposting the post (pass one of them), or null
+async function findPostedSubmission(account_id, subreddit, { normalized_url = null, crosspost_fullname = null }) {
+  try {
+    const column = crosspost_fullname ? 'crosspost_fullname' : 'normalized_url';
+    const result = await pool.query(
+      `SELECT * FROM submissions
+      WHERE account_id = $1 AND ${column} = $2 AND LOWER(subreddit) = LOWER($3) AND status = 'posted'
+      ORDER BY created_at DESC
+      LIMIT 1`,
+      [account_id, crosspost_fullname || normalized_url, subreddit]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding posted submission:', error);
+    throw error;
+  }
+}
+
+// Up to limit submissions with a link but no normalized_url (recorded before
+// the column existed), by id after afterId
+async function getSubmissionsWithoutNormalizedUrl(afterId, limit = 500) {
+  try {
+    const result = await pool.query(
+      `SELECT id, url FROM submissions
+      WHERE id > $1 AND url IS NOT NULL AND normalized_url IS NULL
+      ORDER BY id ASC
+      LIMIT $2`,
+      [afterId, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting submissions without normalized url:', error);
+    throw error;
+  }
+}
+
+async function setNormalizedUrl(id, normalized_url) {
+  try {
+    await pool.query('UPDATE submissions SET normalized_url = $1 WHERE id = $2', [normalized_url, id]);
+  } catch (error) {
+    console.error('Error setting normalized url:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   pool,
   initDatabase,
@@ -135,6 +963,38 @@ module.exports = {
   getAccountById,
   addAccount,
   updateAccount,
-  deleteAccount
+  updateRefreshToken,
+  updatePostDefaults,
+  deleteAccount,
+  createJob,
+  getJobById,
+  getJobStatus,
+  getJobs,
+  getJobItemCounts,
+  getDueJobs,
+  getNextJobItem,
+  updateJobStatus,
+  setJobNextRun,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  startJobItem,
+  updateJobItem,
+  rescheduleJobItem,
+  addSubmission,
+  getSubmissions,
+  findPostedSubmission,
+  getSubmissionsWithoutNormalizedUrl,
+  setNormalizedUrl,
+  getSubmissionsToCheck,
+  updateSubmissionStatus,
+  addSubmissionMetrics,
+  getSubmissionById,
+  markSubmissionDeleted,
+  updateSubmissionBody,
+  getSubmissionMetrics,
+  getMetricsTotals,
+  getAnalytics,
+  failInterruptedJobItems
 };
 
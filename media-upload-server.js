@@ -0,0 +1,70 @@
+// Local stand-in for Reddit's media upload target (S3), to test image and
+// video posts without uploading anything to Reddit's storage:
+//
+//   node media-upload-server.js
+//   REDDIT_MEDIA_UPLOAD_URL=http://localhost:8090 npm start
+//
+// Reddit still hands out the upload lease (/api/media/asset.json); the app then
+// sends the bytes here instead. Uploads are kept in uploads/media-stand-in and
+// served back under their key.
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+const PORT = process.env.MEDIA_UPLOAD_PORT || 8090;
+const STORAGE_DIR = path.join(__dirname, 'uploads', 'media-stand-in');
+// Uploads are written here as they arrive, then moved under their key
+const INCOMING_DIR = path.join(STORAGE_DIR, '.incoming');
+// Reddit's limit for videos (see MAX_SIZE in utils/media.js)
+const MAX_UPLOAD_SIZE = 1024 * 1024 * 1024;
+
+fs.mkdirSync(INCOMING_DIR, { recursive: true });
+
+const app = express();
+const upload = multer({ dest: INCOMING_DIR, limits: { fileSize: MAX_UPLOAD_SIZE } }).single('file');
+
+function sendS3Error(res, code, message) {
+  return res.status(400).type('application/xml').send(`<Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+}
+
+// Same form as the S3 upload: the lease fields, then "file"
+app.post('/', (req, res) => upload(req, res, (error) => {
+  if (error) {
+    console.log(`❌ Rejected upload: ${error.message}`);
+    return error.code === 'LIMIT_FILE_SIZE'
+      ? sendS3Error(res, 'EntityTooLarge', `Your proposed upload exceeds the maximum allowed size of ${MAX_UPLOAD_SIZE} bytes`)
+      : sendS3Error(res, 'InvalidArgument', error.message);
+  }
+
+  const key = req.body.key;
+  if (!key || !req.file) {
+    console.log('❌ Rejected upload: missing key or file');
+    if (req.file) {
+      fs.unlinkSync(req.file.path);
+    }
+    return sendS3Error(res, 'InvalidArgument', 'Missing key or file');
+  }
+
+  const target = path.join(STORAGE_DIR, key.replace(/[^\w.-]+/g, '_'));
+  fs.renameSync(req.file.path, target);
+  console.log(`✅ Stored ${req.file.originalname} (${req.file.mimetype}, ${req.file.size} bytes) as ${key}`);
+
+  const location = `http://localhost:${PORT}/${key}`;
+  res.status(parseInt(req.body.success_action_status) || 201).type('application/xml').send(
+    `<?xml version="1.0" encoding="UTF-8"?><PostResponse><Location>${location}</Location><Key>${key}</Key></PostResponse>`
+  );
+}));
+
+app.get('/*', (req, res) => {
+  const target = path.join(STORAGE_DIR, req.params[0].replace(/[^\w.-]+/g, '_'));
+  if (!fs.existsSync(target)) {
+    return res.status(404).end();
+  }
+  res.sendFile(target);
+});
+
+app.listen(PORT, () => {
+  console.log(`\n✅ Media upload stand-in running on http://localhost:${PORT}`);
+  console.log(`Start the app with REDDIT_MEDIA_UPLOAD_URL=http://localhost:${PORT} to upload here.\n`);
+});
@@ -1,6 +1,24 @@
 let accounts = [];
 let parsedPosts = [];
 let currentAccountId = null;
+// Preflight check results per post id (see checkRequirements)
+let preflightResults = {};
+// Dry run results per post id (see dryRunAll)
+let dryRunResults = {};
+// Reddit fullname of each posted post and its latest tracked status, by post id
+let postedFullnames = {};
+let postStatuses = {};
+// Problems the parser found in the uploaded file, by line (see renderParseDiagnostics)
+let parseDiagnostics = [];
+
+// Post options sent to /api/submit, and Reddit's behaviour when neither the
+// post nor the account sets them (see utils/reddit.js)
+const PostOptions = {
+    nsfw: { label: 'NSFW', default: false },
+    spoiler: { label: 'Spoiler', default: false },
+    oc: { label: 'OC', default: false },
+    sendreplies: { label: 'Send replies to inbox', default: true }
+};
 
 // Error handling utilities
 const ErrorTypes = {
@@ -10,19 +28,59 @@ const ErrorTypes = {
     UNKNOWN: 'unknown'
 };
 
+// How the UI groups the error codes the server returns (the codes are listed
+// in utils/errors.js). Error responses, dry-run problems, job items and
+// history rows all carry just the code, so the grouping lives here.
+const NetworkErrorCodes = ['NETWORK_ERROR', 'PROXY_FAILURE', 'TIMEOUT'];
+const ValidationErrorCodes = [
+    'FLAIR_REQUIRED', 'BAD_FLAIR_TEMPLATE_ID', 'FLAIR_TEXT_WITHOUT_ID', 'INVALID_URL', 'DOMAIN_BANNED',
+    'NO_LINKS', 'NO_SELFS', 'TITLE_INVALID', 'TOO_LONG', 'NO_TEXT', 'ALREADY_SUB', 'INVALID_REQUEST',
+    'MEDIA_NOT_FOUND', 'MEDIA_INVALID', 'CROSSPOST_INVALID'
+];
+
+// Build an Error from an API error response, keeping its code and retry hints
+function apiError(data, fallbackMessage) {
+    const error = new Error(data?.error || fallbackMessage);
+    error.code = data?.code || null;
+    error.retryable = !!data?.retryable;
+    error.retryAfter = data?.retryAfter || null;
+    error.redditResponse = data?.redditResponse;
+    error.attempts = data?.attempts || null;
+    error.fromServer = true;
+    return error;
+}
+
+// Escape text before putting it into innerHTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// Escape text for a double-quoted attribute value
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 function categorizeError(error) {
     if (!error) return ErrorTypes.UNKNOWN;
     
+    // Errors from the server carry a code
+    if (error.code) {
+        if (NetworkErrorCodes.includes(error.code)) return ErrorTypes.NETWORK;
+        if (ValidationErrorCodes.includes(error.code)) return ErrorTypes.VALIDATION;
+        return ErrorTypes.API;
+    }
+    
     // Network errors
     if (error.message?.includes('fetch') || 
         error.message?.includes('network') || 
-        error.message?.includes('Failed to fetch') ||
-        error.code === 'NETWORK_ERROR') {
+        error.message?.includes('Failed to fetch')) {
         return ErrorTypes.NETWORK;
     }
     
     // API errors (from server)
-    if (error.response || error.status || error.error) {
+    if (error.response || error.status || error.error || error.fromServer) {
         return ErrorTypes.API;
     }
     
@@ -77,6 +135,10 @@ document.addEventListener('DOMContentLoaded', () => {
     loadAccounts();
     setupEventListeners();
     loadVersion();
+    resumeActiveJob();
+    
+    // The server checks posted posts for removals in the background - pick up what it found
+    setInterval(refreshPostStatuses, POST_STATUS_REFRESH_INTERVAL);
 });
 
 // Load version from API
@@ -100,7 +162,11 @@ function setupEventListeners() {
     document.getElementById('addAccountBtn').addEventListener('click', openAddAccountModal);
     document.getElementById('closeModalBtn').addEventListener('click', closeAddAccountModal);
     document.getElementById('parseBtn').addEventListener('click', parseFile);
+    document.getElementById('preflightBtn').addEventListener('click', () => checkRequirements());
+    document.getElementById('dryRunBtn').addEventListener('click', dryRunAll);
     document.getElementById('postAllBtn').addEventListener('click', postAll);
+    document.getElementById('pausePostAllBtn').addEventListener('click', pausePostAll);
+    document.getElementById('resumePostAllBtn').addEventListener('click', resumePostAll);
     document.getElementById('cancelPostAllBtn').addEventListener('click', cancelPostAll);
     document.getElementById('clearErrorLogBtn').addEventListener('click', clearErrorLog);
     document.getElementById('downloadExampleBtn').addEventListener('click', downloadExampleTxt);
@@ -124,7 +190,7 @@ function setupEventListeners() {
             }
         } else {
             if (fileLabel) {
-                fileLabel.textContent = 'Choose TXT file...';
+                fileLabel.textContent = 'Choose TXT, CSV, XLSX or JSON file...';
                 fileLabel.style.color = '#64748b';
                 fileLabel.style.fontWeight = '500';
             }
@@ -142,7 +208,30 @@ function setupEventListeners() {
         }
         // Update proxy section when account changes
         updateProxySection();
+        updatePostDefaultsSection();
+        if (parsedPosts.length > 0) displayPosts(parsedPosts);
+        loadHistory(0);
+        loadAnalytics();
+    });
+    
+    // History filters and pagination
+    document.getElementById('historyRefreshBtn').addEventListener('click', () => loadHistory(0));
+    document.getElementById('historyStatus').addEventListener('change', () => loadHistory(0));
+    document.getElementById('historyFrom').addEventListener('change', () => loadHistory(0));
+    document.getElementById('historyTo').addEventListener('change', () => loadHistory(0));
+    document.getElementById('historySubreddit').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') loadHistory(0);
     });
+    document.getElementById('historyPrevBtn').addEventListener('click', () => loadHistory(historyOffset - HISTORY_PAGE_SIZE));
+    document.getElementById('historyNextBtn').addEventListener('click', () => loadHistory(historyOffset + HISTORY_PAGE_SIZE));
+    loadHistory(0);
+    
+    // Analytics filters
+    document.getElementById('analyticsRefreshBtn').addEventListener('click', loadAnalytics);
+    document.getElementById('analyticsFrom').addEventListener('change', loadAnalytics);
+    document.getElementById('analyticsTo').addEventListener('change', loadAnalytics);
+    document.getElementById('analyticsInterval').addEventListener('change', loadAnalytics);
+    loadAnalytics();
     
     // Proxy management event listeners
     document.getElementById('editProxyBtn').addEventListener('click', showProxyEditForm);
@@ -208,6 +297,7 @@ async function loadAccounts(retryCount = 0) {
         updateAccountSelect();
         populateExistingAccounts();
         updateProxySection();
+        updatePostDefaultsSection();
         
         if (retryCount > 0) {
             showToast('Accounts loaded successfully', 'success');
@@ -300,11 +390,32 @@ async function parseFile() {
         
         const data = await response.json();
         parsedPosts = data.posts;
+        parseDiagnostics = data.diagnostics || [];
+        preflightResults = {};
+        dryRunResults = {};
+        postedFullnames = {};
+        postStatuses = {};
+        renderParseDiagnostics();
         displayPosts(parsedPosts);
         document.getElementById('postsSection').style.display = 'block';
         showToast(`Successfully parsed ${parsedPosts.length} posts`, 'success');
     } catch (error) {
         console.error('Error parsing file:', error);
+        // JSON batches that don't match the schema come back with their field errors
+        const fieldErrors = error.response?.data?.errors;
+        if (fieldErrors) {
+            parseDiagnostics = fieldErrors.map(item => ({
+                severity: 'error',
+                line: item.line || null,
+                text: item.path || '(file)',
+                message: `${item.post ? `Post ${item.post}` : 'Batch'}${item.field ? ` · ${item.field}` : ''} ${item.message}`,
+                postId: null
+            }));
+            parsedPosts = [];
+            renderParseDiagnostics();
+            displayPosts(parsedPosts);
+            document.getElementById('postsSection').style.display = 'block';
+        }
         const errorType = categorizeError(error);
         const errorMessage = getErrorMessage(error);
         
@@ -323,6 +434,221 @@ async function parseFile() {
 }
 
 // Display parsed posts
+// Check posts against their subreddits' rules (flair, title, domains, post type)
+// before submitting. Without ids, all parsed posts are checked.
+async function checkRequirements(postIds = null) {
+    if (!currentAccountId) {
+        showToast('Please select an account first', 'warning');
+        return;
+    }
+    
+    const posts = parsedPosts.filter(post => post.hasSubreddit && (!postIds || postIds.includes(post.id)));
+    if (posts.length === 0) return;
+    
+    const button = document.getElementById('preflightBtn');
+    button.classList.add('loading');
+    button.disabled = true;
+    
+    try {
+        const response = await fetch('/api/posts/preflight', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ posts, accountId: currentAccountId })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw apiError(data, 'Failed to check requirements');
+        }
+        
+        data.results.forEach(result => {
+            preflightResults[result.postId] = result;
+        });
+        displayPosts(parsedPosts);
+        
+        if (!postIds) {
+            showToast(data.failed > 0 ? `${data.failed} of ${data.results.length} posts break subreddit rules` : 'All posts meet their subreddit requirements', data.failed > 0 ? 'warning' : 'success', 5000);
+        }
+    } catch (error) {
+        console.error('Error checking requirements:', error);
+        const errorMessage = getErrorMessage(error);
+        addErrorLog('Check Requirements', errorMessage, {
+            accountId: currentAccountId,
+            error,
+            code: error.code || null,
+            type: categorizeError(error)
+        }, () => checkRequirements(postIds));
+        showToast('Error checking requirements: ' + errorMessage, 'error', 5000);
+    } finally {
+        button.classList.remove('loading');
+        button.disabled = false;
+    }
+}
+
+// Run the whole batch through the posting code path without submitting:
+// the server resolves the token, proxy and flairs and returns the exact request
+async function dryRunAll() {
+    if (!currentAccountId) {
+        showToast('Please select an account first', 'warning');
+        return;
+    }
+    if (parsedPosts.length === 0) return;
+    
+    const button = document.getElementById('dryRunBtn');
+    button.classList.add('loading');
+    button.disabled = true;
+    
+    try {
+        const response = await fetch('/api/posts/all', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                posts: parsedPosts,
+                accountId: currentAccountId,
+                dryRun: true,
+                resubmit: document.getElementById('resubmitCheckbox').checked
+            })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw apiError(data, 'Dry run failed');
+        }
+        
+        dryRunResults = {};
+        data.results.forEach(result => {
+            dryRunResults[result.postId] = result;
+        });
+        displayPosts(parsedPosts);
+        
+        // Token and proxy problems affect every post
+        data.problems.forEach(problem => {
+            addErrorLog('Dry Run', problem.message, {
+                accountId: currentAccountId,
+                checks: data.checks,
+                code: problem.code,
+                type: categorizeError({ code: problem.code })
+            });
+        });
+        
+        if (data.ok) {
+            showToast(`Dry run passed: ${data.results.length} posts ready to submit`, 'success', 5000);
+        } else {
+            const accountProblems = data.problems.filter(problem => problem.severity === 'error').length;
+            showToast(`Dry run found problems: ${data.failed} posts${accountProblems > 0 ? `, ${accountProblems} account problems` : ''}`, 'warning', 5000);
+        }
+    } catch (error) {
+        console.error('Error in dry run:', error);
+        const errorMessage = getErrorMessage(error);
+        addErrorLog('Dry Run', errorMessage, {
+            accountId: currentAccountId,
+            error,
+            code: error.code || null,
+            type: categorizeError(error)
+        }, () => dryRunAll());
+        showToast('Dry run failed: ' + errorMessage, 'error', 5000);
+    } finally {
+        button.classList.remove('loading');
+        button.disabled = false;
+    }
+}
+
+// Dry run problems and the request that would be sent, shown under a post
+function renderDryRunResult(post) {
+    const result = dryRunResults[post.id];
+    if (!result) return '';
+    
+    const problems = result.problems.map(problem => {
+        const color = problem.severity === 'error' ? '#dc3545' : '#856404';
+        return `<li style="color: ${color};">${problem.severity === 'error' ? '❌' : '⚠️'} ${escapeHtml(problem.message)} <span style="opacity: 0.7;">(${problem.code})</span></li>`;
+    }).join('');
+    
+    const request = result.request
+        ? `<details style="margin-top: 5px;">
+                <summary style="cursor: pointer; color: #667eea;">Request that would be sent</summary>
+                <div class="error-details">${result.request.method} ${escapeHtml(result.request.url)}\n\n${escapeHtml(JSON.stringify(result.request.payload, null, 2))}</div>
+            </details>`
+        : '';
+    const commentRequest = result.commentRequest
+        ? `<details style="margin-top: 5px;">
+                <summary style="cursor: pointer; color: #667eea;">Comment that would be posted after it</summary>
+                <div class="error-details">${result.commentRequest.method} ${escapeHtml(result.commentRequest.url)}\n\n${escapeHtml(JSON.stringify(result.commentRequest.payload, null, 2))}</div>
+            </details>`
+        : '';
+    
+    return `
+        <div style="font-size: 12px; margin-top: 5px;">
+            <div style="color: ${result.ok ? '#28a745' : '#dc3545'};">${result.ok ? '✓ Dry run passed' : '✗ Dry run found problems'}</div>
+            ${problems ? `<ul style="list-style: none; padding: 0; margin: 5px 0 0;">${problems}</ul>` : ''}
+            ${request}
+            ${commentRequest}
+        </div>
+    `;
+}
+
+// Preflight violations shown under a post
+function renderPreflightResult(post) {
+    const result = preflightResults[post.id];
+    if (!result) return '';
+    
+    if (result.violations.length === 0) {
+        return `<div style="color: #28a745; font-size: 12px; margin-top: 5px;">✓ Meets r/${escapeHtml(post.subreddit)} posting requirements</div>`;
+    }
+    
+    const styles = {
+        error: { icon: '❌', color: '#dc3545' },
+        warning: { icon: '⚠️', color: '#856404' },
+        info: { icon: 'ℹ️', color: '#666' }
+    };
+    const items = result.violations.map(violation => {
+        const style = styles[violation.severity] || styles.info;
+        return `<li style="color: ${style.color};">${style.icon} ${escapeHtml(violation.message)} <span style="opacity: 0.7;">(${violation.code})</span></li>`;
+    }).join('');
+    
+    return `<ul style="list-style: none; padding: 0; margin: 5px 0 0; font-size: 12px;">${items}</ul>`;
+}
+
+// What the parser couldn't use, line by line, each linked to its post
+function renderParseDiagnostics() {
+    const container = document.getElementById('parseDiagnostics');
+    if (parseDiagnostics.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const errors = parseDiagnostics.filter(item => item.severity === 'error').length;
+    const items = parseDiagnostics.map(item => {
+        const post = item.postId ? parsedPosts.find(p => p.id === item.postId) : null;
+        const postLink = post
+            ? `<a href="#" onclick="scrollToPost(${post.id}); return false;" style="color: #667eea;">Post ${post.id} (r/${escapeHtml(post.subreddit)})</a>`
+            : '<span style="color: #666;">skipped</span>';
+        return `
+            <li style="margin-bottom: 6px; color: ${item.severity === 'error' ? '#dc3545' : '#856404'};">
+                ${item.severity === 'error' ? '❌' : '⚠️'} ${item.line ? `<strong>Line ${item.line}</strong> · ` : ''}${postLink}: ${escapeHtml(item.message)}
+                <code style="display: block; margin: 2px 0 0 22px; color: #333; background: #f1f3f5; padding: 2px 6px; border-radius: 3px; white-space: pre-wrap;">${escapeHtml(item.text)}</code>
+            </li>
+        `;
+    }).join('');
+    
+    container.innerHTML = `
+        <details ${errors > 0 ? 'open' : ''} style="margin-bottom: 20px; padding: 10px 12px; background: #fff8e1; border-left: 3px solid #ffc107; border-radius: 4px; font-size: 13px;">
+            <summary style="cursor: pointer; font-weight: 600;">File problems: ${parseDiagnostics.length} line${parseDiagnostics.length === 1 ? '' : 's'}${errors > 0 ? ` (${errors} error${errors === 1 ? '' : 's'})` : ''}</summary>
+            <ul style="list-style: none; padding: 0; margin: 10px 0 0;">${items}</ul>
+        </details>
+    `;
+}
+
+// Bring a post card into view and flash it
+function scrollToPost(postId) {
+    const postItem = document.querySelector(`.post-item[data-post-id="${postId}"]`);
+    if (!postItem) return;
+    
+    postItem.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    postItem.style.transition = 'box-shadow 0.3s ease';
+    postItem.style.boxShadow = '0 0 0 3px #667eea';
+    setTimeout(() => { postItem.style.boxShadow = ''; }, 1500);
+}
+
 function displayPosts(posts) {
     const postsList = document.getElementById('postsList');
     postsList.innerHTML = '';
@@ -330,6 +656,7 @@ function displayPosts(posts) {
     posts.forEach((post, index) => {
         const postDiv = document.createElement('div');
         postDiv.className = 'post-item';
+        postDiv.dataset.postId = post.id;
         postDiv.style.animationDelay = `${index * 0.05}s`;
         
         // Determine status
@@ -347,10 +674,18 @@ function displayPosts(posts) {
         } else if (!post.isValid) {
             statusClass = 'invalid';
             statusText = 'Invalid';
-        } else if (!post.hasUrl) {
+        } else if (preflightResults[post.id] && !preflightResults[post.id].ok) {
+            statusClass = 'warning';
+            statusText = 'Breaks Subreddit Rules';
+        } else if (!post.hasUrl && !post.media && !(post.gallery?.length > 0) && !post.crosspost) {
             statusClass = 'warning';
             statusText = 'Valid - No URL';
-            warnings.push('URL is missing (will post as text)');
+            warnings.push(post.body ? 'No URL - will post as a text post with the body below' : 'URL is missing (will post as text)');
+        }
+        // Lines of the file that couldn't be used
+        const lineProblems = parseDiagnostics.filter(item => item.postId === post.id && item.severity !== 'error').length;
+        if (lineProblems > 0) {
+            warnings.push(`${lineProblems} line${lineProblems === 1 ? '' : 's'} of this post couldn't be used - see File problems above`);
         }
         
         // Add appropriate class (only if not 'valid')
@@ -361,7 +696,7 @@ function displayPosts(posts) {
         }
         
         const warningHTML = warnings.length > 0 
-            ? `<div style="color: #856404; font-size: 12px; margin-top: 5px; font-style: italic;">⚠️ ${warnings.join(', ')}</div>`
+            ? `<div style="color: #856404; font-size: 12px; margin-top: 5px; font-style: italic;">⚠️ ${warnings.map(escapeHtml).join('<br>⚠️ ')}</div>`
             : '';
         
         // Build flair display with both ID and text if available
@@ -395,23 +730,34 @@ function displayPosts(posts) {
                 onmouseover="this.style.background='#5568d3'; this.style.transform='scale(1.05)'" 
                 onmouseout="this.style.background='#667eea'; this.style.transform='scale(1)'"
                 title="Click to change flair"
-            >${flairDisplay} ✏️</span></p>`;
+            >${escapeHtml(flairDisplay)} ✏️</span></p>`;
         }
         
         postDiv.innerHTML = `
             <div>
                 <span class="status ${statusClass}">${statusText}</span>
-                <h3>r/${post.subreddit || 'N/A'}</h3>
-                <p><strong>Title:</strong> ${post.title && post.title.trim().length > 0 ? post.title : '<span style="color: #dc3545;">Missing</span>'}</p>
-                <p><strong>URL:</strong> ${post.url && post.url.trim().length > 0 ? post.url : '<span style="color: #856404;">Missing (optional)</span>'}</p>
+                <h3>r/${escapeHtml(post.subreddit || 'N/A')}</h3>
+                <p><strong>Title:</strong> ${post.title && post.title.trim().length > 0 ? escapeHtml(post.title) : '<span style="color: #dc3545;">Missing</span>'}</p>
+                ${post.crosspost
+                    ? `<p><strong>Crosspost of:</strong> ${escapeHtml(post.crosspost)}</p>`
+                    : `<p><strong>URL:</strong> ${post.url && post.url.trim().length > 0 ? renderPostUrl(post.url) : '<span style="color: #856404;">Missing (optional)</span>'}</p>
+                ${renderPostMedia(post)}`}
+                ${post.body ? `<p><strong>Body:</strong></p><div style="white-space: pre-wrap; font-size: 13px; background: #f8f9fa; padding: 6px 8px; border-radius: 4px; margin-bottom: 5px; max-height: 200px; overflow-y: auto;">${escapeHtml(post.body)}</div>` : ''}
+                ${post.schedule ? `<p><strong>Scheduled:</strong> ${new Date(post.schedule).toLocaleString()} <span style="color: #666; font-size: 12px;">(Post All waits for it)</span></p>` : ''}
+                ${post.notes ? `<p style="color: #666; font-size: 13px; white-space: pre-wrap;"><strong>Notes:</strong> ${escapeHtml(post.notes)}</p>` : ''}
+                ${post.comment ? `<p><strong>Comment:</strong></p><div style="white-space: pre-wrap; font-size: 13px; background: #f8f9fa; padding: 6px 8px; border-radius: 4px; margin-bottom: 5px;">${escapeHtml(post.comment)}</div>` : ''}
                 ${flairHTML}
+                ${renderPostOptions(post)}
                 ${warningHTML}
+                ${renderPreflightResult(post)}
+                ${renderDryRunResult(post)}
+                <div class="reddit-status">${postStatuses[post.id] ? renderRedditStatus(postStatuses[post.id]) : ''}</div>
             </div>
             <div style="display: flex; gap: 10px; align-items: center;">
                 <button class="btn-secondary" onclick="checkFlairs(${post.id})" ${!post.hasSubreddit ? 'disabled' : ''} style="font-size: 14px; padding: 8px 16px;">
                     🔍 Check for Flairs
                 </button>
-                <button class="btn-primary" onclick="postSingle(${post.id})" ${!post.isValid ? 'disabled' : ''}>
+                <button class="btn-primary btn-post" onclick="postSingle(${post.id})" ${!post.isValid ? 'disabled' : ''}>
                     Post
                 </button>
             </div>
@@ -421,24 +767,196 @@ function displayPosts(posts) {
     });
 }
 
-// Post single post
-async function postSingle(postId) {
+// The post's link, clickable only if it is http(s)
+function renderPostUrl(url) {
+    return /^https?:\/\//i.test(url.trim())
+        ? `<a href="${escapeAttribute(url.trim())}" target="_blank" rel="noopener">${escapeHtml(url)}</a>`
+        : escapeHtml(url);
+}
+
+const mediaFileUrl = file => `/media/${encodeURIComponent(file)}`;
+const MEDIA_BUTTON_STYLE = 'margin-left: 0; padding: 3px 10px; font-size: 12px; background: #6c757d;';
+
+// Image, video or gallery attached to a post, with a preview (galleries in posting order)
+function renderPostMedia(post) {
+    const media = post.media;
+    const gallery = post.gallery?.length > 0 ? post.gallery : null;
+    let preview = '<span style="color: #666;">None</span>';
+    if (gallery) {
+        preview = `Gallery of ${gallery.length} image${gallery.length === 1 ? '' : 's'}${renderGallery(post)}`;
+    } else if (media?.file) {
+        preview = media.type === 'video'
+            ? `<video src="${mediaFileUrl(media.file)}" ${media.poster ? `poster="${mediaFileUrl(media.poster)}"` : ''} controls muted style="max-width: 240px; max-height: 160px; display: block; margin-top: 5px; border-radius: 4px;"></video>`
+            : `<img src="${mediaFileUrl(media.file)}" alt="" style="max-width: 240px; max-height: 160px; display: block; margin-top: 5px; border-radius: 4px;">`;
+        preview = `${escapeHtml(media.file)}${media.type === 'video' ? ` · poster: ${media.poster ? escapeHtml(media.poster) : '<span style="color: #dc3545;">missing</span>'}` : ''}${preview}`;
+    }
+    
+    let buttons = `<button class="btn-small" onclick="attachMedia(${post.id})" style="${MEDIA_BUTTON_STYLE}">${media?.file ? 'Replace' : 'Attach image/video'}</button>`;
+    if (gallery) {
+        buttons = `<button class="btn-small" onclick="attachMedia(${post.id}, 'gallery')" style="${MEDIA_BUTTON_STYLE}">Add image</button>`;
+    } else if (media?.type === 'video') {
+        buttons += `<button class="btn-small" onclick="attachMedia(${post.id}, 'poster')" style="${MEDIA_BUTTON_STYLE}">Attach poster</button>`;
+    } else if (media?.type === 'image') {
+        buttons += `<button class="btn-small" onclick="attachMedia(${post.id}, 'gallery')" style="${MEDIA_BUTTON_STYLE}">Add image (gallery)</button>`;
+    }
+    if (media || gallery) {
+        buttons += `<button class="btn-small" onclick="removeMedia(${post.id})" style="${MEDIA_BUTTON_STYLE} background: #dc3545;">Remove</button>`;
+    }
+    
+    return `
+        <div class="post-media" style="margin: 5px 0;">
+            <strong>Media:</strong> ${preview}
+            <div style="margin-top: 5px; display: flex; gap: 5px;">${buttons}</div>
+        </div>
+    `;
+}
+
+// Gallery images in order, each with its caption and link
+function renderGallery(post) {
+    const last = post.gallery.length - 1;
+    return `
+        <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-top: 5px;">
+            ${post.gallery.map((item, index) => `
+                <div style="width: 150px; font-size: 12px;">
+                    <div style="position: relative;">
+                        <img src="${mediaFileUrl(item.file)}" alt="" title="${escapeAttribute(item.file)}" style="width: 150px; height: 100px; object-fit: cover; display: block; border-radius: 4px;">
+                        <span style="position: absolute; top: 4px; left: 4px; background: rgba(0, 0, 0, 0.6); color: white; padding: 0 6px; border-radius: 3px;">${index + 1}</span>
+                    </div>
+                    <input type="text" value="${escapeAttribute(item.caption || '')}" placeholder="Caption" maxlength="180" onchange="setGalleryItem(${post.id}, ${index}, 'caption', this.value)" style="padding: 4px; margin: 4px 0 2px; font-size: 12px;">
+                    <input type="text" value="${escapeAttribute(item.outbound_url || '')}" placeholder="Link (optional)" onchange="setGalleryItem(${post.id}, ${index}, 'outbound_url', this.value)" style="padding: 4px; margin: 0 0 4px; font-size: 12px;">
+                    <div style="display: flex; gap: 3px;">
+                        <button class="btn-small" onclick="moveGalleryItem(${post.id}, ${index}, -1)" ${index === 0 ? 'disabled' : ''} title="Move left" style="${MEDIA_BUTTON_STYLE}">◀</button>
+                        <button class="btn-small" onclick="moveGalleryItem(${post.id}, ${index}, 1)" ${index === last ? 'disabled' : ''} title="Move right" style="${MEDIA_BUTTON_STYLE}">▶</button>
+                        <button class="btn-small" onclick="removeGalleryItem(${post.id}, ${index})" title="Remove from gallery" style="${MEDIA_BUTTON_STYLE} background: #dc3545;">✕</button>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Pick a file, save it on the server and attach it to the post
+// (role 'poster' sets a video's thumbnail, 'gallery' adds a gallery image)
+function attachMedia(postId, role = 'file') {
     const post = parsedPosts.find(p => p.id === postId);
-    if (!post || !currentAccountId) return;
+    if (!post) return;
     
-    // Find the post item element by finding the button with the matching onclick
-    const postItems = document.querySelectorAll('.post-item');
-    let postItem = null;
-    let button = null;
-    
-    for (const item of postItems) {
-        const btn = item.querySelector('button');
-        if (btn && btn.getAttribute('onclick') && btn.getAttribute('onclick').includes(`postSingle(${postId})`)) {
-            postItem = item;
-            button = btn;
-            break;
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = role === 'file' ? 'image/jpeg,image/png,image/gif,video/mp4,video/quicktime' : 'image/jpeg,image/png,image/gif';
+    input.addEventListener('change', async () => {
+        if (input.files.length === 0) return;
+        
+        const formData = new FormData();
+        formData.append('file', input.files[0]);
+        showLoader('Uploading media');
+        try {
+            const response = await fetch('/api/media', { method: 'POST', body: formData });
+            const data = await response.json();
+            if (!response.ok) {
+                throw apiError(data, 'Failed to upload media');
+            }
+            
+            if (role !== 'file' && data.type !== 'image') {
+                throw new Error(role === 'poster' ? 'The poster has to be an image' : 'Galleries can only contain images');
+            }
+            if (role === 'poster') {
+                post.media = { ...post.media, poster: data.file };
+            } else if (role === 'gallery') {
+                // An image post becomes a gallery when a second image is added
+                const items = post.gallery?.length > 0
+                    ? post.gallery
+                    : (post.media?.type === 'image' ? [{ file: post.media.file, caption: null, outbound_url: null }] : []);
+                post.gallery = [...items, { file: data.file, caption: null, outbound_url: null }];
+                post.media = null;
+            } else {
+                post.media = { type: data.type, file: data.file, poster: data.type === 'video' ? (post.media?.poster || null) : null };
+            }
+            displayPosts(parsedPosts);
+        } catch (error) {
+            console.error('Error uploading media:', error);
+            showToast('Error uploading media: ' + getErrorMessage(error), 'error', 5000);
+        } finally {
+            hideLoader();
         }
+    });
+    input.click();
+}
+
+function removeMedia(postId) {
+    const post = parsedPosts.find(p => p.id === postId);
+    if (post) {
+        post.media = null;
+        post.gallery = null;
+        displayPosts(parsedPosts);
+    }
+}
+
+function setGalleryItem(postId, index, field, value) {
+    const post = parsedPosts.find(p => p.id === postId);
+    if (post?.gallery?.[index]) {
+        post.gallery[index][field] = value.trim() || null;
+    }
+}
+
+function moveGalleryItem(postId, index, delta) {
+    const post = parsedPosts.find(p => p.id === postId);
+    const target = index + delta;
+    if (!post?.gallery || target < 0 || target >= post.gallery.length) return;
+    
+    [post.gallery[index], post.gallery[target]] = [post.gallery[target], post.gallery[index]];
+    displayPosts(parsedPosts);
+}
+
+// A gallery down to one image goes back to being an image post
+function removeGalleryItem(postId, index) {
+    const post = parsedPosts.find(p => p.id === postId);
+    if (!post?.gallery) return;
+    
+    post.gallery.splice(index, 1);
+    if (post.gallery.length === 1) {
+        post.media = { type: 'image', file: post.gallery[0].file, poster: null };
+        post.gallery = null;
+    }
+    displayPosts(parsedPosts);
+}
+
+// What a post option will be: the post's own setting, else the account's default
+function getPostOption(post, name) {
+    if (typeof post[name] === 'boolean') return post[name];
+    const account = accounts.find(a => a.id == currentAccountId);
+    const accountDefault = account?.post_defaults?.[name];
+    return typeof accountDefault === 'boolean' ? accountDefault : PostOptions[name].default;
+}
+
+function renderPostOptions(post) {
+    return `
+        <div class="post-options" style="display: flex; gap: 15px; flex-wrap: wrap; font-size: 13px; color: #666; margin-top: 5px;">
+            ${Object.entries(PostOptions).map(([name, option]) => `
+                <label title="${typeof post[name] === 'boolean' ? 'Set for this post' : 'Account default'}">
+                    <input type="checkbox" ${getPostOption(post, name) ? 'checked' : ''} onchange="setPostOption(${post.id}, '${name}', this.checked)">
+                    ${option.label}
+                </label>
+            `).join('')}
+        </div>
+    `;
+}
+
+function setPostOption(postId, name, value) {
+    const post = parsedPosts.find(p => p.id === postId);
+    if (post) {
+        post[name] = value;
     }
+}
+
+// Post single post
+// With resubmit the server posts the link even if it was posted there before
+async function postSingle(postId, resubmit = false) {
+    const post = parsedPosts.find(p => p.id === postId);
+    if (!post || !currentAccountId) return;
+    
+    const postItem = findPostItem(postId);
+    const button = postItem ? postItem.querySelector('.btn-post') : null;
     
     if (postItem && button) {
         postItem.classList.add('posting');
@@ -450,7 +968,7 @@ async function postSingle(postId) {
         const response = await fetch('/api/posts/single', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ post, accountId: currentAccountId })
+            body: JSON.stringify({ post, accountId: currentAccountId, resubmit })
         });
         
         const data = await response.json();
@@ -459,23 +977,48 @@ async function postSingle(postId) {
             if (postItem) {
                 postItem.classList.remove('posting');
                 postItem.classList.add('posted');
-                const button = postItem.querySelector('button');
+                const button = postItem.querySelector('.btn-post');
                 if (button) {
                     button.classList.remove('loading');
                     button.textContent = 'Posted ✓';
                     button.disabled = true;
                 }
             }
-            showToast(`Post submitted successfully!`, 'success');
+            if (data.result?.name) {
+                postedFullnames[postId] = data.result.name;
+            }
+            loadHistory(0);
+            showToast(data.attempts > 1 ? `Post submitted successfully after ${data.attempts} attempts!` : `Post submitted successfully!`, 'success');
+            // The post is up either way - a failed comment only gets a warning
+            if (data.result?.comment && !data.result.comment.success) {
+                showToast(`Posted, but the comment failed: ${data.result.comment.error}`, 'warning', 6000);
+            }
         } else {
-            throw new Error(data.error || 'Failed to post');
+            throw apiError(data, 'Failed to post');
         }
     } catch (error) {
         console.error('Error posting:', error);
+        
+        // Already posted - only post it again if the user really means it
+        if (error.code === 'DUPLICATE_SUBMISSION') {
+            if (postItem) {
+                postItem.classList.remove('posting');
+            }
+            if (button) {
+                button.classList.remove('loading');
+                button.disabled = false;
+            }
+            if (confirm(`${error.message}\n\nPost it again anyway?`)) {
+                return postSingle(postId, true);
+            }
+            markPostItemSkipped(postId, error.message);
+            return;
+        }
+        
         if (postItem) {
             postItem.classList.remove('posting');
             postItem.classList.add('error');
-            const button = postItem.querySelector('button');
+            const button = postItem.querySelector('.btn-post');
             if (button) {
                 button.classList.remove('loading');
                 button.disabled = false;
@@ -497,22 +1040,29 @@ async function postSingle(postId) {
         addErrorLog('Post Single', errorMessage, { 
             post, 
             accountId: currentAccountId,
-            error: errorData || error,
+            error: error.redditResponse || errorData,
+            code: error.code || null,
+            retryable: !!error.retryable,
+            attempts: error.attempts || null,
             type: errorType
         }, () => postSingle(postId));
         
         showToast('Error posting: ' + errorMessage, 'error', 5000);
+        loadHistory(0);
     }
 }
 
-// Post all posts with real-time progress
-let postAllInterval = null;
-let isPostingAll = false;
+// Post all posts - the server queues a job and posts it in the background,
+// the browser only watches its progress
+let watchedJobId = null;
+let jobEventSource = null;
+let waitCountdownInterval = null;
+let reportedJobItems = new Set();
 
 async function postAll() {
     if (!currentAccountId || parsedPosts.length === 0) return;
     
-    if (isPostingAll) {
+    if (watchedJobId) {
         showToast('Posting is already in progress', 'warning');
         return;
     }
@@ -547,7 +1097,7 @@ async function postAll() {
         confirmMessage += `Delay: ${delayFrom}-${delayUpTo} seconds between posts\n`;
         confirmMessage += `Estimated time: ${estimatedMinutes > 0 ? estimatedMinutes + 'm ' : ''}${estimatedSeconds}s\n\n`;
     }
-    confirmMessage += 'This will post all valid posts sequentially.';
+    confirmMessage += 'The server will post all valid posts sequentially, even if you close this page.';
     
     if (!confirm(confirmMessage)) {
         return;
@@ -558,145 +1108,34 @@ async function postAll() {
     postAllBtn.disabled = true;
     postAllBtn.textContent = 'Posting...';
     
-    document.getElementById('progressSection').style.display = 'block';
-    const progressText = document.getElementById('progressText');
-    const progressBar = document.getElementById('progressBar');
-    
-    isPostingAll = true;
-    let completed = 0;
-    let failed = 0;
-    const total = validPosts.length;
-    
-    // Show cancel button
-    document.getElementById('cancelPostAllBtn').style.display = 'inline-block';
-    
-    // Mark all post items as pending
-    const postItems = document.querySelectorAll('.post-item');
-    postItems.forEach(item => {
-        if (!item.classList.contains('invalid')) {
-            item.classList.add('posting');
-        }
-    });
-    
     try {
-        // Post each post sequentially with delays
-        for (let i = 0; i < validPosts.length; i++) {
-            if (!isPostingAll) {
-                // User cancelled
-                break;
-            }
-            
-            const post = validPosts[i];
-            const postIndex = i + 1;
-            
-            // Update progress
-            progressText.textContent = `Posting ${postIndex}/${total}: ${post.title?.substring(0, 50)}...`;
-            const percentage = ((postIndex - 1) / total) * 100;
-            progressBar.style.width = `${percentage}%`;
-            
-            // Find and update the post item
-            const postItem = Array.from(postItems).find(item => {
-                const button = item.querySelector('button');
-                if (button && button.getAttribute('onclick')) {
-                    const onclick = button.getAttribute('onclick');
-                    const postIdMatch = onclick.match(/postSingle\((\d+)\)/);
-                    if (postIdMatch && parseInt(postIdMatch[1]) === post.id) {
-                        return true;
-                    }
-                }
-                return false;
-            });
-            
-            try {
-                const response = await fetch('/api/posts/single', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ post, accountId: currentAccountId })
-                });
-                
-                const data = await response.json();
-                
-                if (response.ok && data.success) {
-                    completed++;
-                    
-                    if (postItem) {
-                        postItem.classList.remove('posting');
-                        postItem.classList.add('posted');
-                        const button = postItem.querySelector('button');
-                        if (button) {
-                            button.classList.remove('loading');
-                            button.textContent = 'Posted ✓';
-                            button.disabled = true;
-                        }
-                    }
-                    
-                    progressText.textContent = `Posted ${postIndex}/${total}: ${post.title?.substring(0, 50)}...`;
-                    const successPercentage = (postIndex / total) * 100;
-                    progressBar.style.width = `${successPercentage}%`;
-                    
-                } else {
-                    failed++;
-                    throw new Error(data.error || 'Failed to post');
-                }
-            } catch (error) {
-                failed++;
-                console.error(`Error posting post ${postIndex}:`, error);
-                
-                if (postItem) {
-                    postItem.classList.remove('posting');
-                    postItem.classList.add('error');
-                    const button = postItem.querySelector('button');
-                    if (button) {
-                        button.classList.remove('loading');
-                        button.disabled = false;
-                    }
-                }
-                
-                addErrorLog(`Post All - Post ${postIndex}`, error.message || 'Failed to post', {
-                    post,
-                    accountId: currentAccountId,
-                    postIndex,
-                    error
-                });
-            }
-            
-            // Add delay before next post (except for last one)
-            if (i < validPosts.length - 1 && isPostingAll) {
-                const delay = delayFrom + delayUpTo > 0 
-                    ? Math.floor(Math.random() * (delayUpTo - delayFrom + 1)) + delayFrom 
-                    : 0;
-                
-                if (delay > 0) {
-                    progressText.textContent = `Waiting ${delay}s before next post... (${postIndex}/${total} completed)`;
-                    
-                    // Show countdown
-                    for (let countdown = delay; countdown > 0 && isPostingAll; countdown--) {
-                        await new Promise(resolve => setTimeout(resolve, 1000));
-                        if (isPostingAll) {
-                            progressText.textContent = `Waiting ${countdown}s before next post... (${postIndex}/${total} completed)`;
-                        }
-                    }
-                }
-            }
+        const response = await fetch('/api/posts/all', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                posts: parsedPosts,
+                accountId: currentAccountId,
+                delayFrom,
+                delayUpTo,
+                resubmit: document.getElementById('resubmitCheckbox').checked
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw apiError(data, 'Failed to start posting');
         }
         
-        // Final update
-        if (isPostingAll) {
-            progressText.textContent = `Completed! Posted ${completed}/${total} posts${failed > 0 ? ` (${failed} failed)` : ''}`;
-            progressBar.style.width = '100%';
-            
-            if (completed === total) {
-                showToast(`Successfully posted all ${total} posts!`, 'success');
-            } else if (completed > 0) {
-                showToast(`Posted ${completed}/${total} posts. ${failed} failed.`, 'warning');
-            } else {
-                showToast(`Failed to post all ${total} posts. Check error log.`, 'error');
+        // Mark all post items as pending
+        document.querySelectorAll('.post-item').forEach(item => {
+            if (!item.classList.contains('invalid')) {
+                item.classList.add('posting');
             }
-        } else {
-            progressText.textContent = `Cancelled. Posted ${completed}/${total} posts before cancellation.`;
-            showToast('Posting cancelled', 'info');
-        }
+        });
         
+        showToast(`Queued ${data.total} posts`, 'info');
+        watchJob(data.jobId);
     } catch (error) {
         console.error('Error in postAll:', error);
         const errorType = categorizeError(error);
@@ -706,35 +1145,376 @@ async function postAll() {
             posts: parsedPosts,
             accountId: currentAccountId,
             error,
+            code: error.code || null,
             type: errorType
         }, () => postAll());
         
         showToast('Error posting: ' + errorMessage, 'error', 5000);
-    } finally {
-        isPostingAll = false;
-        postAllBtn.classList.remove('loading');
-        postAllBtn.disabled = false;
-        postAllBtn.textContent = 'Post All';
-        
-        // Hide cancel button
-        document.getElementById('cancelPostAllBtn').style.display = 'none';
-        
-        // Remove posting class from remaining items
-        postItems.forEach(item => {
-            if (item.classList.contains('posting') && !item.classList.contains('posted')) {
-                item.classList.remove('posting');
-            }
+        resetPostAllButton();
+    }
+}
+
+// Follow a posting job until it is finished - the server pushes progress over SSE
+function watchJob(jobId) {
+    watchedJobId = jobId;
+    reportedJobItems = new Set();
+    localStorage.setItem('activeJobId', jobId);
+    
+    const postAllBtn = document.getElementById('postAllBtn');
+    postAllBtn.classList.add('loading');
+    postAllBtn.disabled = true;
+    postAllBtn.textContent = 'Posting...';
+    document.getElementById('progressSection').style.display = 'block';
+    updateJobControls('running');
+    
+    // EventSource reconnects on its own and gets a fresh snapshot each time
+    jobEventSource = new EventSource(`/api/jobs/${jobId}/events`);
+    
+    jobEventSource.addEventListener('snapshot', (e) => {
+        const job = JSON.parse(e.data);
+        renderJobSnapshot(job);
+        if (job.status === 'completed' || job.status === 'cancelled') {
+            finishJob(job.counts, job.status);
+        }
+    });
+    
+    jobEventSource.addEventListener('started', (e) => {
+        const event = JSON.parse(e.data);
+        stopWaitCountdown();
+        updateJobProgressBar(event.counts);
+        document.getElementById('progressText').textContent = `Posting ${event.position + 1}/${event.counts.total}: ${event.title?.substring(0, 50)}...`;
+    });
+    
+    jobEventSource.addEventListener('waiting', (e) => {
+        const event = JSON.parse(e.data);
+        updateJobProgressBar(event.counts);
+        startWaitCountdown(event.seconds, event.counts, event.scheduledFor
+            ? `for the post scheduled at ${new Date(event.scheduledFor).toLocaleString()}`
+            : 'before next post');
+    });
+    
+    // A transient failure (timeout, proxy, Reddit 5xx) - the server tries again shortly
+    jobEventSource.addEventListener('retrying', (e) => {
+        const event = JSON.parse(e.data);
+        document.getElementById('progressText').textContent = `Post ${event.position + 1} failed (${event.code}), retrying in ${Math.ceil(event.delay / 1000)}s (attempt ${event.attempt + 1})...`;
+    });
+    
+    // Reddit asked us to slow down - the post is retried after the wait
+    jobEventSource.addEventListener('rescheduled', (e) => {
+        const event = JSON.parse(e.data);
+        updateJobProgressBar(event.counts);
+        if (event.seconds === null) {
+            // Held by a pause - it is tried again once the job is resumed
+            document.getElementById('progressText').textContent = `Post ${event.position + 1} will be retried when the job is resumed`;
+            return;
+        }
+        startWaitCountdown(event.seconds, event.counts, `(rate limited) before retrying post ${event.position + 1}`);
+        showToast(`Rate limited by Reddit - post ${event.position + 1} will be retried in ${event.seconds}s`, 'info', 5000);
+    });
+    
+    jobEventSource.addEventListener('skipped', (e) => {
+        const event = JSON.parse(e.data);
+        updateJobProgressBar(event.counts);
+        const duplicate = event.code === 'DUPLICATE_SUBMISSION';
+        markPostItemSkipped(event.postId, event.error, duplicate ? 'Already posted' : 'Skipped');
+        document.getElementById('progressText').textContent = duplicate
+            ? `Skipped ${event.position + 1}/${event.counts.total}: already posted to r/${event.subreddit}`
+            : `Skipped ${event.position + 1}/${event.counts.total}: ${event.error}`;
+    });
+    
+    jobEventSource.addEventListener('posted', (e) => {
+        const event = JSON.parse(e.data);
+        updateJobProgressBar(event.counts);
+        markPostItemPosted(event.postId, event.name);
+        document.getElementById('progressText').textContent = `Posted ${event.position + 1}/${event.counts.total}: ${event.title?.substring(0, 50)}...`;
+        if (event.comment && !event.comment.success) {
+            showToast(`Posted to r/${event.subreddit}, but the comment failed: ${event.comment.error}`, 'warning', 6000);
+        }
+    });
+    
+    jobEventSource.addEventListener('failed', (e) => {
+        const event = JSON.parse(e.data);
+        updateJobProgressBar(event.counts);
+        reportFailedJobItem(jobId, {
+            id: event.itemId,
+            position: event.position,
+            post: parsedPosts.find(p => p.id === event.postId) || { id: event.postId, subreddit: event.subreddit, title: event.title },
+            error: event.error,
+            code: event.code,
+            retryable: event.retryable,
+            attempts: event.attempts
         });
+    });
+    
+    jobEventSource.addEventListener('completed', (e) => {
+        const event = JSON.parse(e.data);
+        finishJob(event.counts, 'completed');
+    });
+    
+    jobEventSource.addEventListener('paused', (e) => {
+        const event = JSON.parse(e.data);
+        stopWaitCountdown();
+        updateJobControls('paused');
+        document.getElementById('progressText').textContent = `Paused (${countDone(event.counts)}/${event.counts.total} completed)`;
+    });
+    
+    jobEventSource.addEventListener('resumed', (e) => {
+        const event = JSON.parse(e.data);
+        updateJobControls('running');
+        document.getElementById('progressText').textContent = `Resuming... (${countDone(event.counts)}/${event.counts.total} completed)`;
+    });
+    
+    jobEventSource.addEventListener('cancelled', (e) => {
+        const event = JSON.parse(e.data);
+        finishJob(event.counts, 'cancelled');
+    });
+    
+    jobEventSource.addEventListener('error', () => {
+        // A closed stream means the job is gone (e.g. 404) - otherwise EventSource retries by itself
+        if (jobEventSource && jobEventSource.readyState === EventSource.CLOSED) {
+            console.warn('Job progress stream closed');
+            stopWatchingJob();
+            return;
+        }
+        console.warn('Lost connection to job progress stream, reconnecting...');
+    });
+}
+
+// Bring the progress display in line with the full job state
+function renderJobSnapshot(job) {
+    const progressText = document.getElementById('progressText');
+    const { total } = job.counts;
+    const done = countDone(job.counts);
+    
+    updateJobProgressBar(job.counts);
+    updateJobControls(job.status);
+    
+    const current = job.items.find(item => item.status === 'posting');
+    if (current) {
+        progressText.textContent = `Posting ${current.position + 1}/${total}: ${current.post.title?.substring(0, 50)}...`;
+    } else if (job.status === 'paused') {
+        progressText.textContent = `Paused (${done}/${total} completed)`;
+    } else if (job.status === 'running' && job.wait_seconds > 0) {
+        // A pending post that was tried already is waiting out a rate limit
+        const rateLimited = job.items.find(item => item.status === 'pending' && item.error_code === 'RATELIMIT');
+        startWaitCountdown(job.wait_seconds, job.counts, rateLimited ? `(rate limited) before retrying post ${rateLimited.position + 1}` : undefined);
+    } else if (job.status === 'pending') {
+        progressText.textContent = `Queued ${total} posts...`;
+    } else {
+        progressText.textContent = `${done}/${total} completed`;
+    }
+    
+    job.items.forEach(item => {
+        if (item.status === 'posted') {
+            markPostItemPosted(item.post.id, item.result?.name);
+        } else if (item.status === 'failed') {
+            reportFailedJobItem(job.id, item);
+        } else if (item.status === 'skipped' && item.error_code === 'DUPLICATE_SUBMISSION') {
+            markPostItemSkipped(item.post.id, item.error);
+        }
+    });
+}
+
+// Posts that are finished one way or another
+function countDone(counts) {
+    return counts.posted + counts.failed + (counts.skipped || 0);
+}
+
+function updateJobProgressBar(counts) {
+    const done = countDone(counts);
+    document.getElementById('progressBar').style.width = `${counts.total > 0 ? (done / counts.total) * 100 : 0}%`;
+}
+
+// Count down the delay before the next post
+function startWaitCountdown(seconds, counts, reason = 'before next post') {
+    const progressText = document.getElementById('progressText');
+    const done = countDone(counts);
+    let remaining = seconds;
+    
+    stopWaitCountdown();
+    progressText.textContent = `Waiting ${remaining}s ${reason}... (${done}/${counts.total} completed)`;
+    waitCountdownInterval = setInterval(() => {
+        remaining--;
+        if (remaining <= 0) {
+            stopWaitCountdown();
+            return;
+        }
+        progressText.textContent = `Waiting ${remaining}s ${reason}... (${done}/${counts.total} completed)`;
+    }, 1000);
+}
+
+function stopWaitCountdown() {
+    if (waitCountdownInterval) {
+        clearInterval(waitCountdownInterval);
+        waitCountdownInterval = null;
+    }
+}
+
+// The server skipped the post because the link was already posted there
+function markPostItemSkipped(postId, reason, label) {
+    const postItem = findPostItem(postId);
+    if (!postItem) return;
+    
+    postItem.classList.remove('posting');
+    postItem.classList.add('warning');
+    postItem.title = reason || '';
+    const button = postItem.querySelector('.btn-post');
+    if (button) {
+        button.classList.remove('loading');
+        button.textContent = label || 'Already posted';
+    }
+}
+
+function markPostItemPosted(postId, fullname = null) {
+    if (fullname) {
+        postedFullnames[postId] = fullname;
+    }
+    
+    const postItem = findPostItem(postId);
+    if (!postItem) return;
+    
+    postItem.classList.remove('posting');
+    postItem.classList.add('posted');
+    const button = postItem.querySelector('.btn-post');
+    if (button) {
+        button.classList.remove('loading');
+        button.textContent = 'Posted ✓';
+        button.disabled = true;
+    }
+}
+
+// Add a failed job item to the error log (once, even across reconnects)
+function reportFailedJobItem(jobId, item) {
+    if (reportedJobItems.has(item.id)) return;
+    reportedJobItems.add(item.id);
+    
+    const postItem = findPostItem(item.post.id);
+    if (postItem) {
+        postItem.classList.remove('posting');
+        postItem.classList.add('error');
+    }
+    
+    addErrorLog(`Post All - Post ${item.position + 1}`, item.error || 'Failed to post', {
+        post: item.post,
+        accountId: currentAccountId,
+        jobId,
+        postIndex: item.position + 1,
+        code: item.code || item.error_code || null,
+        retryable: !!item.retryable,
+        attempts: item.attempts || null,
+        type: categorizeError({ code: item.code || item.error_code })
+    });
+}
+
+function finishJob(counts, status) {
+    const { total, posted, failed, skipped } = counts;
+    stopWaitCountdown();
+    
+    if (status === 'cancelled') {
+        document.getElementById('progressText').textContent = `Cancelled. Posted ${posted}/${total} posts before cancellation (${skipped} skipped${failed > 0 ? `, ${failed} failed` : ''}).`;
+        showToast('Posting cancelled', 'info');
+        stopWatchingJob();
+        return;
+    }
+    
+    const notes = [
+        failed > 0 ? `${failed} failed` : null,
+        skipped > 0 ? `${skipped} skipped as already posted` : null
+    ].filter(Boolean);
+    document.getElementById('progressText').textContent = `Completed! Posted ${posted}/${total} posts${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+    document.getElementById('progressBar').style.width = '100%';
+    
+    if (posted === total) {
+        showToast(`Successfully posted all ${total} posts!`, 'success');
+    } else if (failed === 0 && posted + skipped === total) {
+        showToast(`Posted ${posted} posts, skipped ${skipped} already posted`, 'info');
+    } else if (posted > 0) {
+        showToast(`Posted ${posted}/${total} posts. ${failed} failed.`, 'warning');
+    } else {
+        showToast(`Failed to post all ${total} posts. Check error log.`, 'error');
+    }
+    
+    stopWatchingJob();
+    loadHistory(0);
+    loadAnalytics();
+}
+
+function stopWatchingJob() {
+    watchedJobId = null;
+    localStorage.removeItem('activeJobId');
+    if (jobEventSource) {
+        jobEventSource.close();
+        jobEventSource = null;
     }
+    stopWaitCountdown();
+    
+    resetPostAllButton();
+    updateJobControls(null);
+    
+    // Remove posting class from remaining items
+    document.querySelectorAll('.post-item.posting').forEach(item => {
+        item.classList.remove('posting');
+    });
+}
+
+// Show the job control buttons that fit the job status
+function updateJobControls(status) {
+    const active = status === 'pending' || status === 'running';
+    document.getElementById('pausePostAllBtn').style.display = active ? 'inline-block' : 'none';
+    document.getElementById('resumePostAllBtn').style.display = status === 'paused' ? 'inline-block' : 'none';
+    document.getElementById('cancelPostAllBtn').style.display = active || status === 'paused' ? 'inline-block' : 'none';
+}
+
+async function pausePostAll() {
+    await controlJob('pause');
+}
+
+async function resumePostAll() {
+    await controlJob('resume');
 }
 
 // Cancel post all
-function cancelPostAll() {
-    if (isPostingAll) {
-        if (confirm('Are you sure you want to cancel posting? Posts already submitted will remain posted.')) {
-            isPostingAll = false;
-            showToast('Cancelling posting...', 'info');
+async function cancelPostAll() {
+    if (!watchedJobId) return;
+    if (confirm('Are you sure you want to cancel posting? Posts already submitted will remain posted, the rest will be skipped.')) {
+        await controlJob('cancel');
+    }
+}
+
+// Pause, resume or cancel the watched job - the SSE stream reports the new state
+async function controlJob(action) {
+    if (!watchedJobId) return;
+    
+    try {
+        const response = await fetch(`/api/jobs/${watchedJobId}/${action}`, { method: 'POST' });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw apiError(data, `Failed to ${action} posting`);
         }
+    } catch (error) {
+        console.error(`Error trying to ${action} job:`, error);
+        showToast(`Error: ${error.message}`, 'error', 5000);
+    }
+}
+
+function resetPostAllButton() {
+    const postAllBtn = document.getElementById('postAllBtn');
+    postAllBtn.classList.remove('loading');
+    postAllBtn.disabled = false;
+    postAllBtn.textContent = 'Post All';
+}
+
+// Find the card of a parsed post
+function findPostItem(postId) {
+    return document.querySelector(`.post-item[data-post-id="${postId}"]`);
+}
+
+// Pick up a job that was still running when the page was closed
+function resumeActiveJob() {
+    const jobId = localStorage.getItem('activeJobId');
+    if (jobId) {
+        watchJob(jobId);
     }
 }
 
@@ -868,7 +1648,7 @@ async function generateAuthUrl() {
             document.getElementById('authUrlContainer').classList.remove('hidden');
             showToast('Auth URL generated successfully', 'success');
         } else {
-            throw new Error(data.error || 'Failed to generate auth URL');
+            throw apiError(data, 'Failed to generate auth URL');
         }
     } catch (error) {
         console.error('Error generating auth URL:', error);
@@ -933,7 +1713,7 @@ async function exchangeCode() {
             document.getElementById('refreshTokenContainer').classList.remove('hidden');
             showToast('Refresh token obtained successfully!', 'success');
         } else {
-            throw new Error(data.error || 'Failed to exchange code');
+            throw apiError(data, 'Failed to exchange code');
         }
     } catch (error) {
         console.error('Error exchanging code:', error);
@@ -1004,7 +1784,7 @@ async function saveAccount() {
                 closeAddAccountModal();
             }, 1500);
         } else {
-            throw new Error(data.error || 'Failed to save account');
+            throw apiError(data, 'Failed to save account');
         }
     } catch (error) {
         console.error('Error saving account:', error);
@@ -1023,6 +1803,428 @@ function showAccountStatus(message, type) {
     statusDiv.classList.remove('hidden');
 }
 
+// What happened to a post after it was submitted (checked by the server's status tracker)
+function renderRedditStatus(submission) {
+    const statuses = {
+        live: { className: 'valid', text: 'Live' },
+        removed: { className: 'invalid', text: 'Removed' },
+        spam: { className: 'invalid', text: 'Spam-filtered' },
+        deleted: { className: 'warning', text: 'Deleted' }
+    };
+    const status = statuses[submission.reddit_status];
+    if (!status) {
+        return '<span class="status warning" title="The server hasn\'t checked this post yet">Not checked yet</span>';
+    }
+    
+    const category = submission.removed_by_category && submission.reddit_status !== 'live'
+        ? ` (${escapeHtml(submission.removed_by_category.replace(/_/g, ' '))})`
+        : '';
+    const checked = submission.status_checked_at ? `Checked ${new Date(submission.status_checked_at).toLocaleString()}` : '';
+    return `<span class="status ${status.className}" title="${checked}">${status.text}${category}</span>`;
+}
+
+// Latest engagement snapshot of a post (score, upvote ratio, comments)
+function renderMetrics(submission) {
+    if (submission.score === null || submission.score === undefined) return '';
+    
+    const ratio = submission.upvote_ratio !== null ? ` (${Math.round(submission.upvote_ratio * 100)}% upvoted)` : '';
+    const comments = submission.num_comments !== null ? ` · 💬 ${submission.num_comments}` : '';
+    return `<span class="metrics" title="Latest snapshot">▲ ${submission.score}${ratio}${comments}</span> · `;
+}
+
+// Fetch the tracked status of the posts posted from the current list
+const POST_STATUS_REFRESH_INTERVAL = 60000;
+
+async function refreshPostStatuses() {
+    const fullnames = Object.values(postedFullnames);
+    if (fullnames.length === 0) return;
+    
+    try {
+        const params = new URLSearchParams({ fullnames: fullnames.join(','), limit: 200 });
+        const response = await fetch(`/api/history?${params.toString()}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw apiError(data, 'Failed to load post statuses');
+        }
+        
+        const byFullname = {};
+        data.submissions.forEach(submission => {
+            byFullname[submission.fullname] = submission;
+        });
+        
+        Object.entries(postedFullnames).forEach(([postId, fullname]) => {
+            const submission = byFullname[fullname];
+            if (!submission) return;
+            postStatuses[postId] = submission;
+            const statusDiv = findPostItem(postId)?.querySelector('.reddit-status');
+            if (statusDiv) {
+                statusDiv.innerHTML = renderRedditStatus(submission);
+            }
+        });
+    } catch (error) {
+        // Not worth bothering the user - the next refresh tries again
+        console.error('Error refreshing post statuses:', error);
+    }
+}
+
+// Submission history (GET /api/history), one page at a time
+const HISTORY_PAGE_SIZE = 20;
+let historyOffset = 0;
+let historySubmissions = {};
+
+async function loadHistory(offset = historyOffset) {
+    historyOffset = Math.max(offset, 0);
+    
+    const params = new URLSearchParams({ limit: HISTORY_PAGE_SIZE, offset: historyOffset });
+    if (currentAccountId) params.set('accountId', currentAccountId);
+    const subreddit = document.getElementById('historySubreddit').value.trim();
+    if (subreddit) params.set('subreddit', subreddit);
+    const status = document.getElementById('historyStatus').value;
+    if (status) params.set('status', status);
+    const from = document.getElementById('historyFrom').value;
+    if (from) params.set('from', from);
+    const to = document.getElementById('historyTo').value;
+    if (to) params.set('to', to);
+    
+    try {
+        const response = await fetch(`/api/history?${params.toString()}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw apiError(data, 'Failed to load history');
+        }
+        renderHistory(data);
+    } catch (error) {
+        console.error('Error loading history:', error);
+        document.getElementById('historyList').innerHTML = `<p style="color: #dc3545;">${escapeHtml(getErrorMessage(error))}</p>`;
+    }
+}
+
+function renderHistory({ submissions, total, limit, offset }) {
+    const historyList = document.getElementById('historyList');
+    
+    if (submissions.length === 0) {
+        historyList.innerHTML = '<p style="color: #666;">No submissions yet.</p>';
+    } else {
+        historyList.innerHTML = submissions.map(renderHistoryItem).join('');
+    }
+    historySubmissions = Object.fromEntries(submissions.map(submission => [submission.id, submission]));
+    
+    const lastShown = Math.min(offset + submissions.length, total);
+    document.getElementById('historyPageInfo').textContent = total > 0 ? `${offset + 1}-${lastShown} of ${total}` : '';
+    document.getElementById('historyPrevBtn').disabled = offset === 0;
+    document.getElementById('historyNextBtn').disabled = offset + limit >= total;
+}
+
+function renderHistoryItem(submission) {
+    const posted = submission.status === 'posted';
+    const time = new Date(submission.created_at).toLocaleString();
+    const title = escapeHtml(submission.title || '(no title)');
+    const link = posted && submission.permalink
+        ? `<a href="${escapeHtml(submission.permalink)}" target="_blank" rel="noopener">${title}</a>`
+        : title;
+    const changeable = posted && submission.fullname && !submission.deleted_at && submission.reddit_status !== 'deleted';
+    const edited = submission.edited_at ? ` · edited ${new Date(submission.edited_at).toLocaleString()}` : '';
+    const crosspostOf = submission.crosspost_fullname ? `crosspost of ${escapeHtml(submission.crosspost_fullname)} · ` : '';
+    let comment = '';
+    if (posted && submission.comment_id) {
+        comment = ' · comment posted';
+    } else if (posted && submission.comment_error_code) {
+        comment = ` · <span style="color: #dc3545;" title="${escapeAttribute(submission.comment_error || '')}">comment failed (${escapeHtml(submission.comment_error_code)})</span>`;
+    }
+    const details = posted
+        ? `${crosspostOf}${submission.attempts > 1 ? `after ${submission.attempts} attempts` : ''}${edited}${comment}`
+        : `<span class="error-type api">${escapeHtml(submission.error_code || 'UNKNOWN')}</span> ${escapeHtml(submission.error || '')}`;
+    
+    return `
+        <div class="history-item" data-submission-id="${submission.id}" style="padding: 10px 12px; border-left: 3px solid ${posted ? '#28a745' : '#dc3545'}; background: white; border-radius: 4px; margin-bottom: 8px; font-size: 14px;">
+            <div style="display: flex; justify-content: space-between; gap: 10px;">
+                <span><strong>r/${escapeHtml(submission.subreddit)}</strong> · ${link}</span>
+                <span style="color: #666; white-space: nowrap;">${time}</span>
+            </div>
+            <div style="color: #666; font-size: 12px; margin-top: 4px;">
+                <span class="status ${posted ? 'valid' : 'invalid'}">${posted ? 'Posted' : 'Failed'}</span>
+                ${posted ? renderRedditStatus(submission) : ''}
+                ${posted ? renderMetrics(submission) : ''}${submission.account_name ? `${escapeHtml(submission.account_name)} · ` : ''}${details}
+            </div>
+            ${changeable ? `
+                <div style="margin-top: 6px; display: flex; gap: 5px;">
+                    ${submission.kind === 'self' ? `<button class="btn-small" onclick="editHistoryItem(${submission.id})" style="margin-left: 0; padding: 3px 10px; font-size: 12px; background: #6c757d;">Edit text</button>` : ''}
+                    <button class="btn-small" onclick="showCrosspostForm(${submission.id})" style="margin-left: 0; padding: 3px 10px; font-size: 12px; background: #6c757d;">Crosspost</button>
+                    <button class="btn-small" onclick="deleteHistoryItem(${submission.id})" style="margin-left: 0; padding: 3px 10px; font-size: 12px; background: #dc3545;">Delete</button>
+                </div>
+                <div class="history-edit" style="display: none; margin-top: 8px;"></div>
+                <div class="history-crosspost" style="display: none; margin-top: 8px;"></div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Delete a submitted post on Reddit (as the account that posted it)
+async function deleteHistoryItem(submissionId) {
+    const submission = historySubmissions[submissionId];
+    if (!submission || !confirm(`Delete "${submission.title}" from r/${submission.subreddit} on Reddit? This can't be undone.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/history/${submissionId}/delete`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw apiError(data, 'Failed to delete post');
+        }
+        showToast('Post deleted from Reddit', 'success');
+        loadHistory();
+    } catch (error) {
+        console.error('Error deleting post:', error);
+        const errorMessage = getErrorMessage(error);
+        addErrorLog('Delete Post', errorMessage, {
+            submissionId,
+            subreddit: submission.subreddit,
+            error,
+            code: error.code || null,
+            type: categorizeError(error)
+        }, () => deleteHistoryItem(submissionId));
+        showToast('Error deleting post: ' + errorMessage, 'error', 5000);
+    }
+}
+
+// Show an editor for the text of a submitted self-post
+function editHistoryItem(submissionId) {
+    const submission = historySubmissions[submissionId];
+    const editor = document.querySelector(`.history-item[data-submission-id="${submissionId}"] .history-edit`);
+    if (!submission || !editor) return;
+    
+    if (editor.style.display !== 'none') {
+        editor.style.display = 'none';
+        return;
+    }
+    editor.innerHTML = `
+        <textarea rows="6" style="width: 100%; padding: 8px; border: 2px solid #ddd; border-radius: 6px; font-size: 14px; font-family: inherit;"></textarea>
+        <div style="margin-top: 6px; display: flex; gap: 5px;">
+            <button class="btn-small" onclick="saveHistoryItemText(${submissionId})" style="margin-left: 0; padding: 3px 10px; font-size: 12px;">Save</button>
+            <button class="btn-small" onclick="this.closest('.history-edit').style.display = 'none'" style="padding: 3px 10px; font-size: 12px; background: #6c757d;">Cancel</button>
+        </div>
+    `;
+    editor.querySelector('textarea').value = submission.body || '';
+    editor.style.display = 'block';
+    editor.querySelector('textarea').focus();
+}
+
+async function saveHistoryItemText(submissionId) {
+    const submission = historySubmissions[submissionId];
+    const editor = document.querySelector(`.history-item[data-submission-id="${submissionId}"] .history-edit`);
+    if (!submission || !editor) return;
+    
+    try {
+        const response = await fetch(`/api/history/${submissionId}/edit`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: editor.querySelector('textarea').value })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw apiError(data, 'Failed to edit post');
+        }
+        showToast('Post text updated on Reddit', 'success');
+        loadHistory();
+    } catch (error) {
+        console.error('Error editing post:', error);
+        const errorMessage = getErrorMessage(error);
+        addErrorLog('Edit Post', errorMessage, {
+            submissionId,
+            subreddit: submission.subreddit,
+            error,
+            code: error.code || null,
+            type: categorizeError(error)
+        }, () => saveHistoryItemText(submissionId));
+        showToast('Error editing post: ' + errorMessage, 'error', 5000);
+    }
+}
+
+// Ask where to crosspost a submitted post (and under which title)
+function showCrosspostForm(submissionId) {
+    const submission = historySubmissions[submissionId];
+    const form = document.querySelector(`.history-item[data-submission-id="${submissionId}"] .history-crosspost`);
+    if (!submission || !form) return;
+    
+    if (form.style.display !== 'none') {
+        form.style.display = 'none';
+        return;
+    }
+    form.innerHTML = `
+        <input type="text" class="crosspost-subreddit" placeholder="Subreddit to crosspost to" style="padding: 6px 8px; margin-bottom: 6px; font-size: 14px;">
+        <input type="text" class="crosspost-title" placeholder="Title" style="padding: 6px 8px; margin-bottom: 6px; font-size: 14px;">
+        <div style="display: flex; gap: 5px;">
+            <button class="btn-small" onclick="crosspostHistoryItem(${submissionId})" style="margin-left: 0; padding: 3px 10px; font-size: 12px;">Crosspost</button>
+            <button class="btn-small" onclick="this.closest('.history-crosspost').style.display = 'none'" style="padding: 3px 10px; font-size: 12px; background: #6c757d;">Cancel</button>
+        </div>
+    `;
+    form.querySelector('.crosspost-title').value = submission.title || '';
+    form.style.display = 'block';
+    form.querySelector('.crosspost-subreddit').focus();
+}
+
+// Crosspost a submitted post with the selected account (or the one that posted it)
+async function crosspostHistoryItem(submissionId) {
+    const submission = historySubmissions[submissionId];
+    const form = document.querySelector(`.history-item[data-submission-id="${submissionId}"] .history-crosspost`);
+    if (!submission || !form) return;
+    
+    const subreddit = form.querySelector('.crosspost-subreddit').value.trim().replace(/^\/?r\//i, '');
+    const title = form.querySelector('.crosspost-title').value.trim();
+    if (!subreddit || !title) {
+        showToast('Enter the subreddit and a title', 'warning');
+        return;
+    }
+    
+    const accountId = currentAccountId || submission.account_id;
+    const post = { subreddit, title, crosspost: submission.fullname };
+    showLoader(`Crossposting to r/${subreddit}`);
+    try {
+        const response = await fetch('/api/posts/single', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ accountId, post })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw apiError(data, 'Failed to crosspost');
+        }
+        showToast(`Crossposted to r/${subreddit}`, 'success');
+        loadHistory();
+    } catch (error) {
+        console.error('Error crossposting:', error);
+        const errorMessage = getErrorMessage(error);
+        addErrorLog('Crosspost', errorMessage, {
+            submissionId,
+            subreddit,
+            error,
+            code: error.code || null,
+            type: categorizeError(error)
+        }, () => crosspostHistoryItem(submissionId));
+        showToast('Error crossposting: ' + errorMessage, 'error', 5000);
+    } finally {
+        hideLoader();
+    }
+}
+
+// Analytics: outcomes by account and subreddit, failure reasons, volume, engagement
+async function loadAnalytics() {
+    const params = new URLSearchParams({ interval: document.getElementById('analyticsInterval').value });
+    if (currentAccountId) params.set('accountId', currentAccountId);
+    const from = document.getElementById('analyticsFrom').value;
+    if (from) params.set('from', from);
+    const to = document.getElementById('analyticsTo').value;
+    if (to) params.set('to', to);
+    
+    try {
+        const response = await fetch(`/api/analytics?${params.toString()}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw apiError(data, 'Failed to load analytics');
+        }
+        renderAnalytics(data);
+    } catch (error) {
+        console.error('Error loading analytics:', error);
+        document.getElementById('analyticsContent').innerHTML = `<p style="color: #dc3545;">${escapeHtml(getErrorMessage(error))}</p>`;
+    }
+}
+
+function successRate(row) {
+    return row.total > 0 ? Math.round((row.posted / row.total) * 100) : 0;
+}
+
+// Simple horizontal bar, width relative to the largest value shown
+function renderBar(value, max, color) {
+    const width = max > 0 ? Math.max(Math.round((value / max) * 100), value > 0 ? 1 : 0) : 0;
+    return `<div style="height: 10px; width: ${width}%; background: ${color}; border-radius: 2px;"></div>`;
+}
+
+function renderAnalyticsTable(headers, rows) {
+    if (rows.length === 0) {
+        return '<p style="color: #666; font-size: 14px;">No data.</p>';
+    }
+    return `
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+            <tr>${headers.map(header => `<th style="text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd;">${header}</th>`).join('')}</tr>
+            ${rows.map(cells => `<tr>${cells.map(cell => `<td style="padding: 6px 8px; border-bottom: 1px solid #eee;">${cell}</td>`).join('')}</tr>`).join('')}
+        </table>
+    `;
+}
+
+function renderOutcomeRows(rows, label) {
+    return renderAnalyticsTable(
+        [label, 'Posted', 'Failed', 'Removed', 'Success rate'],
+        rows.map(row => [
+            label === 'Account' ? escapeHtml(row.account_name || '(deleted account)') : `r/${escapeHtml(row.subreddit)}`,
+            row.posted,
+            row.failed,
+            row.removed,
+            `<div style="display: flex; align-items: center; gap: 8px;"><span style="width: 40px;">${successRate(row)}%</span><div style="flex: 1; background: #f8d7da; border-radius: 2px;">${renderBar(row.posted, row.total, '#28a745')}</div></div>`
+        ])
+    );
+}
+
+function formatPeriod(period, interval) {
+    const date = new Date(period);
+    if (interval === 'month') {
+        return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+    }
+    return interval === 'week' ? `Week of ${date.toLocaleDateString()}` : date.toLocaleDateString();
+}
+
+function formatMedian(value, digits = 0) {
+    return value === null || value === undefined ? '-' : Number(value).toFixed(digits);
+}
+
+function renderAnalytics({ interval, totals, byAccount, bySubreddit, failureReasons, volume, engagement }) {
+    const content = document.getElementById('analyticsContent');
+    
+    if (totals.total === 0) {
+        content.innerHTML = '<p style="color: #666;">No submissions yet.</p>';
+        return;
+    }
+    
+    const maxVolume = Math.max(...volume.map(row => row.posted + row.failed), 0);
+    const maxFailures = Math.max(...failureReasons.map(row => row.count), 0);
+    const heading = text => `<h3 style="margin: 20px 0 10px; font-size: 16px;">${text}</h3>`;
+    
+    content.innerHTML = `
+        <div style="display: flex; gap: 20px; flex-wrap: wrap; font-size: 14px;">
+            <span><strong>${totals.total}</strong> submissions</span>
+            <span style="color: #28a745;"><strong>${totals.posted}</strong> posted</span>
+            <span style="color: #dc3545;"><strong>${totals.failed}</strong> failed</span>
+            <span style="color: #856404;"><strong>${totals.removed}</strong> removed after posting</span>
+            <span><strong>${successRate(totals)}%</strong> success rate</span>
+        </div>
+        ${heading('By account')}
+        ${renderOutcomeRows(byAccount, 'Account')}
+        ${heading('By subreddit')}
+        ${renderOutcomeRows(bySubreddit, 'Subreddit')}
+        ${heading('Failure reasons')}
+        ${renderAnalyticsTable(['Code', 'Failures', ''], failureReasons.map(row => [
+            `<span class="error-type ${categorizeError({ code: row.error_code })}">${escapeHtml(row.error_code)}</span>`,
+            row.count,
+            `<div style="width: 200px;">${renderBar(row.count, maxFailures, '#dc3545')}</div>`
+        ]))}
+        ${heading('Posting volume')}
+        ${renderAnalyticsTable(['Period', 'Posted', 'Failed', ''], volume.map(row => [
+            formatPeriod(row.period, interval),
+            row.posted,
+            row.failed,
+            `<div style="width: 200px; display: flex;">${renderBar(row.posted, maxVolume, '#28a745')}${renderBar(row.failed, maxVolume, '#dc3545')}</div>`
+        ]))}
+        ${heading('Median engagement per subreddit')}
+        ${renderAnalyticsTable(['Subreddit', 'Tracked posts', 'Score', 'Comments', 'Upvoted'], engagement.map(row => [
+            `r/${escapeHtml(row.subreddit)}`,
+            row.posts,
+            formatMedian(row.median_score, 1),
+            formatMedian(row.median_comments, 1),
+            row.median_upvote_ratio === null ? '-' : `${Math.round(row.median_upvote_ratio * 100)}%`
+        ]))}
+    `;
+}
+
 // Enhanced Error Logging
 function addErrorLog(title, message, details = {}, retryCallback = null) {
     const errorLogContainer = document.getElementById('errorLogContainer');
@@ -1063,6 +2265,7 @@ function addErrorLog(title, message, details = {}, retryCallback = null) {
             <div>
                 <span class="error-time">[${time}] ${title}</span>
                 <span class="error-type ${errorType}">${errorType}</span>
+                ${details.code ? `<span class="error-type ${errorType}">${details.code}</span>` : ''}
             </div>
         </div>
         <div class="error-message">${message}</div>
@@ -1137,6 +2340,49 @@ function clearErrorLog() {
     showToast('Error log cleared', 'info');
 }
 
+// Post defaults of the selected account
+function updatePostDefaultsSection() {
+    const section = document.getElementById('postDefaultsSection');
+    const account = accounts.find(a => a.id == currentAccountId);
+    if (!account) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    const defaults = account.post_defaults || {};
+    document.getElementById('postDefaultsOptions').innerHTML = Object.entries(PostOptions).map(([name, option]) => `
+        <label style="font-size: 14px;">
+            <input type="checkbox" ${(typeof defaults[name] === 'boolean' ? defaults[name] : option.default) ? 'checked' : ''} onchange="savePostDefault('${name}', this.checked)">
+            ${option.label}
+        </label>
+    `).join('');
+    section.style.display = 'block';
+}
+
+async function savePostDefault(name, value) {
+    const account = accounts.find(a => a.id == currentAccountId);
+    if (!account) return;
+    
+    try {
+        const response = await fetch(`/api/accounts/${account.id}/post-defaults`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...account.post_defaults, [name]: value })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw apiError(data, 'Failed to save post defaults');
+        }
+        account.post_defaults = data.account.post_defaults;
+        showToast(`Default saved: ${PostOptions[name].label} ${value ? 'on' : 'off'}`, 'success');
+        if (parsedPosts.length > 0) displayPosts(parsedPosts);
+    } catch (error) {
+        console.error('Error saving post defaults:', error);
+        showToast('Error saving post defaults: ' + getErrorMessage(error), 'error', 5000);
+        updatePostDefaultsSection();
+    }
+}
+
 // Proxy Management Functions
 async function updateProxySection() {
     const proxySection = document.getElementById('proxySection');
@@ -1238,7 +2484,6 @@ async function saveProxy() {
                 name: account.name,
                 client_id: account.client_id,
                 client_secret: account.client_secret,
-                refresh_token: account.refresh_token,
                 txt_file: account.txt_file || '',
                 proxy_host: proxyHost || null,
                 proxy_port: proxyPort,
@@ -1256,7 +2501,7 @@ async function saveProxy() {
             updateProxySection();
             cancelProxyEdit();
         } else {
-            throw new Error(data.error || 'Failed to save proxy settings');
+            throw apiError(data, 'Failed to save proxy settings');
         }
     } catch (error) {
         console.error('Error saving proxy:', error);
@@ -1295,7 +2540,6 @@ async function clearProxy() {
                 name: account.name,
                 client_id: account.client_id,
                 client_secret: account.client_secret,
-                refresh_token: account.refresh_token,
                 txt_file: account.txt_file || '',
                 proxy_host: null,
                 proxy_port: null,
@@ -1313,7 +2557,7 @@ async function clearProxy() {
             updateProxySection();
             cancelProxyEdit();
         } else {
-            throw new Error(data.error || 'Failed to clear proxy settings');
+            throw apiError(data, 'Failed to clear proxy settings');
         }
     } catch (error) {
         console.error('Error clearing proxy:', error);
@@ -1369,7 +2613,7 @@ async function checkProxyIp() {
             `;
             showToast('Proxy IP checked successfully!', 'success');
         } else {
-            throw new Error(data.error || 'Failed to check proxy IP');
+            throw apiError(data, 'Failed to check proxy IP');
         }
     } catch (error) {
         console.error('Error checking proxy IP:', error);
@@ -1509,7 +2753,7 @@ async function checkFlairs(postId) {
         
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `Server error: ${response.status}`);
+            throw apiError(errorData, `Server error: ${response.status}`);
         }
         
         const data = await response.json();
@@ -1700,6 +2944,11 @@ function selectFlair(postId, flair) {
     // Refresh display
     displayPosts(parsedPosts);
     
+    // The flair may have fixed a preflight violation - check the post again
+    if (preflightResults[post.id]) {
+        checkRequirements([post.id]);
+    }
+    
     // Show success message
     const flairName = flair.text && flair.text !== '(empty)' ? flair.text : (flair.id ? `ID: ${flair.id.substring(0, 20)}...` : 'Unknown');
     showToast(`Flair "${flairName}" selected for r/${post.subreddit}`, 'success');
@@ -5,8 +5,18 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { parseTxtFile } = require('./utils/parser');
-const { uploadPost, uploadAllPosts, getAccessToken, getProxyAgents } = require('./utils/reddit');
-const { initDatabase, getAllAccounts, getAccountById, addAccount, updateAccount, deleteAccount } = require('./db/database');
+const { parseCsvFile, parseXlsxFile } = require('./utils/spreadsheet');
+const { BATCH_SCHEMA, parseBatch, parseJsonFile, parseJsonlFile } = require('./utils/batch');
+const { submitPost, POST_OPTION_DEFAULTS, deleteSubmission, editSubmissionText, getAccessToken, clearAccessToken, getProxyAgents } = require('./utils/reddit');
+const { RedditError, interpretRequestError, toErrorResponse } = require('./utils/errors');
+const { getRateLimit, clearRateLimit } = require('./utils/ratelimit');
+const { preflightPosts } = require('./utils/preflight');
+const { dryRunPosts } = require('./utils/dryrun');
+const { startTracker } = require('./utils/tracker');
+const { backfillNormalizedUrls } = require('./utils/duplicates');
+const { MEDIA_DIR, MEDIA_TYPES, getMediaType } = require('./utils/media');
+const { enqueueJob, getJob, pauseJob, resumeJob, cancelJob, jobEvents, startWorker } = require('./utils/jobs');
+const { initDatabase, getAllAccounts, getAccountById, addAccount, updateAccount, updatePostDefaults, deleteAccount, getJobs, getSubmissions, getSubmissionById, markSubmissionDeleted, updateSubmissionBody, getSubmissionMetrics, getMetricsTotals, getAnalytics } = require('./db/database');
 const axios = require('axios');
 const crypto = require('crypto');
 
@@ -26,12 +36,74 @@ if (!fs.existsSync('uploads')) {
   fs.mkdirSync('uploads');
 }
 
-// Initialize database on startup
-initDatabase().catch(err => {
+// Images and videos for media posts - saved under their own name (made unique)
+// so TXT files can refer to them
+if (!fs.existsSync(MEDIA_DIR)) {
+  fs.mkdirSync(MEDIA_DIR, { recursive: true });
+}
+const mediaUpload = multer({
+  storage: multer.diskStorage({
+    destination: MEDIA_DIR,
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      const base = path.basename(file.originalname, path.extname(file.originalname)).replace(/[^\w.-]+/g, '_') || 'media';
+      let name = `${base}${ext}`;
+      for (let i = 1; fs.existsSync(path.join(MEDIA_DIR, name)); i++) {
+        name = `${base}-${i}${ext}`;
+      }
+      cb(null, name);
+    }
+  }),
+  fileFilter: (req, file, cb) => cb(null, !!getMediaType(file.originalname))
+});
+app.use('/media', express.static(MEDIA_DIR));
+
+// Initialize database on startup, then resume any queued posting jobs
+initDatabase().then(async () => {
+  await backfillNormalizedUrls();
+  startWorker();
+  startTracker();
+}).catch(err => {
   console.error('Failed to initialize database:', err);
   process.exit(1);
 });
 
+// Error codes for errors raised by this API itself (not by Reddit)
+const STATUS_ERROR_CODES = {
+  400: 'INVALID_REQUEST',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  500: 'INTERNAL_ERROR'
+};
+
+// Send an error in the shared shape: { error, code, retryable, retryAfter, redditResponse, ...extra }
+// `error` can be a message or an Error (RedditError keeps its own code).
+function sendError(res, status, error, fallbackMessage = 'Something went wrong', extra = {}) {
+  return res.status(status).json({
+    ...toErrorResponse(error, fallbackMessage || 'Something went wrong', STATUS_ERROR_CODES[status] || 'UNKNOWN'),
+    ...extra
+  });
+}
+
+// Every :id in a route is a database id (SERIAL) - anything else is a bad
+// request, not a database error
+const MAX_ID = 2147483647;
+
+// The id in a request value, or null if it isn't one
+function parseId(value) {
+  const id = Number(value);
+  return /^\d+$/.test(value) && id > 0 && id <= MAX_ID ? id : null;
+}
+
+app.param('id', (req, res, next, value) => {
+  const id = parseId(value);
+  if (id === null) {
+    return sendError(res, 400, `Invalid id "${value}" - ids are positive whole numbers`);
+  }
+  req.params.id = id;
+  next();
+});
+
 // Routes
 
 // Get version
@@ -47,7 +119,7 @@ app.get('/api/accounts', async (req, res) => {
     res.json(accounts);
   } catch (error) {
     console.error('Error getting accounts:', error);
-    res.status(500).json({ error: error.message || 'Failed to get accounts' });
+    sendError(res, 500, error, 'Failed to get accounts');
   }
 });
 
@@ -56,12 +128,54 @@ app.get('/api/accounts/:id', async (req, res) => {
   try {
     const account = await getAccountById(req.params.id);
     if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
+      return sendError(res, 404, 'Account not found');
     }
     res.json(account);
   } catch (error) {
     console.error('Error getting account:', error);
-    res.status(500).json({ error: error.message || 'Failed to get account' });
+    sendError(res, 500, error, 'Failed to get account');
+  }
+});
+
+// Get the account's current Reddit rate limit budget
+app.get('/api/accounts/:id/ratelimit', async (req, res) => {
+  try {
+    const account = await getAccountById(req.params.id);
+    if (!account) {
+      return sendError(res, 404, 'Account not found');
+    }
+    res.json(getRateLimit(account.id));
+  } catch (error) {
+    console.error('Error getting rate limit:', error);
+    sendError(res, 500, error, 'Failed to get rate limit');
+  }
+});
+
+// Set an account's defaults for post options (nsfw, spoiler, oc, sendreplies).
+// Options left out fall back to Reddit's behaviour.
+app.put('/api/accounts/:id/post-defaults', async (req, res) => {
+  try {
+    const postDefaults = {};
+    for (const [name, value] of Object.entries(req.body || {})) {
+      if (!(name in POST_OPTION_DEFAULTS)) {
+        return sendError(res, 400, `Unknown post option: ${name}. Use: ${Object.keys(POST_OPTION_DEFAULTS).join(', ')}`);
+      }
+      if (value !== null && typeof value !== 'boolean') {
+        return sendError(res, 400, `${name} must be true, false or null`);
+      }
+      if (value !== null) {
+        postDefaults[name] = value;
+      }
+    }
+
+    const account = await updatePostDefaults(req.params.id, postDefaults);
+    if (!account) {
+      return sendError(res, 404, 'Account not found');
+    }
+    res.json({ success: true, account });
+  } catch (error) {
+    console.error('Error updating post defaults:', error);
+    sendError(res, 500, error, 'Failed to update post defaults');
   }
 });
 
@@ -71,7 +185,7 @@ app.post('/api/accounts/add', async (req, res) => {
     const { name, client_id, client_secret, refresh_token, txt_file, proxy_host, proxy_port, proxy_username, proxy_password, proxy_type } = req.body;
 
     if (!name || !client_id || !client_secret || !refresh_token) {
-      return res.status(400).json({ error: 'Missing required fields: name, client_id, client_secret, refresh_token' });
+      return sendError(res, 400, 'Missing required fields: name, client_id, client_secret, refresh_token');
     }
 
     const newAccount = await addAccount(
@@ -89,7 +203,7 @@ app.post('/api/accounts/add', async (req, res) => {
     res.json({ success: true, account: newAccount });
   } catch (error) {
     console.error('Error adding account:', error);
-    res.status(500).json({ error: error.message || 'Failed to add account' });
+    sendError(res, 500, error, 'Failed to add account');
   }
 });
 
@@ -97,12 +211,19 @@ app.post('/api/accounts/add', async (req, res) => {
 app.put('/api/accounts/:id', async (req, res) => {
   try {
     const { name, client_id, client_secret, refresh_token, txt_file, proxy_host, proxy_port, proxy_username, proxy_password, proxy_type } = req.body;
+    
+    const existing = await getAccountById(req.params.id);
+    if (!existing) {
+      return sendError(res, 404, 'Account not found');
+    }
+    
     const account = await updateAccount(
       req.params.id, 
       name, 
       client_id, 
       client_secret, 
-      refresh_token, 
+      // Keep the stored token (it may have been rotated) unless a new one is given
+      refresh_token || existing.refresh_token, 
       txt_file || '',
       proxy_host || null,
       proxy_port || null,
@@ -112,13 +233,16 @@ app.put('/api/accounts/:id', async (req, res) => {
     );
     
     if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
+      return sendError(res, 404, 'Account not found');
     }
     
+    // Credentials or proxy may have changed
+    clearAccessToken(account.id);
+    
     res.json({ success: true, account });
   } catch (error) {
     console.error('Error updating account:', error);
-    res.status(500).json({ error: error.message || 'Failed to update account' });
+    sendError(res, 500, error, 'Failed to update account');
   }
 });
 
@@ -128,13 +252,16 @@ app.delete('/api/accounts/:id', async (req, res) => {
     const account = await deleteAccount(req.params.id);
     
     if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
+      return sendError(res, 404, 'Account not found');
     }
     
+    clearAccessToken(account.id);
+    clearRateLimit(account.id);
+    
     res.json({ success: true, message: 'Account deleted successfully' });
   } catch (error) {
     console.error('Error deleting account:', error);
-    res.status(500).json({ error: error.message || 'Failed to delete account' });
+    sendError(res, 500, error, 'Failed to delete account');
   }
 });
 
@@ -144,7 +271,7 @@ app.post('/api/auth/generate-url', (req, res) => {
     const { client_id, client_secret, redirect_uri } = req.body;
 
     if (!client_id || !redirect_uri) {
-      return res.status(400).json({ error: 'Missing required fields: client_id, redirect_uri' });
+      return sendError(res, 400, 'Missing required fields: client_id, redirect_uri');
     }
 
     // Generate state for security
@@ -156,7 +283,7 @@ app.post('/api/auth/generate-url', (req, res) => {
       state: state,
       redirect_uri: redirect_uri,
       duration: 'permanent',
-      scope: 'submit identity read'
+      scope: 'submit identity read flair edit'
     });
 
     const authUrl = `https://www.reddit.com/api/v1/authorize?${params.toString()}`;
@@ -164,7 +291,7 @@ app.post('/api/auth/generate-url', (req, res) => {
     res.json({ auth_url: authUrl, state: state });
   } catch (error) {
     console.error('Error generating auth URL:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate authorization URL' });
+    sendError(res, 500, error, 'Failed to generate authorization URL');
   }
 });
 
@@ -174,7 +301,7 @@ app.post('/api/auth/exchange-code', async (req, res) => {
     const { client_id, client_secret, redirect_uri, code } = req.body;
 
     if (!client_id || !client_secret || !redirect_uri || !code) {
-      return res.status(400).json({ error: 'Missing required fields: client_id, client_secret, redirect_uri, code' });
+      return sendError(res, 400, 'Missing required fields: client_id, client_secret, redirect_uri, code');
     }
 
     const response = await axios.post(
@@ -203,58 +330,327 @@ app.post('/api/auth/exchange-code', async (req, res) => {
     });
   } catch (error) {
     console.error('Error exchanging code:', error.response?.data || error.message);
-    res.status(500).json({
-      error: error.response?.data?.error || error.message || 'Failed to exchange code for token'
-    });
+    const authError = error.response?.data?.error
+      ? new RedditError('AUTH_INVALID', `Failed to exchange code for token: ${error.response.data.error}`, { raw: error.response.data })
+      : interpretRequestError(error);
+    sendError(res, 500, authError, 'Failed to exchange code for token');
   }
 });
 
-// Upload and parse TXT file
-app.post('/api/posts/upload', upload.single('file'), (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+// Send the field errors of a batch that doesn't match the schema
+function sendBatchErrors(res, errors, what) {
+  return sendError(res, 400, `${what} doesn't match schemas/batch.schema.json (${errors.length} error${errors.length === 1 ? '' : 's'})`, null, { errors });
+}
 
-    const filePath = req.file.path;
-    const posts = parseTxtFile(filePath);
+// Upload and parse a post file: TXT, CSV / XLSX with a header row, or a JSON /
+// JSON Lines batch (schemas/batch.schema.json)
+app.post('/api/posts/upload', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return sendError(res, 400, 'No file uploaded');
+  }
 
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
+  const filePath = req.file.path;
+  try {
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    let parsed;
+    if (extension === '.csv') {
+      parsed = parseCsvFile(filePath);
+    } else if (extension === '.xlsx') {
+      parsed = await parseXlsxFile(filePath);
+    } else if (extension === '.json' || extension === '.jsonl') {
+      const batch = extension === '.json' ? parseJsonFile(filePath) : parseJsonlFile(filePath);
+      if (batch.errors.length > 0) {
+        return sendBatchErrors(res, batch.errors, 'The file');
+      }
+      parsed = { posts: batch.posts, diagnostics: [] };
+    } else {
+      parsed = parseTxtFile(filePath);
+    }
 
-    res.json({ posts });
+    res.json({ posts: parsed.posts, diagnostics: parsed.diagnostics });
   } catch (error) {
     console.error('Error parsing file:', error);
-    res.status(500).json({ error: error.message || 'Failed to parse file' });
+    sendError(res, error.code === 'INVALID_REQUEST' ? 400 : 500, error, 'Failed to parse file');
+  } finally {
+    // Clean up uploaded file
+    fs.unlink(filePath, () => {});
   }
 });
 
+// Save an image or video for a media post. Returns the file name to use in
+// the post's media ({ type, file }) or in a TXT "image:" / "video:" line.
+app.post('/api/media', mediaUpload.single('file'), (req, res) => {
+  if (!req.file) {
+    return sendError(res, 400, `No file uploaded or unsupported format. Use one of: ${Object.keys(MEDIA_TYPES).join(', ')}`);
+  }
+
+  res.json({
+    success: true,
+    file: req.file.filename,
+    type: getMediaType(req.file.filename).type,
+    size: req.file.size,
+    url: `/media/${encodeURIComponent(req.file.filename)}`
+  });
+});
+
 // Post single post
 app.post('/api/posts/single', async (req, res) => {
   let post = null;
   let accountId = null;
   
   try {
-    const { post: postData, accountId: id } = req.body;
+    const { post: postData, accountId: id, dryRun, resubmit } = req.body;
     post = postData;
     accountId = id;
 
     if (!post || !accountId) {
-      return res.status(400).json({ error: 'Missing post data or accountId' });
+      return sendError(res, 400, 'Missing post data or accountId');
     }
 
-    const result = await uploadPost(post, accountId);
-    res.json({ success: true, result });
+    // Build the request without submitting it
+    if (dryRun) {
+      const { results, ...report } = await dryRunPosts([{ ...post, isValid: true }], accountId, { resubmit: !!resubmit });
+      const result = results[0];
+      return res.json({
+        success: true,
+        dryRun: true,
+        ...report,
+        ok: result.ok && !report.problems.some(p => p.severity === 'error'),
+        result
+      });
+    }
+
+    const result = await submitPost(post, accountId, { resubmit: !!resubmit });
+    res.json({ success: true, result, attempts: result.attempts });
   } catch (error) {
     console.error('Error uploading post:', error);
     
     // Include post and accountId in error response for better debugging
-    res.status(500).json({
-      error: error.message || 'Failed to upload post',
+    sendError(res, error.code === 'DUPLICATE_SUBMISSION' ? 409 : 500, error, 'Failed to upload post', {
       post: post,
       accountId: accountId,
-      redditResponse: error.redditResponse
+      attempts: error.attempts || null,
+      ...(error.duplicateOf && { duplicateOf: error.duplicateOf })
+    });
+  }
+});
+
+// Submission statuses that can be filtered on in the history
+const SUBMISSION_STATUSES = ['posted', 'failed'];
+
+// How engagement totals can be grouped
+const METRICS_GROUPS = ['subreddit', 'account'];
+
+// Periods the analytics posting volume can be grouped by
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// A date without a time (2024-05-01) as an upper bound means the whole day
+function endOfDay(value) {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+}
+
+// Submission history with filters and pagination:
+// ?accountId=&subreddit=&status=posted|failed&from=&to=&fullnames=t3_a,t3_b&limit=&offset=
+app.get('/api/history', async (req, res) => {
+  try {
+    const { accountId, subreddit, status, from, to, fullnames } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (status && !SUBMISSION_STATUSES.includes(status)) {
+      return sendError(res, 400, `Invalid status: ${status}. Use one of: ${SUBMISSION_STATUSES.join(', ')}`);
+    }
+    if (accountId && parseId(accountId) === null) {
+      return sendError(res, 400, `Invalid accountId "${accountId}" - ids are positive whole numbers`);
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return sendError(res, 400, `Invalid ${name} date: ${value}`);
+      }
+    }
+
+    const { submissions, total } = await getSubmissions({
+      account_id: accountId ? parseId(accountId) : null,
+      subreddit: subreddit ? subreddit.replace(/^r\//, '') : null,
+      status,
+      from: from ? new Date(from) : null,
+      to: to ? endOfDay(to) : null,
+      fullnames: fullnames ? fullnames.split(',').map(name => name.trim()).filter(Boolean) : null,
+      limit,
+      offset
+    });
+
+    res.json({ submissions, total, limit, offset });
+  } catch (error) {
+    console.error('Error getting history:', error);
+    sendError(res, 500, error, 'Failed to get submission history');
+  }
+});
+
+// Why a submission can't be changed on Reddit, or null
+function submissionChangeError(submission) {
+  if (submission.status !== 'posted' || !submission.fullname) {
+    return 'Only posted submissions can be changed.';
+  }
+  if (submission.deleted_at || submission.reddit_status === 'deleted') {
+    return 'The post has already been deleted.';
+  }
+  return null;
+}
+
+// Delete a submitted post on Reddit, as the account that posted it
+app.post('/api/history/:id/delete', async (req, res) => {
+  try {
+    const submission = await getSubmissionById(parseInt(req.params.id));
+    if (!submission) {
+      return sendError(res, 404, 'Submission not found');
+    }
+    const changeError = submissionChangeError(submission);
+    if (changeError) {
+      return sendError(res, 409, changeError);
+    }
+
+    await deleteSubmission(submission);
+    const updated = await markSubmissionDeleted(submission.id);
+    res.json({ success: true, submission: updated });
+  } catch (error) {
+    console.error('Error deleting submission:', error);
+    sendError(res, error.code === 'ACCOUNT_NOT_FOUND' ? 404 : 500, error, 'Failed to delete post');
+  }
+});
+
+// Edit the text of a submitted self-post, as the account that posted it
+app.post('/api/history/:id/edit', async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (typeof text !== 'string') {
+      return sendError(res, 400, 'Missing text');
+    }
+
+    const submission = await getSubmissionById(parseInt(req.params.id));
+    if (!submission) {
+      return sendError(res, 404, 'Submission not found');
+    }
+    const changeError = submissionChangeError(submission);
+    if (changeError) {
+      return sendError(res, 409, changeError);
+    }
+    if (submission.kind !== 'self') {
+      return sendError(res, 400, 'Only text posts can be edited - Reddit doesn\'t allow changing a link.');
+    }
+
+    const body = await editSubmissionText(submission, text);
+    const updated = await updateSubmissionBody(submission.id, body);
+    res.json({ success: true, submission: updated });
+  } catch (error) {
+    console.error('Error editing submission:', error);
+    sendError(res, error.code === 'ACCOUNT_NOT_FOUND' ? 404 : 500, error, 'Failed to edit post');
+  }
+});
+
+// Engagement time series of one submission (snapshots taken by the status checker)
+app.get('/api/history/:id/metrics', async (req, res) => {
+  try {
+    const submission = await getSubmissionById(parseInt(req.params.id));
+    if (!submission) {
+      return sendError(res, 404, 'Submission not found');
+    }
+
+    const metrics = await getSubmissionMetrics(submission.id);
+    res.json({ submission, metrics });
+  } catch (error) {
+    console.error('Error getting submission metrics:', error);
+    sendError(res, 500, error, 'Failed to get submission metrics');
+  }
+});
+
+// Engagement totals of posted submissions per subreddit or per account
+app.get('/api/metrics', async (req, res) => {
+  try {
+    const { accountId, from, to } = req.query;
+    const groupBy = req.query.groupBy || 'subreddit';
+
+    if (!METRICS_GROUPS.includes(groupBy)) {
+      return sendError(res, 400, `Invalid groupBy: ${groupBy}. Use one of: ${METRICS_GROUPS.join(', ')}`);
+    }
+    if (accountId && parseId(accountId) === null) {
+      return sendError(res, 400, `Invalid accountId "${accountId}" - ids are positive whole numbers`);
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return sendError(res, 400, `Invalid ${name} date: ${value}`);
+      }
+    }
+
+    const totals = await getMetricsTotals(groupBy, {
+      account_id: accountId ? parseId(accountId) : null,
+      from: from ? new Date(from) : null,
+      to: to ? endOfDay(to) : null
     });
+
+    res.json({ groupBy, totals });
+  } catch (error) {
+    console.error('Error getting metrics totals:', error);
+    sendError(res, 500, error, 'Failed to get engagement totals');
+  }
+});
+
+// Posting outcomes: success/failure by account and subreddit, failure reasons,
+// volume over time and median engagement per subreddit
+app.get('/api/analytics', async (req, res) => {
+  try {
+    const { accountId, from, to } = req.query;
+    const interval = req.query.interval || 'day';
+
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return sendError(res, 400, `Invalid interval: ${interval}. Use one of: ${ANALYTICS_INTERVALS.join(', ')}`);
+    }
+    if (accountId && parseId(accountId) === null) {
+      return sendError(res, 400, `Invalid accountId "${accountId}" - ids are positive whole numbers`);
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return sendError(res, 400, `Invalid ${name} date: ${value}`);
+      }
+    }
+
+    const analytics = await getAnalytics({
+      account_id: accountId ? parseId(accountId) : null,
+      from: from ? new Date(from) : null,
+      to: to ? endOfDay(to) : null,
+      interval
+    });
+
+    res.json({ interval, ...analytics });
+  } catch (error) {
+    console.error('Error getting analytics:', error);
+    sendError(res, 500, error, 'Failed to get analytics');
+  }
+});
+
+// Check posts against their subreddits' posting rules without submitting anything
+app.post('/api/posts/preflight', async (req, res) => {
+  try {
+    const { posts, accountId } = req.body;
+
+    if (!posts || !Array.isArray(posts) || !accountId) {
+      return sendError(res, 400, 'Missing posts array or accountId');
+    }
+
+    const results = await preflightPosts(posts, accountId);
+    res.json({
+      success: true,
+      results,
+      failed: results.filter(result => !result.ok).length
+    });
+  } catch (error) {
+    console.error('Error running preflight check:', error);
+    sendError(res, error.code === 'ACCOUNT_NOT_FOUND' ? 404 : 500, error, 'Failed to run preflight check');
   }
 });
 
@@ -264,63 +660,244 @@ app.post('/api/posts/all', async (req, res) => {
   let accountId = null;
   
   try {
-    const { posts: postsData, accountId: id, delayFrom, delayUpTo } = req.body;
+    const { posts: postsData, accountId: id, delayFrom, delayUpTo, dryRun, resubmit } = req.body;
     posts = postsData;
     accountId = id;
 
     if (!posts || !Array.isArray(posts) || !accountId) {
-      return res.status(400).json({ error: 'Missing posts array or accountId' });
+      return sendError(res, 400, 'Missing posts array or accountId');
     }
 
     const validPosts = posts.filter(p => p.isValid);
     
     if (validPosts.length === 0) {
-      return res.status(400).json({ error: 'No valid posts to upload' });
-    }
-
-    // Start uploading in background
-    uploadAllPosts(
-      posts,
-      accountId,
-      delayFrom || 0,
-      delayUpTo || 0,
-      (progress) => {
-        // Progress callback can be used for WebSocket/SSE in future
-        console.log(`Progress: ${progress.current}/${progress.total} - ${progress.post.title}`);
-      }
-    ).then(result => {
-      console.log('Upload completed:', result);
-    }).catch(err => {
-      console.error('Upload failed:', err);
-    });
+      return sendError(res, 400, 'No valid posts to upload');
+    }
+
+    const account = await getAccountById(accountId);
+    if (!account) {
+      return sendError(res, 404, 'Account not found');
+    }
+
+    // Check the whole batch and return what would be sent, without queueing anything
+    if (dryRun) {
+      const report = await dryRunPosts(posts, accountId, { resubmit: !!resubmit });
+      const accountOk = !report.problems.some(p => p.severity === 'error');
+      return res.json({
+        success: true,
+        dryRun: true,
+        ...report,
+        total: validPosts.length,
+        ok: accountOk && report.results.every(result => result.ok),
+        failed: report.results.filter(result => !result.ok).length
+      });
+    }
+
+    // Queue the job - the server-side worker posts it, even if the browser goes away
+    const job = await enqueueJob(validPosts, accountId, delayFrom || 0, delayUpTo || 0, { resubmit: !!resubmit });
 
     res.json({
       success: true,
-      message: `Started uploading ${validPosts.length} posts`,
+      message: `Queued ${validPosts.length} posts`,
+      jobId: job.id,
       total: validPosts.length
     });
   } catch (error) {
     console.error('Error starting upload:', error);
     
     // Include posts and accountId in error response
-    res.status(500).json({
-      error: error.message || 'Failed to start upload',
+    sendError(res, 500, error, 'Failed to start upload', {
       posts: posts,
       accountId: accountId
     });
   }
 });
 
-// Get upload progress (for future use with WebSocket/SSE)
-app.get('/api/posts/progress/:uploadId', (req, res) => {
-  const { getUploadProgress } = require('./utils/reddit');
-  const progress = getUploadProgress(req.params.uploadId);
-  
-  if (!progress) {
-    return res.status(404).json({ error: 'Upload progress not found' });
+// The JSON Schema for batches (POST /api/batches and .json / .jsonl uploads)
+app.get('/api/batches/schema', (req, res) => {
+  res.json(BATCH_SCHEMA);
+});
+
+// Queue a JSON batch ({ accountId, posts, delayFrom, delayUpTo, resubmit })
+// for posting, like /api/posts/all. With ?dryRun=true the batch is only
+// checked and the requests that would be sent are returned.
+app.post('/api/batches', async (req, res) => {
+  try {
+    const { posts, errors } = parseBatch(req.body);
+    if (errors.length > 0) {
+      return sendBatchErrors(res, errors, 'The batch');
+    }
+
+    const { accountId, delayFrom, delayUpTo, resubmit } = req.body;
+    if (!accountId) {
+      return sendBatchErrors(res, [{ path: '/accountId', post: null, field: 'accountId', message: 'is required' }], 'The batch');
+    }
+
+    const account = await getAccountById(accountId);
+    if (!account) {
+      return sendError(res, 404, 'Account not found');
+    }
+
+    if (req.query.dryRun === 'true') {
+      const report = await dryRunPosts(posts, accountId, { resubmit: !!resubmit });
+      const accountOk = !report.problems.some(p => p.severity === 'error');
+      return res.json({
+        success: true,
+        dryRun: true,
+        ...report,
+        total: posts.length,
+        ok: accountOk && report.results.every(result => result.ok),
+        failed: report.results.filter(result => !result.ok).length
+      });
+    }
+
+    const job = await enqueueJob(posts, accountId, delayFrom || 0, delayUpTo || 0, { resubmit: !!resubmit });
+
+    res.json({
+      success: true,
+      message: `Queued ${posts.length} posts`,
+      jobId: job.id,
+      total: posts.length
+    });
+  } catch (error) {
+    console.error('Error queueing batch:', error);
+    sendError(res, 500, error, 'Failed to queue batch');
+  }
+});
+
+// Get latest posting jobs
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const jobs = await getJobs(limit);
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error getting jobs:', error);
+    sendError(res, 500, error, 'Failed to get jobs');
+  }
+});
+
+// Get a posting job with the state of each of its posts
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return sendError(res, 404, 'Job not found');
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error getting job:', error);
+    sendError(res, 500, error, 'Failed to get job');
+  }
+});
+
+// Pause, resume or cancel a posting job
+const jobActions = {
+  pause: { run: pauseJob, allowedFrom: 'pending or running', pastTense: 'paused' },
+  resume: { run: resumeJob, allowedFrom: 'paused', pastTense: 'resumed' },
+  cancel: { run: cancelJob, allowedFrom: 'pending, running or paused', pastTense: 'cancelled' }
+};
+
+app.post('/api/jobs/:id/:action(pause|resume|cancel)', async (req, res) => {
+  try {
+    const { action } = req.params;
+    const existing = await getJob(req.params.id);
+    if (!existing) {
+      return sendError(res, 404, 'Job not found');
+    }
+
+    const job = await jobActions[action].run(existing.id);
+    if (!job) {
+      return sendError(res, 409, `Cannot ${action} a ${existing.status} job. Only ${jobActions[action].allowedFrom} jobs can be ${jobActions[action].pastTense}.`, null, {
+        job: existing
+      });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error(`Error updating job (${req.params.action}):`, error);
+    sendError(res, 500, error, 'Failed to update job');
+  }
+});
+
+// Stream live progress of a posting job (Server-Sent Events)
+// Sends a 'snapshot' of the job first, then started/waiting/posted/failed/completed
+// events, plus paused/resumed/cancelled when the job is controlled through the API.
+// The stream ends after 'completed' or 'cancelled' (or right after the snapshot
+// of a job that is already finished).
+const FINISHED_JOB_STATUSES = ['completed', 'cancelled'];
+
+app.get('/api/jobs/:id/events', async (req, res) => {
+  // Listen before reading the snapshot, so nothing that happens in between is
+  // lost. Events wait until the snapshot is sent (they may repeat what it shows).
+  let job = null;
+  let heartbeat = null;
+  const queued = [];
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    jobEvents.off('event', onEvent);
+  };
+
+  const forward = (event) => {
+    send(event.type, event);
+    if (FINISHED_JOB_STATUSES.includes(event.type)) {
+      stop();
+      res.end();
+    }
+  };
+
+  function onEvent(event) {
+    if (job && event.jobId === job.id) {
+      forward(event);
+    } else if (!job && String(event.jobId) === String(req.params.id)) {
+      queued.push(event);
+    }
+  }
+
+  jobEvents.on('event', onEvent);
+  req.on('close', stop);
+
+  try {
+    const snapshot = await getJob(req.params.id);
+    if (!snapshot) {
+      stop();
+      return sendError(res, 404, 'Job not found');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    send('snapshot', snapshot);
+    if (FINISHED_JOB_STATUSES.includes(snapshot.status)) {
+      stop();
+      return res.end();
+    }
+
+    // Keep proxies from closing the connection while the job waits between posts
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    job = snapshot;
+    for (const event of queued.splice(0)) {
+      if (res.writableEnded) break;
+      forward(event);
+    }
+  } catch (error) {
+    console.error('Error streaming job events:', error);
+    stop();
+    if (!res.headersSent) {
+      sendError(res, 500, error, 'Failed to stream job events');
+    } else {
+      res.end();
+    }
   }
-  
-  res.json(progress);
 });
 
 // Get flairs for a subreddit
@@ -330,12 +907,12 @@ app.get('/api/flairs/:subreddit', async (req, res) => {
     const { accountId } = req.query;
     
     if (!accountId) {
-      return res.status(400).json({ error: 'Missing accountId query parameter' });
+      return sendError(res, 400, 'Missing accountId query parameter');
     }
     
     const account = await getAccountById(accountId);
     if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
+      return sendError(res, 404, 'Account not found');
     }
     
     // Use the same function from get-flairs.js
@@ -509,18 +1086,20 @@ app.get('/api/flairs/:subreddit', async (req, res) => {
   } catch (error) {
     console.error('Error getting flairs:', error);
     
-    let errorMessage = error.message || 'Failed to get flairs';
-    if (error.response?.status === 401) {
-      errorMessage = 'Authentication failed. Please check your account credentials.';
-    } else if (error.response?.status === 403) {
-      errorMessage = 'Access forbidden. This subreddit may be private or restricted.';
-    } else if (error.response?.status === 404) {
-      errorMessage = 'Subreddit not found. Check the spelling.';
-    } else if (error.message?.includes('rate limit')) {
-      errorMessage = 'Rate limit exceeded. Please wait before trying again.';
+    // snoowrap reports the HTTP status as statusCode
+    const status = error.response?.status || error.statusCode;
+    let flairError = interpretRequestError(error);
+    if (status === 401 || error.message?.startsWith('Missing credentials')) {
+      flairError = new RedditError('AUTH_INVALID', status === 401 ? 'Authentication failed. Please check your account credentials.' : error.message);
+    } else if (status === 403) {
+      flairError = new RedditError('FORBIDDEN', 'Access forbidden. This subreddit may be private or restricted.');
+    } else if (status === 404) {
+      flairError = new RedditError('SUBREDDIT_NOEXIST', 'Subreddit not found. Check the spelling.');
+    } else if (status === 429 || error.message?.includes('rate limit')) {
+      flairError = new RedditError('RATELIMIT', 'Rate limit exceeded. Please wait before trying again.');
     }
     
-    res.status(500).json({ error: errorMessage });
+    sendError(res, 500, flairError, 'Failed to get flairs');
   }
 });
 
@@ -530,18 +1109,18 @@ app.post('/api/proxy/check-ip', async (req, res) => {
     const { accountId } = req.body;
     
     if (!accountId) {
-      return res.status(400).json({ error: 'Missing accountId' });
+      return sendError(res, 400, 'Missing accountId');
     }
     
     const account = await getAccountById(accountId);
     
     if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
+      return sendError(res, 404, 'Account not found');
     }
     
     // Check if proxy is configured
     if (!account.proxy_host || !account.proxy_port) {
-      return res.status(400).json({ error: 'No proxy configured for this account' });
+      return sendError(res, 400, 'No proxy configured for this account');
     }
     
     // Build proxy URL
@@ -626,14 +1205,13 @@ app.post('/api/proxy/check-ip', async (req, res) => {
     
     // If all URLs failed
     console.error('Error checking proxy IP - all services failed:', lastError);
-    res.status(500).json({
-      error: 'Failed to check proxy IP',
+    sendError(res, 500, new RedditError('PROXY_FAILURE', 'Failed to check proxy IP'), null, {
       message: lastError?.message || 'All IP checking services failed. Please verify your proxy settings.',
       details: lastError?.response?.data || lastError?.message
     });
   } catch (error) {
     console.error('Error in check proxy IP:', error);
-    res.status(500).json({ error: error.message || 'Failed to check proxy IP' });
+    sendError(res, 500, error, 'Failed to check proxy IP');
   }
 });
 
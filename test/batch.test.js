@@ -0,0 +1,124 @@
+// JSON batches (utils/batch.js): schema validation and the posts they make
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseBatch, parseJsonFile, parseJsonlFile } = require('../utils/batch');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+let files = 0;
+
+function writeFile(extension, content) {
+  const file = path.join(dir, `batch-${++files}.${extension}`);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+const fieldErrors = errors => errors.map(error => `${error.path}: ${error.message}`);
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a valid batch becomes the app\'s posts', () => {
+  const { posts, errors } = parseBatch({
+    accountId: 3,
+    delayFrom: 30,
+    posts: [
+      { subreddit: 'r/pics', title: 'Cat', url: 'https://example.com/cat', nsfw: true, schedule: '2026-05-01T18:30:00Z' },
+      { subreddit: 'AskReddit', title: 'Question', kind: 'text', body: 'Why?' },
+      { subreddit: 'aww', title: 'Pets', gallery: [{ file: 'a.jpg', caption: 'A' }, { file: 'b.jpg' }] },
+      { subreddit: 'videos', title: 'Clip', media: { file: 'clip.mp4', poster: 'thumb.jpg' } }
+    ]
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(posts.map(post => [post.id, post.subreddit, post.kind, post.isValid]), [
+    [1, 'pics', null, true],
+    [2, 'AskReddit', 'self', true],
+    [3, 'aww', null, true],
+    [4, 'videos', null, true]
+  ]);
+  assert.equal(posts[0].schedule, '2026-05-01T18:30:00.000Z');
+  assert.equal(posts[0].nsfw, true);
+  assert.equal(posts[1].spoiler, null);
+  assert.deepEqual(posts[2].gallery, [{ file: 'a.jpg', caption: 'A', outbound_url: null }, { file: 'b.jpg', caption: null, outbound_url: null }]);
+  assert.deepEqual(posts[3].media, { type: 'video', file: 'clip.mp4', poster: 'thumb.jpg' });
+});
+
+test('schema errors point at the post and field', () => {
+  const { posts, errors } = parseBatch({
+    posts: [
+      { subreddit: 'pics' },
+      { subreddit: 'pics', title: 'x', url: 'www.example.com', kind: 'poll', colour: 'red' }
+    ],
+    delay: 5
+  });
+
+  assert.deepEqual(posts, []);
+  assert.deepEqual(fieldErrors(errors).sort(), [
+    '/delay: is not a batch field (see GET /api/batches/schema)',
+    '/posts/0/title: is required',
+    '/posts/1/colour: is not a batch field (see GET /api/batches/schema)',
+    '/posts/1/kind: must be one of link, self, text, image, video, gallery, crosspost',
+    '/posts/1/url: must be an http:// or https:// link'
+  ]);
+  const titleError = errors.find(error => error.path === '/posts/0/title');
+  assert.deepEqual([titleError.post, titleError.field], [1, 'title']);
+  assert.deepEqual(fieldErrors(parseBatch({ posts: [] }).errors), ['/posts: must NOT have fewer than 1 items']);
+});
+
+test('checks what the schema can\'t: blank values, times and media', () => {
+  const { posts, errors } = parseBatch({
+    posts: [
+      { subreddit: '   ', title: 'Nowhere' },
+      { subreddit: 'pics', title: 'Blank time', schedule: '  ' },
+      { subreddit: 'pics', title: 'Bad time', schedule: 'someday' },
+      { subreddit: 'pics', title: 'Both', media: { file: 'a.jpg' }, gallery: [{ file: 'b.jpg' }, { file: 'c.jpg' }] }
+    ]
+  });
+
+  assert.deepEqual(posts, []);
+  assert.deepEqual(fieldErrors(errors), [
+    '/posts/0/subreddit: must not be blank',
+    '/posts/1/schedule: must not be blank',
+    '/posts/2/schedule: can\'t read the time "someday" (use e.g. 2026-05-01 18:30 or an ISO time)',
+    '/posts/3/media: can\'t be used together with gallery'
+  ]);
+});
+
+test('a .json upload is one batch', () => {
+  const { posts, errors } = parseJsonFile(writeFile('json', '\uFEFF{ "posts": [{ "subreddit": "pics", "title": "Cat" }] }'));
+  assert.deepEqual(errors, []);
+  assert.equal(posts[0].title, 'Cat');
+
+  const broken = parseJsonFile(writeFile('json', '{ "posts": ['));
+  assert.equal(broken.errors.length, 1);
+  assert.match(broken.errors[0].message, /^The file is not valid JSON: /);
+});
+
+test('a .jsonl upload has one post per line, errors by line', () => {
+  const valid = parseJsonlFile(writeFile('jsonl', [
+    '{ "subreddit": "pics", "title": "One" }',
+    '',
+    '{ "subreddit": "aww", "title": "Two" }'
+  ].join('\n')));
+  assert.deepEqual(valid.errors, []);
+  assert.deepEqual(valid.posts.map(post => [post.id, post.title]), [[1, 'One'], [2, 'Two']]);
+
+  const invalid = parseJsonlFile(writeFile('jsonl', [
+    '{ "subreddit": "pics", "title": "One" }',
+    '{ "subreddit": "pics" ',
+    '',
+    '{ "subreddit": "pics", "title": "Three", "schedule": "someday" }',
+    '{ "title": "Four" }'
+  ].join('\n')));
+  assert.deepEqual(invalid.posts, []);
+  assert.deepEqual(invalid.errors.map(error => [error.line, error.post, error.field]), [
+    [2, 2, null],
+    [4, 3, 'schedule'],
+    [5, 4, 'subreddit']
+  ]);
+  assert.match(invalid.errors[0].message, /^The line is not valid JSON: /);
+
+  assert.deepEqual(fieldErrors(parseJsonlFile(writeFile('jsonl', '\n\n')).errors), ['/posts: The file has no posts - it needs one JSON post per line.']);
+});
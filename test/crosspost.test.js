@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCrosspostSource, checkCrosspostSource } = require('../utils/crosspost');
+
+const codes = problems => problems.map(item => `${item.severity}:${item.code}`);
+
+test('reads the source post from a fullname, permalink or short link', () => {
+  assert.equal(parseCrosspostSource('t3_ABC123'), 't3_abc123');
+  assert.equal(parseCrosspostSource(' https://www.reddit.com/r/cats/comments/abc123/my_cat/ '), 't3_abc123');
+  assert.equal(parseCrosspostSource('https://old.reddit.com/comments/abc123'), 't3_abc123');
+  assert.equal(parseCrosspostSource('https://www.reddit.com/user/someone/comments/abc123/x/'), 't3_abc123');
+  assert.equal(parseCrosspostSource('https://redd.it/abc123'), 't3_abc123');
+});
+
+test('anything else is not a source', () => {
+  assert.equal(parseCrosspostSource('t1_abc123'), null);
+  assert.equal(parseCrosspostSource('https://notreddit.com/r/cats/comments/abc123/'), null);
+  assert.equal(parseCrosspostSource('https://www.reddit.com/r/cats/'), null);
+  assert.equal(parseCrosspostSource('abc123'), null);
+  assert.equal(parseCrosspostSource(null), null);
+});
+
+test('a live post can be crossposted to another subreddit', () => {
+  assert.deepEqual(checkCrosspostSource({ subreddit: 'cats', author: 'someone', is_crosspostable: true }, { subreddit: 'aww' }), []);
+});
+
+test('reports sources that can\'t be crossposted', () => {
+  const post = { subreddit: 'aww' };
+  assert.deepEqual(codes(checkCrosspostSource(null, post)), ['error:CROSSPOST_INVALID']);
+  assert.match(checkCrosspostSource({ subreddit: 'cats', author: '[deleted]' }, post)[0].message, /deleted by its author/);
+  assert.match(checkCrosspostSource({ subreddit: 'cats', removed_by_category: 'moderator' }, post)[0].message, /was removed/);
+  assert.deepEqual(codes(checkCrosspostSource({ subreddit: 'cats', is_crosspostable: false }, post)), ['error:CROSSPOST_NOT_ALLOWED']);
+  assert.match(checkCrosspostSource({ subreddit: 'Aww' }, post)[0].message, /already in r\/Aww/);
+});
@@ -0,0 +1,106 @@
+// Dry runs (utils/dryrun.js) against stand-ins for the account and submission
+// queries of db/database.js and for axios - nothing reaches Postgres or Reddit,
+// and nothing is submitted.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+const database = require('../db/database');
+
+const accounts = {
+  1: { id: 1, name: 'poster', client_id: 'client', client_secret: 'secret', refresh_token: 'refresh' },
+  2: { id: 2, name: 'proxied', client_id: 'client', client_secret: 'secret', refresh_token: 'refresh', proxy_host: 'proxy.local', proxy_port: 8080 },
+  3: { id: 3, name: 'revoked', client_id: 'client', client_secret: 'secret', refresh_token: 'revoked' }
+};
+Object.assign(database, {
+  async getAccountById(id) {
+    return accounts[id] || null;
+  },
+  async updateRefreshToken() {},
+  async findPostedSubmission(accountId, subreddit, { normalized_url }) {
+    return normalized_url === 'example.com/old' ? { subreddit, permalink: 'https://reddit.com/r/test/comments/old/x/', created_at: new Date() } : null;
+  }
+});
+
+axios.post = async (url, body) => ({
+  data: body.get('refresh_token') === 'revoked' ? { error: 'invalid_grant' } : { access_token: 'token', expires_in: 3600 }
+});
+axios.get = async () => {
+  throw Object.assign(new Error('connect ECONNREFUSED'), { isAxiosError: true, config: {}, code: 'ECONNREFUSED' });
+};
+const apiRequests = [];
+axios.request = async (config) => {
+  apiRequests.push(`${config.method} ${config.url}`);
+  return { data: [{ id: 'flair-oc', text: 'OC' }], headers: {} };
+};
+
+const { dryRunPosts } = require('../utils/dryrun');
+
+const codes = problems => problems.map(item => `${item.severity}:${item.code}`);
+
+test('builds the submit request without sending it', async () => {
+  const report = await dryRunPosts([
+    { id: 1, isValid: true, subreddit: 'test', title: 'Hello', url: 'https://example.com/new', flair_text: 'oc', spoiler: true, comment: 'Source: me' }
+  ], 1);
+
+  assert.deepEqual(report.account, { id: 1, name: 'poster' });
+  assert.deepEqual(report.checks.token, { ok: true });
+  assert.equal(report.checks.proxy.configured, false);
+  assert.deepEqual(report.problems, []);
+
+  const [result] = report.results;
+  assert.equal(result.ok, true);
+  assert.equal(result.request.url, 'https://oauth.reddit.com/api/submit');
+  assert.deepEqual(result.request.payload, {
+    api_type: 'json',
+    sr: 'test',
+    title: 'Hello',
+    kind: 'link',
+    url: 'https://example.com/new',
+    flair_id: 'flair-oc',
+    nsfw: false,
+    spoiler: true,
+    sendreplies: true
+  });
+  assert.match(result.request.body, /^api_type=json&sr=test&title=Hello&kind=link&url=https%3A%2F%2Fexample\.com%2Fnew&flair_id=flair-oc/);
+  assert.equal(result.commentRequest.payload.text, 'Source: me');
+  // Only the flair lookup went to Reddit
+  assert.deepEqual(apiRequests, ['get https://oauth.reddit.com/r/test/api/link_flair_v2']);
+});
+
+test('reports problems per post instead of throwing', async () => {
+  const report = await dryRunPosts([
+    { id: 1, isValid: false, subreddit: 'test', title: '' },
+    { id: 2, isValid: true, subreddit: 'test', title: 'Bad link', url: 'not a url' },
+    { id: 3, isValid: true, subreddit: 'test', title: 'Again', url: 'https://example.com/old' },
+    { id: 4, isValid: true, subreddit: 'test', title: 'Chatty', body: 'text', comment: 'x'.repeat(10001) }
+  ], 1);
+
+  assert.deepEqual(report.results.map(result => [result.postId, result.ok, codes(result.problems)]), [
+    [1, false, ['error:INVALID_REQUEST']],
+    [2, false, ['error:INVALID_URL']],
+    [3, false, ['error:DUPLICATE_SUBMISSION']],
+    [4, false, ['error:TOO_LONG']]
+  ]);
+  assert.equal(report.results[1].request, null);
+});
+
+test('resubmit leaves out the duplicate check', async () => {
+  const report = await dryRunPosts([{ id: 1, isValid: true, subreddit: 'test', title: 'Again', url: 'https://example.com/old' }], 1, { resubmit: true });
+  assert.equal(report.results[0].ok, true);
+});
+
+test('reports account problems once for the whole batch', async () => {
+  const unreachable = await dryRunPosts([{ id: 1, isValid: true, subreddit: 'test', title: 'Text', body: 'hi' }], 2);
+  assert.equal(unreachable.checks.proxy.reachable, false);
+  assert.deepEqual(codes(unreachable.problems), ['error:PROXY_FAILURE']);
+  assert.match(unreachable.problems[0].message, /^Proxy proxy\.local:8080 is not reachable/);
+
+  const revoked = await dryRunPosts([{ id: 1, isValid: true, subreddit: 'test', title: 'Flair', flair_text: 'OC', body: 'hi' }], 3);
+  assert.equal(revoked.checks.token.ok, false);
+  assert.deepEqual(codes(revoked.problems), ['error:AUTH_INVALID']);
+  // Without a token the flair text is sent as it is
+  assert.equal(revoked.results[0].request.payload.flair_text, 'OC');
+
+  await assert.rejects(dryRunPosts([], 4), { code: 'ACCOUNT_NOT_FOUND' });
+});
@@ -0,0 +1,79 @@
+// The duplicate guard (utils/duplicates.js) against stand-ins for the
+// submission queries of db/database.js - nothing reaches Postgres.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('../db/database');
+
+// Posted submissions by id
+let history = [];
+const lookups = [];
+Object.assign(database, {
+  async findPostedSubmission(account_id, subreddit, { normalized_url = null, crosspost_fullname = null }) {
+    lookups.push({ account_id, subreddit, normalized_url, crosspost_fullname });
+    return history.find(row => row.account_id === account_id &&
+      row.subreddit.toLowerCase() === subreddit.toLowerCase() &&
+      (crosspost_fullname ? row.crosspost_fullname === crosspost_fullname : row.normalized_url === normalized_url)) || null;
+  },
+  async getSubmissionsWithoutNormalizedUrl(afterId, limit = 500) {
+    return history.filter(row => row.id > afterId && row.url && !row.normalized_url).slice(0, limit);
+  },
+  async setNormalizedUrl(id, normalized_url) {
+    history.find(row => row.id === id).normalized_url = normalized_url;
+  }
+});
+
+const { normalizeUrl, findDuplicateSubmission, backfillNormalizedUrls } = require('../utils/duplicates');
+
+beforeEach(() => {
+  history = [];
+  lookups.length = 0;
+});
+
+test('normalizeUrl keeps only what identifies the content', () => {
+  assert.equal(normalizeUrl('https://www.Example.com/a/b/?utm_source=x&b=2&a=1#top'), 'example.com/a/b?a=1&b=2');
+  assert.equal(normalizeUrl('http://example.com/a'), normalizeUrl('https://example.com/a/'));
+  assert.equal(normalizeUrl('https://youtu.be/abc?si=tracking&t=30'), 'youtu.be/abc?t=30');
+  assert.equal(normalizeUrl('https://example.com/?fbclid=1&gclid=2&ref=home'), 'example.com');
+  assert.notEqual(normalizeUrl('https://example.com/a?id=1'), normalizeUrl('https://example.com/a?id=2'));
+  assert.equal(normalizeUrl(' Not A URL '), 'not a url');
+  assert.equal(normalizeUrl(''), null);
+  assert.equal(normalizeUrl(null), null);
+});
+
+test('finds a link the account already posted to the subreddit', async () => {
+  history = [{ id: 1, account_id: 7, subreddit: 'pics', normalized_url: 'example.com/cat' }];
+
+  assert.equal((await findDuplicateSubmission({ subreddit: 'Pics', url: 'https://www.example.com/cat/?utm_medium=social' }, 7)).id, 1);
+  assert.equal(await findDuplicateSubmission({ subreddit: 'pics', url: 'https://example.com/dog' }, 7), null);
+  assert.equal(await findDuplicateSubmission({ subreddit: 'aww', url: 'https://example.com/cat' }, 7), null);
+  assert.equal(await findDuplicateSubmission({ subreddit: 'pics', url: 'https://example.com/cat' }, 8), null);
+});
+
+test('crossposts are matched by the post they share', async () => {
+  history = [{ id: 2, account_id: 7, subreddit: 'pics', crosspost_fullname: 't3_abc' }];
+
+  const duplicate = await findDuplicateSubmission({ subreddit: 'pics', crosspost: 'https://www.reddit.com/r/cats/comments/abc/cat/', url: 'https://example.com/cat' }, 7);
+  assert.equal(duplicate.id, 2);
+  assert.deepEqual(lookups, [{ account_id: 7, subreddit: 'pics', normalized_url: null, crosspost_fullname: 't3_abc' }]);
+});
+
+test('text and media posts are never duplicates', async () => {
+  assert.equal(await findDuplicateSubmission({ subreddit: 'pics', title: 'Text', body: 'hi' }, 7), null);
+  assert.equal(await findDuplicateSubmission({ subreddit: 'pics', url: 'https://example.com/cat', media: { file: 'cat.jpg' } }, 7), null);
+  assert.equal(await findDuplicateSubmission({ subreddit: 'pics', url: 'https://example.com/cat', gallery: [{ file: 'a.jpg' }] }, 7), null);
+  assert.equal(await findDuplicateSubmission({ url: 'https://example.com/cat' }, 7), null);
+  assert.equal(lookups.length, 0);
+});
+
+test('backfillNormalizedUrls fills in submissions recorded before the column', async () => {
+  history = [
+    { id: 1, account_id: 7, subreddit: 'pics', url: 'https://www.example.com/old/', normalized_url: null },
+    { id: 2, account_id: 7, subreddit: 'pics', url: null, normalized_url: null },
+    { id: 3, account_id: 7, subreddit: 'pics', url: 'https://example.com/new', normalized_url: 'example.com/new' }
+  ];
+  await backfillNormalizedUrls();
+
+  assert.deepEqual(history.map(row => row.normalized_url), ['example.com/old', null, 'example.com/new']);
+  assert.equal((await findDuplicateSubmission({ subreddit: 'pics', url: 'http://example.com/old' }, 7)).id, 1);
+});
@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ERROR_CODES,
+  RedditError,
+  parseRetryAfter,
+  interpretSubmitResponse,
+  interpretJsonResponse,
+  interpretRequestError,
+  toErrorResponse
+} = require('../utils/errors');
+
+// What axios rejects with: a response for HTTP errors, a code for network ones
+function axiosError(message, { code, response } = {}) {
+  return Object.assign(new Error(message), { isAxiosError: true, config: {}, code, response });
+}
+
+test('RedditError takes retryable from the code unless told otherwise', () => {
+  assert.equal(new RedditError('TIMEOUT', 'slow').retryable, true);
+  assert.equal(new RedditError('FLAIR_REQUIRED', 'flair').retryable, false);
+  assert.equal(new RedditError('PROXY_FAILURE', 'bad password', { retryable: false }).retryable, false);
+  assert.deepEqual(new RedditError('RATELIMIT', 'wait', { retryAfter: 30, raw: { x: 1 } }).toJSON(), {
+    code: 'RATELIMIT',
+    message: 'wait',
+    retryable: true,
+    retryAfter: 30,
+    raw: { x: 1 }
+  });
+});
+
+test('parseRetryAfter reads Reddit\'s wait in seconds', () => {
+  assert.equal(parseRetryAfter('you are doing that too much. try again in 9 minutes.'), 540);
+  assert.equal(parseRetryAfter('try again in 30 seconds'), 30);
+  assert.equal(parseRetryAfter('try again in 1 hour'), 3600);
+  assert.equal(parseRetryAfter('try again in 1500 milliseconds'), 2);
+  assert.equal(parseRetryAfter('no number here'), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test('interpretSubmitResponse returns the new post', () => {
+  const result = interpretSubmitResponse({ json: { errors: [], data: { id: 'abc', name: 't3_abc', permalink: '/r/test/comments/abc/x/' } } });
+  assert.deepEqual(result, { success: true, postId: 'abc', name: 't3_abc', url: 'https://reddit.com/r/test/comments/abc/x/' });
+
+  const gallery = interpretSubmitResponse({ json: { errors: [], data: { id: 't3_gal', url: 'https://www.reddit.com/gallery/gal' } } });
+  assert.equal(gallery.name, 't3_gal');
+
+  const media = interpretSubmitResponse({ json: { errors: [], data: { user_submitted_page: 'https://www.reddit.com/user/me/submitted/' } } });
+  assert.equal(media.pending, true);
+  assert.equal(media.postId, null);
+});
+
+test('interpretSubmitResponse maps Reddit\'s error codes and aliases', () => {
+  assert.throws(
+    () => interpretSubmitResponse({ json: { errors: [['SUBMIT_VALIDATION_FLAIR_REQUIRED', 'flair required', 'flair']] } }, { subreddit: 'pics' }),
+    error => error instanceof RedditError && error.code === 'FLAIR_REQUIRED' && error.message.includes('r/pics') && !error.retryable
+  );
+  assert.throws(
+    () => interpretSubmitResponse({ json: { errors: [['RATELIMIT', 'you are doing that too much. try again in 5 minutes.', 'ratelimit']] } }),
+    { code: 'RATELIMIT', retryAfter: 300, retryable: true }
+  );
+  // Codes we don't know stay as they are - still machine-readable
+  assert.throws(
+    () => interpretSubmitResponse({ json: { errors: [['SOMETHING_NEW', 'new rule', null]] } }),
+    { code: 'SOMETHING_NEW', message: 'new rule' }
+  );
+});
+
+test('interpretSubmitResponse reads old-style jquery errors', () => {
+  const data = {
+    success: false,
+    jquery: [
+      [0, 1, 'call', ['.error.RATELIMIT.field-ratelimit']],
+      [1, 2, 'text', ['you are doing that too much. try again in 2 minutes.']]
+    ]
+  };
+  assert.throws(() => interpretSubmitResponse(data), { code: 'RATELIMIT', retryAfter: 120 });
+  assert.throws(() => interpretSubmitResponse('<html>'), { code: 'INVALID_RESPONSE' });
+});
+
+test('interpretJsonResponse returns json.data or throws its error', () => {
+  assert.deepEqual(interpretJsonResponse({ json: { errors: [], data: { things: [] } } }), { things: [] });
+  assert.throws(() => interpretJsonResponse({ json: { errors: [['TOO_LONG', 'too long', 'text']] } }), { code: 'TOO_LONG' });
+});
+
+test('interpretRequestError classifies HTTP responses', () => {
+  const response = (status, data = {}, headers = {}) => axiosError(`Request failed with status code ${status}`, { response: { status, data, headers } });
+
+  assert.equal(interpretRequestError(response(401)).code, 'AUTH_INVALID');
+  assert.equal(interpretRequestError(response(403), { post: { subreddit: 'pics' } }).code, 'FORBIDDEN');
+  assert.equal(interpretRequestError(response(404), { post: { subreddit: 'nope' } }).code, 'SUBREDDIT_NOEXIST');
+  const rateLimited = interpretRequestError(response(429, {}, { 'retry-after': '12' }));
+  assert.equal(rateLimited.code, 'RATELIMIT');
+  assert.equal(rateLimited.retryAfter, 12);
+  assert.equal(interpretRequestError(response(503)).code, 'SERVER_ERROR');
+  assert.equal(interpretRequestError(response(503)).retryable, true);
+  assert.equal(interpretRequestError(response(407)).retryable, false);
+  assert.equal(interpretRequestError(response(200, { json: { errors: [['NO_SELFS', 'no text posts']] } })).code, 'NO_SELFS');
+});
+
+test('interpretRequestError tells network failures from proxy failures', () => {
+  const proxied = { account: { proxy_host: 'proxy.local', proxy_port: 8080 } };
+
+  assert.equal(interpretRequestError(axiosError('connect ECONNREFUSED', { code: 'ECONNREFUSED' })).code, 'NETWORK_ERROR');
+  assert.equal(interpretRequestError(axiosError('timeout of 30000ms exceeded', { code: 'ECONNABORTED' })).code, 'TIMEOUT');
+  const proxyError = interpretRequestError(axiosError('connect ECONNREFUSED', { code: 'ECONNREFUSED' }), proxied);
+  assert.equal(proxyError.code, 'PROXY_FAILURE');
+  assert.equal(proxyError.retryable, true);
+  assert.match(proxyError.message, /proxy\.local:8080/);
+});
+
+test('interpretRequestError leaves errors that aren\'t from the HTTP client alone', () => {
+  // e.g. Postgres refusing the connection
+  const databaseError = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5432'), { code: 'ECONNREFUSED' });
+  const error = interpretRequestError(databaseError);
+  assert.equal(error.code, 'UNKNOWN');
+  assert.equal(error.retryable, false);
+
+  const redditError = new RedditError('TOO_LONG', 'long');
+  assert.equal(interpretRequestError(redditError), redditError);
+});
+
+test('toErrorResponse builds the API error body', () => {
+  assert.deepEqual(toErrorResponse('Missing accountId', 'x', 'INVALID_REQUEST'), {
+    error: 'Missing accountId',
+    code: 'INVALID_REQUEST',
+    retryable: false,
+    retryAfter: null,
+    redditResponse: null
+  });
+  const internal = toErrorResponse(new Error('relation "jobs" does not exist'), 'Failed', 'INTERNAL_ERROR');
+  assert.equal(internal.code, 'INTERNAL_ERROR');
+  assert.equal(internal.error, 'relation "jobs" does not exist');
+  assert.equal(toErrorResponse(new RedditError('RATELIMIT', 'wait', { retryAfter: 9 })).retryAfter, 9);
+});
+
+test('every code the API hands out is registered', () => {
+  ['INVALID_REQUEST', 'DUPLICATE_SUBMISSION', 'INTERRUPTED', 'UNKNOWN'].forEach(code => {
+    assert.ok(ERROR_CODES[code], code);
+  });
+});
@@ -0,0 +1,113 @@
+// The submission history, metrics and analytics queries of db/database.js,
+// with pg's Pool replaced - the SQL and its parameters are checked, nothing
+// reaches Postgres.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Pool } = require('pg');
+
+// Queries sent, and the rows each one gets back, in order
+const queries = [];
+let results = [];
+async function query(text, params) {
+  queries.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+  return { rows: results.shift() || [] };
+}
+Pool.prototype.query = query;
+// Transactions get a client that shares the same log
+let released = 0;
+Pool.prototype.connect = async function () {
+  return { query, release: () => released++ };
+};
+
+const { addSubmission, getSubmissions, addSubmissionMetrics, getMetricsTotals, getAnalytics } = require('../db/database');
+
+beforeEach(() => {
+  queries.length = 0;
+  results = [];
+});
+
+test('addSubmission stores a failed attempt with nulls for what it doesn\'t have', async () => {
+  results = [[{ id: 1, status: 'failed' }]];
+  const row = await addSubmission({ account_id: 3, subreddit: 'pics', title: 'Cat', status: 'failed', error_code: 'FLAIR_REQUIRED', error: 'Flair required' });
+
+  assert.deepEqual(row, { id: 1, status: 'failed' });
+  const [{ text, params }] = queries;
+  assert.match(text, /^INSERT INTO submissions \(account_id, job_id, subreddit, title, url,/);
+  assert.equal(params.length, 24);
+  assert.deepEqual(params.slice(0, 5), [3, null, 'pics', 'Cat', null]);
+  assert.deepEqual(params.slice(11, 16), ['failed', 'FLAIR_REQUIRED', 'Flair required', 1, null]);
+});
+
+test('getSubmissions pages through everything, newest first', async () => {
+  results = [[{ total: 120 }], [{ id: 9 }, { id: 8 }]];
+  const { submissions, total } = await getSubmissions();
+
+  assert.equal(total, 120);
+  assert.deepEqual(submissions, [{ id: 9 }, { id: 8 }]);
+  assert.equal(queries[0].text, 'SELECT COUNT(*)::int AS total FROM submissions');
+  assert.deepEqual(queries[0].params, []);
+  assert.match(queries[1].text, /ORDER BY submissions\.created_at DESC, submissions\.id DESC LIMIT \$1 OFFSET \$2$/);
+  assert.deepEqual(queries[1].params, [50, 0]);
+});
+
+test('getSubmissions filters by account, subreddit, status and dates', async () => {
+  results = [[{ total: 1 }], [{ id: 4 }]];
+  const from = new Date('2026-01-01T00:00:00Z');
+  const to = new Date('2026-01-31T23:59:59Z');
+  await getSubmissions({ account_id: 2, subreddit: 'Pics', status: 'posted', from, to, limit: 10, offset: 20 });
+
+  const where = 'WHERE submissions.account_id = $1 AND LOWER(submissions.subreddit) = LOWER($2) AND submissions.status = $3 ' +
+    'AND submissions.created_at >= $4 AND submissions.created_at <= $5';
+  assert.equal(queries[0].text, `SELECT COUNT(*)::int AS total FROM submissions ${where}`);
+  assert.deepEqual(queries[0].params, [2, 'Pics', 'posted', from, to]);
+  assert.ok(queries[1].text.includes(`${where} ORDER BY`));
+  assert.match(queries[1].text, /LIMIT \$6 OFFSET \$7$/);
+  assert.deepEqual(queries[1].params, [2, 'Pics', 'posted', from, to, 10, 20]);
+});
+
+test('getSubmissions can look up posts by fullname', async () => {
+  results = [[{ total: 0 }], []];
+  await getSubmissions({ fullnames: ['t3_a', 't3_b'] });
+
+  assert.equal(queries[0].text, 'SELECT COUNT(*)::int AS total FROM submissions WHERE submissions.fullname = ANY($1)');
+  assert.deepEqual(queries[0].params, [['t3_a', 't3_b']]);
+});
+
+test('addSubmissionMetrics keeps the snapshot and the latest values together', async () => {
+  results = [[], [{ id: 1, submission_id: 5, score: 42 }]];
+  const snapshot = await addSubmissionMetrics(5, { score: 42, upvote_ratio: 0.97, num_comments: null });
+
+  assert.deepEqual(snapshot, { id: 1, submission_id: 5, score: 42 });
+  assert.deepEqual(queries.map(item => item.text.split(' ')[0]), ['BEGIN', 'INSERT', 'UPDATE', 'COMMIT']);
+  assert.deepEqual(queries[2].params, [42, 0.97, null, 5]);
+  assert.equal(released, 1);
+});
+
+test('getMetricsTotals groups posted submissions by subreddit or account', async () => {
+  await getMetricsTotals('subreddit');
+  await getMetricsTotals('account', { account_id: 3, from: new Date('2026-01-01T00:00:00Z') });
+
+  assert.match(queries[0].text, /^SELECT LOWER\(submissions\.subreddit\) AS subreddit,/);
+  assert.match(queries[0].text, /WHERE submissions\.status = 'posted' GROUP BY LOWER\(submissions\.subreddit\)/);
+  assert.match(queries[1].text, /WHERE submissions\.status = 'posted' AND submissions\.account_id = \$1 AND submissions\.created_at >= \$2 GROUP BY submissions\.account_id, accounts\.name/);
+  assert.deepEqual(queries[1].params, [3, new Date('2026-01-01T00:00:00Z')]);
+});
+
+test('getAnalytics puts together the outcome breakdowns with the same filters', async () => {
+  results = [[{ total: 3, posted: 2, failed: 1, removed: 0 }], [{ account_id: 3 }], [{ subreddit: 'pics' }], [{ error_code: 'RATELIMIT', count: 1 }], [{ posted: 2 }], [{ subreddit: 'pics', posts: 2 }]];
+  const analytics = await getAnalytics({ account_id: 3, interval: 'week' });
+
+  assert.deepEqual(analytics, {
+    totals: { total: 3, posted: 2, failed: 1, removed: 0 },
+    byAccount: [{ account_id: 3 }],
+    bySubreddit: [{ subreddit: 'pics' }],
+    failureReasons: [{ error_code: 'RATELIMIT', count: 1 }],
+    volume: [{ posted: 2 }],
+    engagement: [{ subreddit: 'pics', posts: 2 }]
+  });
+  assert.ok(queries[0].text.endsWith('FROM submissions WHERE submissions.account_id = $1'));
+  assert.match(queries[3].text, /WHERE submissions\.status = 'failed' AND submissions\.account_id = \$1 GROUP BY 1/);
+  assert.match(queries[4].text, /^SELECT date_trunc\(\$2, submissions\.created_at\) AS period,/);
+  assert.deepEqual(queries[4].params, [3, 'week']);
+  assert.match(queries[5].text, /submissions\.score IS NOT NULL AND submissions\.account_id = \$1 GROUP BY/);
+});
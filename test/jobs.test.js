@@ -0,0 +1,283 @@
+// The job worker (utils/jobs.js) against an in-memory stand-in for the job
+// queries of db/database.js, with submitPost replaced - nothing reaches
+// Postgres or Reddit.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('../db/database');
+const reddit = require('../utils/reddit');
+const { RedditError } = require('../utils/errors');
+
+const jobs = new Map();
+const items = new Map();
+let nextId = 1;
+
+const ACTIVE = ['pending', 'running'];
+const copy = row => row && { ...row };
+const jobItems = jobId => [...items.values()].filter(item => item.job_id === jobId).sort((a, b) => a.position - b.position);
+
+// Same results as the SQL versions: rows, or undefined when the update didn't apply
+Object.assign(database, {
+  async createJob(account_id, posts, delay_from = 0, delay_up_to = 0, options = {}) {
+    const job = { id: nextId++, account_id, delay_from, delay_up_to, options, status: 'pending', started_at: null, next_run_at: Date.now() };
+    jobs.set(job.id, job);
+    posts.forEach((post, position) => {
+      const item = { id: nextId++, job_id: job.id, position, post, status: 'pending', result: null, error: null, error_code: null, attempts: 0 };
+      items.set(item.id, item);
+    });
+    return copy(job);
+  },
+  async getJobById(id) {
+    const job = jobs.get(id);
+    return job && { ...job, items: jobItems(id).map(copy) };
+  },
+  async getJobStatus(id) {
+    return jobs.get(id)?.status || null;
+  },
+  async getJobItemCounts(job_id) {
+    const counts = { total: 0, pending: 0, posting: 0, posted: 0, failed: 0, skipped: 0 };
+    jobItems(job_id).forEach(item => {
+      counts.total++;
+      counts[item.status]++;
+    });
+    return counts;
+  },
+  async getDueJobs() {
+    return [...jobs.values()].filter(job => ACTIVE.includes(job.status) && job.next_run_at <= Date.now()).map(copy);
+  },
+  async getNextJobItem(job_id) {
+    return copy(jobItems(job_id).find(item => item.status === 'pending'));
+  },
+  async updateJobStatus(id, status) {
+    const job = jobs.get(id);
+    if (!job || !ACTIVE.includes(job.status)) return undefined;
+    job.status = status;
+    job.started_at = job.started_at || (status === 'running' ? Date.now() : null);
+    return copy(job);
+  },
+  async setJobNextRun(id, delaySeconds) {
+    const job = jobs.get(id);
+    if (!job || !ACTIVE.includes(job.status)) return undefined;
+    job.next_run_at = Date.now() + delaySeconds * 1000;
+    return copy(job);
+  },
+  async pauseJob(id) {
+    const job = jobs.get(id);
+    if (!job || !ACTIVE.includes(job.status)) return undefined;
+    job.status = 'paused';
+    return copy(job);
+  },
+  async resumeJob(id) {
+    const job = jobs.get(id);
+    if (!job || job.status !== 'paused') return undefined;
+    job.status = job.started_at ? 'running' : 'pending';
+    job.next_run_at = Math.max(job.next_run_at, Date.now());
+    return copy(job);
+  },
+  async cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job || ![...ACTIVE, 'paused'].includes(job.status)) return undefined;
+    job.status = 'cancelled';
+    jobItems(id).filter(item => item.status === 'pending').forEach(item => { item.status = 'skipped'; });
+    return copy(job);
+  },
+  async startJobItem(id) {
+    const item = items.get(id);
+    if (!item || item.status !== 'pending' || !ACTIVE.includes(jobs.get(item.job_id).status)) return undefined;
+    item.status = 'posting';
+    return copy(item);
+  },
+  async updateJobItem(id, status, result = null, error = null, error_code = null, attempts = null) {
+    const item = items.get(id);
+    Object.assign(item, { status, result, error, error_code, attempts: attempts ?? item.attempts });
+    return copy(item);
+  },
+  async rescheduleJobItem(id, error = null, error_code = null) {
+    const item = items.get(id);
+    if (!item || item.status !== 'posting') return undefined;
+    Object.assign(item, { status: 'pending', error, error_code });
+    return copy(item);
+  },
+  async failInterruptedJobItems() {
+    return [];
+  }
+});
+
+// What the next submitPost calls do; each test sets its own
+let submit = async () => ({});
+const submitted = [];
+reddit.submitPost = (post, accountId, options) => {
+  submitted.push({ post, accountId });
+  return submit(post, accountId, options);
+};
+
+const { enqueueJob, getJob, pauseJob, resumeJob, cancelJob, jobEvents, startWorker, stopWorker, wakeWorker } = require('../utils/jobs');
+
+const events = [];
+jobEvents.on('event', event => events.push(event));
+
+// Wait for a job's event, waking the worker instead of waiting for its next poll
+async function waitForEvent(jobId, type) {
+  for (let i = 0; i < 300; i++) {
+    const event = events.find(item => item.jobId === jobId && item.type === type);
+    if (event) return event;
+    wakeWorker();
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`No ${type} event for job ${jobId}`);
+}
+
+const post = (id, title) => ({ id, subreddit: 'test', title, url: `https://example.com/${id}` });
+
+before(() => startWorker());
+after(() => stopWorker());
+beforeEach(() => {
+  submitted.length = 0;
+});
+
+test('posts the items of a job in order and completes it', async () => {
+  submit = async (item) => ({ name: `t3_${item.id}`, url: `https://reddit.com/${item.id}`, attempts: 1 });
+  const job = await enqueueJob([post(1, 'First'), post(2, 'Second')], 7, 0, 0);
+  await waitForEvent(job.id, 'completed');
+
+  assert.deepEqual(submitted.map(item => [item.post.title, item.accountId]), [['First', 7], ['Second', 7]]);
+  const finished = await getJob(job.id);
+  assert.equal(finished.status, 'completed');
+  assert.deepEqual(finished.items.map(item => [item.status, item.result.name]), [['posted', 't3_1'], ['posted', 't3_2']]);
+  assert.equal(finished.counts.posted, 2);
+});
+
+test('keeps going after a post fails', async () => {
+  submit = async (item) => {
+    if (item.id === 1) {
+      const error = new RedditError('SUBMIT_RESTRICTED', 'Only approved users can post');
+      error.attempts = 1;
+      throw error;
+    }
+    return { name: 't3_2', attempts: 1 };
+  };
+  const job = await enqueueJob([post(1, 'Restricted'), post(2, 'Fine')], 7, 0, 0);
+  const failed = await waitForEvent(job.id, 'failed');
+  await waitForEvent(job.id, 'completed');
+
+  assert.equal(failed.code, 'SUBMIT_RESTRICTED');
+  assert.equal(failed.retryable, false);
+  const finished = await getJob(job.id);
+  assert.deepEqual(finished.items.map(item => [item.status, item.error_code]), [['failed', 'SUBMIT_RESTRICTED'], ['posted', null]]);
+});
+
+test('waits for a post\'s scheduled time', async () => {
+  submit = async () => ({ name: 't3_1', attempts: 1 });
+  const schedule = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const job = await enqueueJob([{ ...post(1, 'Later'), schedule }], 7, 0, 0);
+  const waiting = await waitForEvent(job.id, 'waiting');
+
+  assert.equal(waiting.scheduledFor, schedule);
+  assert.ok(waiting.seconds > 3500 && waiting.seconds <= 3600);
+  assert.equal(submitted.length, 0);
+  await cancelJob(job.id);
+});
+
+test('emits an event per step with the item counts', async () => {
+  submit = async (item) => ({ name: `t3_${item.id}`, url: `https://reddit.com/${item.id}`, attempts: 1 });
+  const job = await enqueueJob([post(1, 'First'), post(2, 'Second')], 7, 0, 0);
+  await waitForEvent(job.id, 'completed');
+
+  const jobEventsSeen = events.filter(event => event.jobId === job.id);
+  assert.deepEqual(jobEventsSeen.map(event => event.type), ['started', 'posted', 'started', 'posted', 'completed']);
+  const firstPosted = jobEventsSeen[1];
+  assert.equal(firstPosted.postId, 1);
+  assert.equal(firstPosted.name, 't3_1');
+  assert.deepEqual(firstPosted.counts, { total: 2, pending: 1, posting: 0, posted: 1, failed: 0, skipped: 0 });
+  assert.equal(jobEventsSeen[4].counts.posted, 2);
+});
+
+test('a paused job posts nothing until it is resumed', async () => {
+  let job;
+  submit = async (item) => {
+    if (item.id === 1) {
+      await pauseJob(job.id);
+    }
+    return { name: `t3_${item.id}`, attempts: 1 };
+  };
+  job = await enqueueJob([post(1, 'First'), post(2, 'Second')], 7, 0, 0);
+  await waitForEvent(job.id, 'paused');
+  await waitForEvent(job.id, 'posted');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  wakeWorker();
+
+  let current = await getJob(job.id);
+  assert.equal(current.status, 'paused');
+  assert.deepEqual(current.items.map(item => item.status), ['posted', 'pending']);
+
+  await resumeJob(job.id);
+  await waitForEvent(job.id, 'completed');
+  current = await getJob(job.id);
+  assert.deepEqual(current.items.map(item => item.status), ['posted', 'posted']);
+});
+
+// The error of a submitPost that gave up on its retries because the job
+// stopped (see withRetry)
+async function stoppedError(options) {
+  const error = new RedditError('SERVER_ERROR', 'Reddit returned 503');
+  error.attempts = 1;
+  error.stopped = !(await options.shouldContinue());
+  return error;
+}
+
+test('a retry stopped by a pause is put back for when the job resumes', async () => {
+  let job;
+  let calls = 0;
+  submit = async (item, accountId, options) => {
+    if (++calls === 1) {
+      await pauseJob(job.id);
+      throw await stoppedError(options);
+    }
+    return { name: 't3_1', attempts: 1 };
+  };
+  job = await enqueueJob([post(1, 'Held')], 7, 0, 0);
+  const rescheduled = await waitForEvent(job.id, 'rescheduled');
+
+  assert.equal(rescheduled.seconds, null);
+  assert.equal(rescheduled.code, 'SERVER_ERROR');
+  let current = await getJob(job.id);
+  assert.deepEqual(current.items.map(item => [item.status, item.error_code]), [['pending', 'SERVER_ERROR']]);
+
+  await resumeJob(job.id);
+  await waitForEvent(job.id, 'completed');
+  current = await getJob(job.id);
+  assert.equal(current.items[0].status, 'posted');
+});
+
+test('a retry stopped by a cancel skips the post', async () => {
+  let job;
+  submit = async (item, accountId, options) => {
+    await cancelJob(job.id);
+    throw await stoppedError(options);
+  };
+  job = await enqueueJob([post(1, 'Dropped'), post(2, 'Never')], 7, 0, 0);
+  const skipped = await waitForEvent(job.id, 'skipped');
+
+  assert.equal(skipped.postId, 1);
+  assert.match(skipped.error, /^Job cancelled before the post was retried/);
+  assert.deepEqual(skipped.counts, { total: 2, pending: 0, posting: 0, posted: 0, failed: 0, skipped: 2 });
+  const current = await getJob(job.id);
+  assert.equal(current.status, 'cancelled');
+  assert.equal(submitted.length, 1);
+});
+
+test('a rate limited post is put back until Reddit\'s wait is over', async () => {
+  submit = async () => {
+    throw new RedditError('RATELIMIT', 'Rate limit: try again in 90 seconds', { retryAfter: 90 });
+  };
+  const job = await enqueueJob([post(1, 'Too soon')], 7, 0, 0);
+  const rescheduled = await waitForEvent(job.id, 'rescheduled');
+
+  assert.equal(rescheduled.seconds, 90);
+  assert.equal(rescheduled.code, 'RATELIMIT');
+  const current = await getJob(job.id);
+  assert.equal(current.status, 'running');
+  assert.deepEqual(current.items.map(item => [item.status, item.error_code]), [['pending', 'RATELIMIT']]);
+  assert.ok(jobs.get(job.id).next_run_at > Date.now() + 85 * 1000);
+  await cancelJob(job.id);
+});
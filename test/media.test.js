@@ -0,0 +1,95 @@
+// Media checks and uploads of utils/media.js, with MEDIA_DIR pointed at a
+// temporary folder and axios.post replaced - nothing is uploaded.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+process.env.MEDIA_DIR = mediaDir;
+delete process.env.REDDIT_MEDIA_UPLOAD_URL;
+['cat.jpg', 'dog.png', 'clip.mp4', 'notes.txt'].forEach(file => fs.writeFileSync(path.join(mediaDir, file), 'x'));
+
+// Answers of the upload target, in order - an Error is thrown instead
+let uploadResponses = [];
+const uploads = [];
+axios.post = async (url, form) => {
+  uploads.push({ url, form });
+  const response = uploadResponses.shift();
+  if (response instanceof Error) {
+    throw response;
+  }
+  return response;
+};
+
+const { getMediaPath, getMediaType, checkPostMedia, uploadToTarget } = require('../utils/media');
+
+const codes = problems => problems.map(item => `${item.severity}:${item.code}`);
+
+after(() => fs.rmSync(mediaDir, { recursive: true, force: true }));
+
+test('media files are found by name in the media folder only', () => {
+  assert.equal(getMediaPath('cat.jpg'), path.join(mediaDir, 'cat.jpg'));
+  assert.equal(getMediaPath('../../etc/passwd'), path.join(mediaDir, 'passwd'));
+  assert.deepEqual(getMediaType('Clip.MOV'), { mimetype: 'video/quicktime', type: 'video' });
+  assert.equal(getMediaType('notes.txt'), null);
+});
+
+test('an image or a video with a poster is ready to upload', () => {
+  assert.deepEqual(checkPostMedia({ media: { file: 'cat.jpg' } }), []);
+  assert.deepEqual(checkPostMedia({ media: { file: 'clip.mp4', poster: 'cat.jpg' } }), []);
+  assert.deepEqual(checkPostMedia({ title: 'No media' }), []);
+});
+
+test('reports media that can\'t be posted', () => {
+  assert.deepEqual(codes(checkPostMedia({ media: { file: 'missing.jpg' } })), ['error:MEDIA_NOT_FOUND']);
+  assert.deepEqual(codes(checkPostMedia({ media: {} })), ['error:MEDIA_NOT_FOUND']);
+  assert.deepEqual(codes(checkPostMedia({ media: { file: 'notes.txt' } })), ['error:MEDIA_INVALID']);
+  assert.equal(checkPostMedia({ media: { type: 'video', file: 'cat.jpg', poster: 'dog.png' } })[0].message, 'Video cat.jpg is not a video.');
+  assert.deepEqual(codes(checkPostMedia({ media: { file: 'clip.mp4' } })), ['error:MEDIA_INVALID']);
+  assert.deepEqual(codes(checkPostMedia({ media: { file: 'clip.mp4', poster: 'clip.mp4' } })), ['error:MEDIA_INVALID']);
+  assert.deepEqual(codes(checkPostMedia({ media: { file: 'cat.jpg' }, url: 'https://example.com' })), ['warning:MEDIA_INVALID']);
+});
+
+test('uploads to the leased target and returns the asset URL', async () => {
+  uploadResponses = [{ status: 201, data: '' }];
+  const lease = { action: '//reddit-uploaded-media.s3-accelerate.amazonaws.com', fields: [{ name: 'key', value: 'abc/cat.jpg' }, { name: 'acl', value: 'public-read' }] };
+
+  assert.equal(await uploadToTarget(lease, 'cat.jpg'), 'https://reddit-uploaded-media.s3-accelerate.amazonaws.com/abc/cat.jpg');
+  assert.equal(uploads[0].url, 'https://reddit-uploaded-media.s3-accelerate.amazonaws.com');
+  // The lease fields go first, the file last (the part headers of the form)
+  const body = uploads[0].form._streams.filter(part => typeof part === 'string').join('');
+  assert.ok(body.indexOf('name="key"') < body.indexOf('name="acl"'));
+  assert.ok(body.indexOf('name="acl"') < body.indexOf('name="file"; filename="cat.jpg"'));
+});
+
+test('a refused upload is MEDIA_UPLOAD_FAILED, retryable for server errors', async () => {
+  const refused = status => Object.assign(new Error(`Request failed with status code ${status}`), { isAxiosError: true, config: {}, response: { status, data: '<Error/>' } });
+  uploadResponses = [refused(403), refused(503)];
+  const lease = { action: '//upload.example', fields: [{ name: 'key', value: 'k' }] };
+
+  await assert.rejects(uploadToTarget(lease, 'cat.jpg'), { code: 'MEDIA_UPLOAD_FAILED', retryable: false });
+  await assert.rejects(uploadToTarget(lease, 'cat.jpg'), { code: 'MEDIA_UPLOAD_FAILED', retryable: true });
+});
+
+test('a gallery takes 2 to 20 images with short captions and http(s) links', () => {
+  const gallery = [{ file: 'cat.jpg', caption: 'Cat', outbound_url: 'https://example.com/cat' }, { file: 'dog.png' }];
+  assert.deepEqual(checkPostMedia({ gallery }), []);
+
+  assert.deepEqual(codes(checkPostMedia({ gallery: [{ file: 'cat.jpg' }] })), ['error:MEDIA_INVALID']);
+  assert.deepEqual(codes(checkPostMedia({ gallery: Array(21).fill({ file: 'cat.jpg' }) })), ['error:MEDIA_INVALID']);
+
+  const problems = checkPostMedia({
+    gallery: [{ file: 'clip.mp4' }, { caption: 'No file' }, { file: 'cat.jpg', caption: 'x'.repeat(181), outbound_url: 'ftp://example.com' }],
+    url: 'https://example.com'
+  });
+  assert.deepEqual(problems.map(item => item.message), [
+    'Gallery image 1 clip.mp4 is not an image.',
+    'Gallery image 2 has no file.',
+    'Gallery image 3 caption is 181 characters - the maximum is 180.',
+    'Gallery image 3 link is not a valid http(s) URL: ftp://example.com',
+    'The post is a gallery - its other media and URL are ignored.'
+  ]);
+});
@@ -0,0 +1,232 @@
+// The TXT post format (utils/parser.js), parsed from temporary files
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTxtFile } = require('../utils/parser');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parser-test-'));
+let files = 0;
+
+// Parse lines as a TXT file
+function parse(...lines) {
+  const file = path.join(dir, `posts-${++files}.txt`);
+  fs.writeFileSync(file, lines.join('\n'));
+  return parseTxtFile(file);
+}
+
+const messages = diagnostics => diagnostics.map(item => `${item.line}: ${item.message}`);
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a comment line is posted as the first comment', () => {
+  const { posts, diagnostics } = parse('pics', 'My cat', 'https://example.com/cat.jpg', 'comment: Source: my camera');
+
+  assert.equal(posts[0].comment, 'Source: my camera');
+  assert.equal(posts[0].url, 'https://example.com/cat.jpg');
+  assert.deepEqual(diagnostics, []);
+});
+
+test('a comment block keeps its lines up to "/comment"', () => {
+  const { posts, diagnostics } = parse('pics', 'My cat', 'comment:', 'Source: my camera', '', '* 50mm', '/comment', 'nsfw');
+
+  assert.equal(posts[0].comment, 'Source: my camera\n\n* 50mm');
+  assert.equal(posts[0].nsfw, true);
+  assert.deepEqual(diagnostics, []);
+});
+
+test('an unclosed block ends at the next directive line', () => {
+  const { posts, diagnostics } = parse('pics', 'My cat', 'body:', 'line1', 'comment: hi there', 'more');
+
+  assert.equal(posts[0].body, 'line1');
+  assert.equal(posts[0].comment, 'hi there');
+  assert.deepEqual(messages(diagnostics), [
+    '3: No closing "/body" line - the body ends before line 5 ("comment: hi there").',
+    '6: Line not recognized - it is ignored.'
+  ]);
+});
+
+test('a body block keeps blank lines, indentation and Markdown', () => {
+  const { posts, diagnostics } = parse(
+    'AskReddit', 'Long story',
+    'body:',
+    '# Part one',
+    '',
+    '    indented code',
+    '---',
+    '/body',
+    'flair: Story'
+  );
+
+  assert.equal(posts[0].body, '# Part one\n\n    indented code\n---');
+  assert.equal(posts[0].flair_text, 'Story');
+  assert.equal(posts[0].isValid, true);
+  assert.deepEqual(diagnostics, []);
+});
+
+test('an inline body is a one-line text', () => {
+  const { posts } = parse('AskReddit', 'Short', 'body: Just this.');
+  assert.equal(posts[0].body, 'Just this.');
+});
+
+test('a closing line after the next post doesn\'t close the block', () => {
+  const { posts, diagnostics } = parse(
+    'pics', 'First', 'body:', 'first text',
+    '',
+    'subreddit: aww', 'title: Second', 'body:', 'second text', '/body'
+  );
+
+  assert.deepEqual(posts.map(post => [post.subreddit, post.body]), [['pics', 'first text'], ['aww', 'second text']]);
+  assert.deepEqual(messages(diagnostics), ['3: No closing "/body" line - the body ends at the empty line 5.']);
+});
+
+test('an unclosed block at the end runs to the end of the file', () => {
+  const { posts, diagnostics } = parse('pics', 'Title', 'notes:', 'remember', '  to check');
+
+  assert.equal(posts[0].notes, 'remember\n  to check');
+  assert.deepEqual(messages(diagnostics), ['3: No closing "/notes" line - the notes runs to the end of the file.']);
+});
+
+test('a post can be written entirely in directives, in any order', () => {
+  const { posts, diagnostics } = parse(
+    'subreddit: r/pics',
+    'url: https://example.com/cat.jpg',
+    'title: Hello',
+    'flair: OC',
+    'flair_id: abc-123',
+    'kind: link',
+    'schedule: 2026-05-01T18:30:00Z',
+    'spoiler',
+    'noreplies'
+  );
+
+  assert.deepEqual(diagnostics, []);
+  const [post] = posts;
+  assert.deepEqual(
+    [post.subreddit, post.title, post.url, post.flair_text, post.flair_id, post.kind, post.schedule],
+    ['pics', 'Hello', 'https://example.com/cat.jpg', 'OC', 'abc-123', 'link', '2026-05-01T18:30:00.000Z']
+  );
+  assert.deepEqual([post.nsfw, post.spoiler, post.oc, post.sendreplies], [null, true, null, false]);
+});
+
+test('a url directive as the second line doesn\'t become the title', () => {
+  const { posts } = parse('pics', 'url: https://example.com/a', 'title: Hello');
+
+  assert.equal(posts[0].title, 'Hello');
+  assert.equal(posts[0].url, 'https://example.com/a');
+});
+
+test('plain lines and directives mix', () => {
+  const { posts } = parse('pics[NO NSFW]', 'A plain title', 'kind: text', 'nsfw: no', 'oc: yes');
+
+  assert.deepEqual([posts[0].subreddit, posts[0].title, posts[0].kind, posts[0].nsfw, posts[0].oc], ['pics', 'A plain title', 'self', false, true]);
+});
+
+test('a second subreddit, title or URL is reported and the first one kept', () => {
+  const { posts, diagnostics } = parse(
+    'pics', 'First title', 'https://example.com/a',
+    'subreddit: aww',
+    'title: Second title',
+    'url: https://example.com/b',
+    'https://example.com/c'
+  );
+
+  assert.deepEqual([posts[0].subreddit, posts[0].title, posts[0].url], ['pics', 'First title', 'https://example.com/a']);
+  assert.deepEqual(messages(diagnostics), [
+    '4: The subreddit is ignored: the post already has a subreddit (pics).',
+    '5: The title is ignored: the post already has a title ("First title").',
+    '6: The url is ignored: the post already has a URL (https://example.com/a).',
+    '7: The post already has a URL - this one is ignored.'
+  ]);
+});
+
+test('reports directive values it can\'t use', () => {
+  const { posts, diagnostics } = parse('pics', 'Title', 'kind: poll', 'schedule: next tuesday', 'nsfw: maybe', 'colour: red');
+
+  assert.equal(posts[0].kind, null);
+  assert.equal(posts[0].schedule, null);
+  assert.deepEqual(messages(diagnostics), [
+    '3: The kind is ignored: unknown kind "poll" (use link, self, text, image, video, gallery, crosspost).',
+    '4: The schedule is ignored: can\'t read the time "next tuesday" (use e.g. 2026-05-01 18:30 or an ISO time).',
+    '5: Use yes or no for nsfw - the line is ignored.',
+    '6: Unknown key "colour" - the line is ignored.'
+  ]);
+});
+
+test('url directives only take http:// and https:// links', () => {
+  const { posts, diagnostics } = parse(
+    'pics', 'Title',
+    'url: ftp://example.com/a',
+    'url: www.example.com/a',
+    'url: hello',
+    'url:',
+    'title:'
+  );
+
+  assert.equal(posts[0].url, null);
+  assert.deepEqual(messages(diagnostics), [
+    '3: The url is ignored: only http:// and https:// links can be posted.',
+    '4: The url is ignored: it looks like a link without http:// or https:// - write it as https://www.example.com/a to use it.',
+    '5: The url is ignored: "hello" is not an http:// or https:// link.',
+    '6: "url:" needs a value - the line is ignored.',
+    '7: "title:" needs a value - the line is ignored.'
+  ]);
+});
+
+test('plain link lines without a usable scheme are reported', () => {
+  const { diagnostics } = parse('pics', 'Title', 'ftp://example.com/a', 'example.com/a', 'what is this');
+
+  assert.deepEqual(messages(diagnostics), [
+    '3: Only http:// and https:// links can be posted - this line is ignored.',
+    '4: Looks like a link without http:// or https:// - it is ignored. Write it as https://example.com/a to use it.',
+    '5: Line not recognized - it is ignored.'
+  ]);
+});
+
+test('diagnostics name the post they belong to, or none for skipped posts', () => {
+  const { posts, diagnostics } = parse(
+    '# comments and blank lines are fine',
+    'title: No subreddit',
+    '',
+    'pics',
+    '',
+    'aww', 'Kitten', 'what'
+  );
+
+  assert.deepEqual(posts.map(post => [post.id, post.subreddit, !!post.isValid]), [[1, 'pics', false], [2, 'aww', true]]);
+  assert.deepEqual(diagnostics.map(item => [item.severity, item.line, item.text, item.postId]), [
+    ['error', 2, 'title: No subreddit', null],
+    ['error', 4, 'pics', 1],
+    ['warning', 8, 'what', 2]
+  ]);
+  assert.deepEqual(diagnostics.slice(0, 2).map(item => item.message), [
+    'The post has no subreddit - it is skipped.',
+    'The post has no title - it can\'t be posted.'
+  ]);
+});
+
+test('media lines make an image, video or gallery post', () => {
+  const { posts, diagnostics } = parse(
+    'pics', 'Video', 'video: clip.mp4', 'poster: thumb.jpg',
+    '',
+    'pics', 'Gallery', 'image: a.jpg', 'caption: First', 'image: b.jpg', 'link: https://example.com/b'
+  );
+
+  assert.deepEqual(posts[0].media, { type: 'video', file: 'clip.mp4', poster: 'thumb.jpg' });
+  assert.deepEqual(posts[1].gallery, [
+    { file: 'a.jpg', caption: 'First', outbound_url: null },
+    { file: 'b.jpg', caption: null, outbound_url: 'https://example.com/b' }
+  ]);
+  assert.deepEqual(diagnostics, []);
+});
+
+test('reports media lines that end up unused', () => {
+  const { diagnostics } = parse('pics', 'Image', 'caption: Too early', 'image: a.jpg', 'caption: Only one', 'poster: thumb.jpg');
+
+  assert.deepEqual(messages(diagnostics), [
+    '3: "caption:" belongs to an image line above it - there is none, so the line is ignored.',
+    '6: The post has no video - the poster is ignored.',
+    '5: Captions and links only apply to gallery images (two or more image lines) - the line is ignored.'
+  ]);
+});
@@ -0,0 +1,115 @@
+// Subreddit rule checks of utils/preflight.js. preflightPosts runs against a
+// stand-in account lookup and axios.request - nothing reaches Postgres or Reddit.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+const database = require('../db/database');
+
+database.getAccountById = async (id) => (id === 1 ? { id: 1, client_id: 'client', client_secret: 'secret', refresh_token: 'refresh' } : null);
+axios.post = async () => ({ data: { access_token: 'token', expires_in: 3600 } });
+
+// Rules per subreddit, answered by path
+const subreddits = {
+  pics: { requirements: { is_flair_required: true }, about: { kind: 't5', data: { subreddit_type: 'public', over18: false } } },
+  secret: { error: { status: 403, data: { reason: 'private' } } }
+};
+const apiRequests = [];
+axios.request = async (config) => {
+  apiRequests.push(config.url);
+  const [, name] = config.url.match(/\/(?:api\/v1|r)\/([^/]+)\//);
+  const subreddit = subreddits[name];
+  if (subreddit.error) {
+    throw Object.assign(new Error(`Request failed with status code ${subreddit.error.status}`), {
+      isAxiosError: true,
+      config,
+      response: { ...subreddit.error, headers: {} }
+    });
+  }
+  return { data: config.url.includes('post_requirements') ? subreddit.requirements : subreddit.about, headers: {} };
+};
+
+const { ERROR_CODES } = require('../utils/errors');
+const { checkPost, preflightPosts } = require('../utils/preflight');
+
+const codes = violations => violations.map(item => `${item.severity}:${item.code}`);
+
+test('a post that follows the rules has no violations', () => {
+  assert.deepEqual(checkPost({ title: 'Hello', url: 'https://example.com' }, { requirements: {}, about: {} }), []);
+});
+
+test('checks who may post', () => {
+  assert.deepEqual(codes(checkPost({ title: 'x' }, { requirements: {}, about: { user_is_banned: true } })), ['error:SUBREDDIT_NOTALLOWED']);
+  assert.deepEqual(codes(checkPost({ title: 'x' }, { requirements: {}, about: { subreddit_type: 'restricted' } })), ['error:SUBMIT_RESTRICTED']);
+  assert.deepEqual(checkPost({ title: 'x' }, { requirements: {}, about: { subreddit_type: 'restricted', user_is_contributor: true } }), []);
+});
+
+test('checks the post type, counting media as links', () => {
+  const selfOnly = { requirements: {}, about: { submission_type: 'self' } };
+  assert.deepEqual(codes(checkPost({ title: 'x', url: 'https://example.com' }, selfOnly)), ['error:NO_LINKS']);
+  assert.deepEqual(codes(checkPost({ title: 'x', media: { file: 'cat.jpg' } }, selfOnly)), ['error:NO_LINKS']);
+  assert.deepEqual(codes(checkPost({ title: 'x', body: 'text' }, { requirements: {}, about: { submission_type: 'link' } })), ['error:NO_SELFS']);
+
+  const noVideos = { requirements: {}, about: { allow_videos: false, allow_galleries: false } };
+  assert.deepEqual(codes(checkPost({ title: 'x', media: { file: 'clip.mp4' } }, noVideos)), ['error:MEDIA_INVALID']);
+  assert.deepEqual(codes(checkPost({ title: 'x', gallery: [{ file: 'a.jpg' }, { file: 'b.jpg' }] }, noVideos)), ['error:MEDIA_INVALID']);
+  assert.deepEqual(checkPost({ title: 'x', media: { file: 'cat.jpg' } }, noVideos), []);
+});
+
+test('a crosspost is judged by the subreddit\'s crosspost setting only', () => {
+  const rules = { requirements: {}, about: { submission_type: 'self', is_crosspostable_subreddit: false } };
+  assert.deepEqual(codes(checkPost({ title: 'x', crosspost: 't3_abc', url: 'https://example.com' }, rules)), ['error:CROSSPOST_NOT_ALLOWED']);
+});
+
+test('checks link domains against the allow and block lists', () => {
+  const allowed = { requirements: { link_restriction_policy: 'whitelist', domain_whitelist: ['imgur.com'] }, about: {} };
+  assert.deepEqual(checkPost({ title: 'x', url: 'https://i.imgur.com/a.png' }, allowed), []);
+  const [notAllowed] = checkPost({ title: 'x', url: 'https://www.example.com/a' }, allowed);
+  assert.equal(notAllowed.code, 'DOMAIN_BANNED');
+  assert.match(notAllowed.message, /example\.com are not allowed\. Allowed domains: imgur\.com/);
+
+  const blocked = { requirements: { link_restriction_policy: 'blacklist', domain_blacklist: ['example.com'] }, about: {} };
+  assert.deepEqual(codes(checkPost({ title: 'x', url: 'https://example.com/a' }, blocked)), ['error:DOMAIN_BANNED']);
+});
+
+test('checks flair and the title', () => {
+  assert.deepEqual(codes(checkPost({ title: 'x' }, { requirements: { is_flair_required: true }, about: {} })), ['error:FLAIR_REQUIRED']);
+  assert.deepEqual(checkPost({ title: 'x', flair_text: 'OC' }, { requirements: { is_flair_required: true }, about: {} }), []);
+
+  const [tooLong] = checkPost({ title: 'x'.repeat(301) }, { requirements: { title_text_max_length: 500 }, about: {} });
+  assert.equal(tooLong.message, 'Title is 301 characters - the maximum is 300.');
+  assert.deepEqual(codes(checkPost({ title: 'Hi' }, { requirements: { title_text_min_length: 10 }, about: {} })), ['error:TITLE_INVALID']);
+  assert.deepEqual(codes(checkPost({ title: 'My cat' }, { requirements: { title_required_strings: ['[OC]'] }, about: {} })), ['error:TITLE_INVALID']);
+  assert.deepEqual(codes(checkPost({ title: 'Free CRYPTO' }, { requirements: { title_blacklisted_strings: ['crypto'] }, about: {} })), ['error:TITLE_INVALID']);
+  assert.deepEqual(checkPost({ title: 'x' }, { requirements: { title_regexes: ['(unclosed'] }, about: {} }), []);
+});
+
+test('warns about post options the subreddit doesn\'t use', () => {
+  const rules = { requirements: {}, about: { spoilers_enabled: false, original_content_tag_enabled: false, over18: true } };
+  const violations = checkPost({ title: 'x', spoiler: true, oc: true }, rules);
+
+  assert.deepEqual(codes(violations), ['warning:SPOILERS_DISABLED', 'warning:OC_DISABLED', 'info:NSFW_SUBREDDIT']);
+  violations.forEach(item => assert.ok(ERROR_CODES[item.code], item.code));
+});
+
+test('preflightPosts looks up each subreddit once', async () => {
+  const results = await preflightPosts([
+    { id: 1, subreddit: 'pics', title: 'One' },
+    { id: 2, subreddit: 'pics', title: 'Two', flair_text: 'OC' },
+    { id: 3, subreddit: 'secret', title: 'Three' },
+    { id: 4, title: 'Nowhere' }
+  ], 1);
+
+  assert.deepEqual(results.map(result => [result.postId, result.ok, codes(result.violations)]), [
+    [1, false, ['error:FLAIR_REQUIRED']],
+    [2, true, []],
+    [3, false, ['error:SUBREDDIT_NOTALLOWED']],
+    [4, false, ['error:SUBREDDIT_NOEXIST']]
+  ]);
+  assert.deepEqual(results[0].subreddit_info, { type: 'public', submission_type: null, over18: false });
+  assert.equal(apiRequests.filter(url => url.includes('/pics/')).length, 2);
+});
+
+test('preflightPosts needs a known account', async () => {
+  await assert.rejects(preflightPosts([{ subreddit: 'pics', title: 'x' }], 2), { code: 'ACCOUNT_NOT_FOUND' });
+});
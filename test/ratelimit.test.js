@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  recordRateLimitHeaders,
+  recordSubmitWait,
+  getRateLimitWait,
+  getRateLimit,
+  clearRateLimit
+} = require('../utils/ratelimit');
+
+test('an account Reddit hasn\'t answered for can go ahead', () => {
+  assert.equal(getRateLimitWait('fresh'), 0);
+  assert.deepEqual(getRateLimit('7'), {
+    accountId: 7,
+    remaining: null,
+    used: null,
+    resetAt: null,
+    resetInSeconds: null,
+    submitBlockedUntil: null,
+    waitSeconds: 0,
+    submitWaitSeconds: 0,
+    updatedAt: null
+  });
+});
+
+test('keeps the budget from Reddit\'s headers', () => {
+  recordRateLimitHeaders(1, { 'x-ratelimit-remaining': '587.0', 'x-ratelimit-used': '13', 'x-ratelimit-reset': '120' });
+
+  const budget = getRateLimit(1);
+  assert.equal(budget.remaining, 587);
+  assert.equal(budget.used, 13);
+  assert.equal(budget.resetInSeconds, 120);
+  assert.equal(getRateLimitWait(1), 0);
+});
+
+test('waits for the reset once the budget is used up', () => {
+  recordRateLimitHeaders(2, { 'x-ratelimit-remaining': '0', 'x-ratelimit-used': '600', 'x-ratelimit-reset': '45' });
+
+  assert.equal(getRateLimitWait(2), 45);
+  assert.equal(getRateLimit(2).waitSeconds, 45);
+});
+
+test('ignores responses without rate limit headers', () => {
+  recordRateLimitHeaders(3, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '45' });
+  recordRateLimitHeaders(3, { 'content-type': 'text/html' });
+  recordRateLimitHeaders(3, null);
+
+  assert.equal(getRateLimitWait(3), 45);
+});
+
+test('a submit wait only holds back submissions', () => {
+  recordSubmitWait(4, 540);
+
+  assert.equal(getRateLimitWait(4), 0);
+  assert.equal(getRateLimitWait(4, { submitting: true }), 540);
+  assert.ok(getRateLimit(4).submitBlockedUntil);
+});
+
+test('a shorter submit wait doesn\'t cut a longer one short', () => {
+  recordSubmitWait(5, 300);
+  recordSubmitWait(5, 60);
+  recordSubmitWait(5, 0);
+
+  assert.equal(getRateLimitWait(5, { submitting: true }), 300);
+});
+
+test('clearRateLimit forgets the account', () => {
+  recordRateLimitHeaders(6, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '30' });
+  recordSubmitWait(6, 600);
+  clearRateLimit(6);
+
+  assert.equal(getRateLimitWait(6, { submitting: true }), 0);
+});
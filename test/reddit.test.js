@@ -0,0 +1,318 @@
+// utils/reddit.js with the account and submission queries of db/database.js
+// and axios replaced - nothing reaches Postgres or Reddit.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+// Retries without the real backoff
+process.env.SUBMIT_RETRY_BASE_DELAY = '1';
+process.env.SUBMIT_RETRY_MAX_DELAY = '1';
+
+const database = require('../db/database');
+
+const accounts = new Map();
+const savedRefreshTokens = [];
+const submissions = [];
+Object.assign(database, {
+  async getAccountById(id) {
+    return accounts.get(id) || null;
+  },
+  async updateRefreshToken(id, refreshToken) {
+    savedRefreshTokens.push([id, refreshToken]);
+  },
+  async findPostedSubmission() {
+    return null;
+  },
+  async addSubmission(submission) {
+    submissions.push(submission);
+    return { id: submissions.length, ...submission };
+  }
+});
+
+// Answers of the token endpoint, in order - an Error is thrown instead
+let tokenResponses = [];
+const tokenRequests = [];
+axios.post = async (url, body) => {
+  tokenRequests.push({ url, refreshToken: body.get('refresh_token') });
+  const data = tokenResponses.shift();
+  if (data instanceof Error) {
+    throw data;
+  }
+  return { data };
+};
+
+// Answers of oauth.reddit.com, in order - an Error is thrown instead
+let apiResponses = [];
+const apiRequests = [];
+axios.request = async (config) => {
+  apiRequests.push(config);
+  const response = apiResponses.shift();
+  if (response instanceof Error) {
+    throw response;
+  }
+  return response;
+};
+
+const {
+  getAccessToken,
+  clearAccessToken,
+  redditRequest,
+  submitPost,
+  deleteSubmission,
+  editSubmissionText,
+  resolvePostOptions,
+  prepareSubmission
+} = require('../utils/reddit');
+const { recordSubmitWait } = require('../utils/ratelimit');
+
+const account = (id, extra = {}) => ({ id, client_id: 'client', client_secret: 'secret', refresh_token: `refresh-${id}`, ...extra });
+
+beforeEach(() => {
+  tokenResponses = [];
+  tokenRequests.length = 0;
+  apiResponses = [];
+  apiRequests.length = 0;
+  savedRefreshTokens.length = 0;
+  submissions.length = 0;
+});
+
+test('reuses an access token until shortly before it expires', async () => {
+  accounts.set(1, account(1));
+  tokenResponses = [{ access_token: 'token-1', expires_in: 3600 }];
+
+  assert.equal(await getAccessToken(1), 'token-1');
+  assert.equal(await getAccessToken(1), 'token-1');
+  assert.equal(tokenRequests.length, 1);
+  assert.equal(tokenRequests[0].refreshToken, 'refresh-1');
+});
+
+test('refreshes a token that is about to expire', async () => {
+  accounts.set(2, account(2));
+  tokenResponses = [{ access_token: 'short', expires_in: 30 }, { access_token: 'fresh', expires_in: 3600 }];
+
+  assert.equal(await getAccessToken(2), 'short');
+  assert.equal(await getAccessToken(2), 'fresh');
+  assert.equal(tokenRequests.length, 2);
+});
+
+test('shares one exchange between requests made at the same time', async () => {
+  accounts.set(3, account(3));
+  tokenResponses = [{ access_token: 'shared', expires_in: 3600 }];
+
+  const tokens = await Promise.all([getAccessToken(3), getAccessToken(3), getAccessToken(3)]);
+  assert.deepEqual(tokens, ['shared', 'shared', 'shared']);
+  assert.equal(tokenRequests.length, 1);
+});
+
+test('clearAccessToken forces a new exchange', async () => {
+  accounts.set(4, account(4));
+  tokenResponses = [{ access_token: 'old', expires_in: 3600 }, { access_token: 'new', expires_in: 3600 }];
+
+  await getAccessToken(4);
+  clearAccessToken(4);
+  assert.equal(await getAccessToken(4), 'new');
+});
+
+test('saves a rotated refresh token', async () => {
+  accounts.set(5, account(5));
+  tokenResponses = [{ access_token: 'token-5', expires_in: 3600, refresh_token: 'rotated-5' }];
+
+  await getAccessToken(5);
+  assert.deepEqual(savedRefreshTokens, [[5, 'rotated-5']]);
+});
+
+test('an invalid_grant answer is AUTH_INVALID and is not cached', async () => {
+  accounts.set(6, account(6));
+  tokenResponses = [{ error: 'invalid_grant' }, { access_token: 'token-6', expires_in: 3600 }];
+
+  await assert.rejects(getAccessToken(6), { code: 'AUTH_INVALID', retryable: false });
+  assert.equal(await getAccessToken(6), 'token-6');
+});
+
+test('an unknown account is ACCOUNT_NOT_FOUND', async () => {
+  await assert.rejects(getAccessToken(99), { code: 'ACCOUNT_NOT_FOUND' });
+  assert.equal(tokenRequests.length, 0);
+});
+
+test('stops calling Reddit once the account\'s budget is used up', async () => {
+  const spent = account(10);
+  apiResponses = [{ data: {}, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-used': '600', 'x-ratelimit-reset': '30' } }];
+
+  await redditRequest(spent, 'get', '/api/v1/me', { accessToken: 'token' });
+  await assert.rejects(redditRequest(spent, 'get', '/api/v1/me', { accessToken: 'token' }), { code: 'RATELIMIT', retryAfter: 30 });
+  assert.equal(apiRequests.length, 1);
+});
+
+test('a submit wait holds back submissions only', async () => {
+  const waiting = account(11);
+  recordSubmitWait(11, 120);
+  apiResponses = [{ data: {}, headers: {} }];
+
+  await assert.rejects(redditRequest(waiting, 'post', '/api/submit', { accessToken: 'token', submitting: true }), { code: 'RATELIMIT', retryAfter: 120 });
+  await redditRequest(waiting, 'get', '/api/v1/me', { accessToken: 'token' });
+  assert.deepEqual(apiRequests.map(config => config.url), ['https://oauth.reddit.com/api/v1/me']);
+});
+
+// What axios rejects with when the connection drops or Reddit answers with an error status
+const connectionReset = () => Object.assign(new Error('socket hang up'), { isAxiosError: true, config: {}, code: 'ECONNRESET' });
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  config: {},
+  response: { status, data: {}, headers: {} }
+});
+const submitted = id => ({ data: { json: { errors: [], data: { id, name: `t3_${id}`, url: `https://www.reddit.com/r/test/comments/${id}/x/` } } }, headers: {} });
+const linkPost = title => ({ subreddit: 'test', title, url: `https://example.com/${encodeURIComponent(title)}` });
+
+test('submitPost retries a dropped connection and records the attempts', async () => {
+  accounts.set(20, account(20));
+  tokenResponses = [connectionReset(), { access_token: 'token-20', expires_in: 3600 }];
+  apiResponses = [submitted('abc')];
+  const retries = [];
+
+  const result = await submitPost(linkPost('Retried'), 20, { onRetry: error => retries.push(error.code) });
+  assert.equal(result.name, 't3_abc');
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(retries, ['NETWORK_ERROR']);
+  assert.equal(apiRequests.length, 1);
+  assert.deepEqual(submissions.map(row => [row.status, row.attempts, row.fullname]), [['posted', 2, 't3_abc']]);
+});
+
+test('submitPost looks for the post before submitting it again', async () => {
+  accounts.set(21, account(21));
+  tokenResponses = [{ access_token: 'token-21', expires_in: 3600 }];
+  const post = linkPost('Lost answer');
+  apiResponses = [
+    connectionReset(),
+    { data: { name: 'poster' }, headers: {} },
+    { data: { data: { children: [{ data: { id: 'lost', name: 't3_lost', subreddit: 'test', title: post.title, permalink: '/r/test/comments/lost/x/', created_utc: Date.now() / 1000 } }] } }, headers: {} }
+  ];
+
+  const result = await submitPost(post, 21);
+  assert.equal(result.name, 't3_lost');
+  assert.equal(result.attempts, 2);
+  // One submit, then the profile lookup - not a second submit
+  assert.deepEqual(apiRequests.map(config => config.url.replace('https://oauth.reddit.com', '')), ['/api/submit', '/api/v1/me', '/user/poster/submitted']);
+});
+
+test('submitPost records a post that ran out of attempts as failed', async () => {
+  accounts.set(22, account(22));
+  tokenResponses = [{ access_token: 'token-22', expires_in: 3600 }];
+  apiResponses = [httpError(502), httpError(503), httpError(500)];
+
+  await assert.rejects(submitPost(linkPost('Down'), 22), { code: 'SERVER_ERROR', attempts: 3, submitSent: true });
+  // Each retry failed looking for the first submission, so it wasn't sent again
+  assert.deepEqual(apiRequests.map(config => config.url.replace('https://oauth.reddit.com', '')), ['/api/submit', '/api/v1/me', '/api/v1/me']);
+  assert.deepEqual(submissions.map(row => [row.status, row.error_code, row.attempts]), [['failed', 'SERVER_ERROR', 3]]);
+});
+
+test('deletes and edits a post as the account that made it', async () => {
+  accounts.set(30, account(30));
+  tokenResponses = [{ access_token: 'token-30', expires_in: 3600 }];
+  const submission = { id: 1, account_id: 30, subreddit: 'test', fullname: 't3_mine' };
+  apiResponses = [
+    { data: { json: { errors: [], data: { things: [{ kind: 't3', data: { selftext: 'Edited &amp; saved' } }] } } }, headers: {} },
+    { data: {}, headers: {} }
+  ];
+
+  assert.equal(await editSubmissionText(submission, 'Edited & saved'), 'Edited &amp; saved');
+  await deleteSubmission(submission);
+  assert.deepEqual(apiRequests.map(config => [config.url.replace('https://oauth.reddit.com', ''), config.data.get('thing_id') || config.data.get('id')]), [
+    ['/api/editusertext', 't3_mine'],
+    ['/api/del', 't3_mine']
+  ]);
+});
+
+test('a refused change asks for the edit permission', async () => {
+  accounts.set(31, account(31));
+  tokenResponses = [{ access_token: 'token-31', expires_in: 3600 }];
+  apiResponses = [httpError(403)];
+
+  await assert.rejects(deleteSubmission({ account_id: 31, subreddit: 'test', fullname: 't3_x' }), error =>
+    error.code === 'FORBIDDEN' && /"edit" permission/.test(error.message));
+  await assert.rejects(editSubmissionText({ account_id: null, subreddit: 'test', fullname: 't3_x' }, 'text'), { code: 'ACCOUNT_NOT_FOUND' });
+});
+
+test('a post\'s own options win over the account defaults and Reddit\'s', () => {
+  const withDefaults = account(40, { post_defaults: { nsfw: true, sendreplies: false } });
+
+  assert.deepEqual(resolvePostOptions(account(40), {}), { nsfw: false, spoiler: false, oc: false, sendreplies: true });
+  assert.deepEqual(resolvePostOptions(withDefaults, {}), { nsfw: true, spoiler: false, oc: false, sendreplies: false });
+  assert.deepEqual(resolvePostOptions(withDefaults, { nsfw: false, oc: true, spoiler: 'yes' }), { nsfw: false, spoiler: false, oc: true, sendreplies: false });
+});
+
+test('the options are sent with the submission', async () => {
+  const withDefaults = account(41, { post_defaults: { nsfw: true } });
+  const { data } = await prepareSubmission(withDefaults, { subreddit: 'test', title: 'Tagged', body: 'hi', spoiler: true, oc: true, sendreplies: false }, { lookupFlairs: false });
+
+  assert.deepEqual(data, { api_type: 'json', sr: 'test', title: 'Tagged', kind: 'self', text: 'hi', nsfw: true, spoiler: true, sendreplies: false, original_content: true });
+  const { data: plain } = await prepareSubmission(account(41), { subreddit: 'test', title: 'Plain', url: 'https://example.com' }, { lookupFlairs: false });
+  assert.equal('original_content' in plain, false);
+});
+
+test('an image or video is submitted as the uploaded asset', async () => {
+  const video = { subreddit: 'test', title: 'Clip', media: { file: 'clip.mp4', poster: 'cat.jpg' } };
+  const { data } = await prepareSubmission(account(42), video, { lookupFlairs: false, media: { url: 'https://assets.example/clip.mp4', posterUrl: 'https://assets.example/cat.jpg' } });
+
+  assert.equal(data.kind, 'video');
+  assert.equal(data.url, 'https://assets.example/clip.mp4');
+  assert.equal(data.video_poster_url, 'https://assets.example/cat.jpg');
+  // Before the upload (dry runs) the payload says what will be there
+  const { data: planned } = await prepareSubmission(account(42), { subreddit: 'test', title: 'Cat', media: { file: 'cat.jpg' } }, { lookupFlairs: false });
+  assert.equal(planned.kind, 'image');
+  assert.equal(planned.url, '(asset URL after uploading cat.jpg)');
+});
+
+test('a gallery is submitted as JSON with its images in order', async () => {
+  const post = { subreddit: 'test', title: 'Pets', nsfw: true, gallery: [{ file: 'cat.jpg', caption: 'Cat' }, { file: 'dog.png', outbound_url: 'https://example.com/dog' }] };
+  const { path, json, data } = await prepareSubmission(account(43), post, { lookupFlairs: false, media: { assetIds: ['asset-1', 'asset-2'] } });
+
+  assert.equal(path, '/api/submit_gallery_post.json');
+  assert.equal(json, true);
+  assert.deepEqual(data.items, [
+    { caption: 'Cat', outbound_url: '', media_id: 'asset-1' },
+    { caption: '', outbound_url: 'https://example.com/dog', media_id: 'asset-2' }
+  ]);
+  assert.equal(data.nsfw, true);
+  assert.equal('kind' in data, false);
+});
+
+test('a crosspost is submitted with its source, checked first', async () => {
+  accounts.set(44, account(44));
+  tokenResponses = [{ access_token: 'token-44', expires_in: 3600 }];
+  apiResponses = [{ data: { data: { children: [{ kind: 't3', data: { name: 't3_abc', subreddit: 'cats', is_crosspostable: true } }] } }, headers: {} }];
+  const post = { subreddit: 'aww', title: 'Look', crosspost: 'https://redd.it/abc', url: 'https://example.com' };
+  const { data, problems } = await prepareSubmission(account(44), post, { lookupFlairs: false, lookupCrosspost: true });
+
+  assert.equal(data.kind, 'crosspost');
+  assert.equal(data.crosspost_fullname, 't3_abc');
+  assert.equal('url' in data, false);
+  assert.deepEqual(problems.map(item => item.code), ['CROSSPOST_INVALID']);
+  assert.match(problems[0].message, /its own URL and media are ignored/);
+  assert.equal(apiRequests[0].params.id, 't3_abc');
+
+  await assert.rejects(prepareSubmission(account(44), { subreddit: 'aww', title: 'x', crosspost: 'not a post' }), { code: 'CROSSPOST_INVALID' });
+});
+
+test('submitPost replies to the new post with its first comment', async () => {
+  accounts.set(45, account(45));
+  tokenResponses = [{ access_token: 'token-45', expires_in: 3600 }];
+  apiResponses = [submitted('new'), { data: { json: { errors: [], data: { things: [{ kind: 't1', data: { id: 't1_reply' } }] } } }, headers: {} }];
+
+  const result = await submitPost({ ...linkPost('Sourced'), comment: 'Source: me' }, 45);
+  assert.deepEqual(result.comment, { success: true, id: 'reply', code: null, error: null });
+  assert.equal(apiRequests[1].url, 'https://oauth.reddit.com/api/comment');
+  assert.equal(apiRequests[1].data.get('thing_id'), 't3_new');
+  assert.equal(apiRequests[1].data.get('text'), 'Source: me');
+  assert.equal(submissions[0].comment_id, 'reply');
+});
+
+test('a comment that fails leaves the post posted', async () => {
+  accounts.set(46, account(46));
+  tokenResponses = [{ access_token: 'token-46', expires_in: 3600 }];
+  apiResponses = [submitted('kept'), { data: { json: { errors: [['THREAD_LOCKED', 'that thread is locked', null]] } }, headers: {} }];
+
+  const result = await submitPost({ ...linkPost('Locked'), comment: 'Too late' }, 46);
+  assert.equal(result.name, 't3_kept');
+  assert.deepEqual([result.comment.success, result.comment.code], [false, 'THREAD_LOCKED']);
+  assert.deepEqual(submissions.map(row => [row.status, row.comment_error_code]), [['posted', 'THREAD_LOCKED']]);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RedditError } = require('../utils/errors');
+const { isTransientError, getRetryDelay, withRetry } = require('../utils/retry');
+
+// No real waiting between attempts
+const FAST = { maxAttempts: 3, baseDelay: 1, maxDelay: 2 };
+
+// fn for withRetry that fails with the given codes, then succeeds
+function failing(...codes) {
+  const calls = [];
+  const fn = async (attempt) => {
+    calls.push(attempt);
+    const code = codes[attempt - 1];
+    if (code) {
+      throw new RedditError(code, `${code} on attempt ${attempt}`);
+    }
+    return 'posted';
+  };
+  return { fn, calls };
+}
+
+test('only retryable errors other than RATELIMIT are transient', () => {
+  assert.equal(isTransientError(new RedditError('TIMEOUT', 'slow')), true);
+  assert.equal(isTransientError(new RedditError('SERVER_ERROR', '503')), true);
+  assert.equal(isTransientError(new RedditError('RATELIMIT', 'wait')), false);
+  assert.equal(isTransientError(new RedditError('FLAIR_REQUIRED', 'flair')), false);
+  assert.equal(isTransientError(new Error('plain')), false);
+  assert.equal(isTransientError(null), false);
+});
+
+test('getRetryDelay doubles up to maxDelay, half of it random', () => {
+  const options = { baseDelay: 1000, maxDelay: 5000 };
+  for (let i = 0; i < 20; i++) {
+    const first = getRetryDelay(1, options);
+    const third = getRetryDelay(3, options);
+    const tenth = getRetryDelay(10, options);
+    assert.ok(first >= 500 && first <= 1000, `attempt 1: ${first}`);
+    assert.ok(third >= 2000 && third <= 4000, `attempt 3: ${third}`);
+    assert.ok(tenth >= 2500 && tenth <= 5000, `attempt 10: ${tenth}`);
+  }
+});
+
+test('retries transient failures until the call succeeds', async () => {
+  const { fn, calls } = failing('TIMEOUT', 'SERVER_ERROR');
+  const retries = [];
+
+  const result = await withRetry(fn, { ...FAST, onRetry: (error, attempt, delay) => retries.push([error.code, attempt, delay <= 2]) });
+  assert.deepEqual(result, { result: 'posted', attempts: 3 });
+  assert.deepEqual(calls, [1, 2, 3]);
+  assert.deepEqual(retries, [['TIMEOUT', 1, true], ['SERVER_ERROR', 2, true]]);
+});
+
+test('gives up after maxAttempts with the last error', async () => {
+  const { fn, calls } = failing('TIMEOUT', 'TIMEOUT', 'NETWORK_ERROR', 'TIMEOUT');
+
+  await assert.rejects(withRetry(fn, FAST), { code: 'NETWORK_ERROR', attempts: 3 });
+  assert.equal(calls.length, 3);
+});
+
+test('doesn\'t retry errors that another attempt can\'t fix', async () => {
+  for (const code of ['FLAIR_REQUIRED', 'RATELIMIT']) {
+    const { fn, calls } = failing(code);
+    await assert.rejects(withRetry(fn, FAST), { code, attempts: 1 });
+    assert.equal(calls.length, 1);
+  }
+});
+
+test('stops retrying when shouldContinue says no', async () => {
+  const { fn, calls } = failing('TIMEOUT', 'TIMEOUT');
+  let asked = 0;
+
+  await assert.rejects(
+    withRetry(fn, { ...FAST, shouldContinue: async () => ++asked < 2 }),
+    error => error.code === 'TIMEOUT' && error.stopped === true && error.attempts === 1
+  );
+  // Asked before the wait and again after it, then nothing more was tried
+  assert.equal(asked, 2);
+  assert.deepEqual(calls, [1]);
+});
@@ -0,0 +1,105 @@
+// CSV and XLSX batches (utils/spreadsheet.js), from temporary files
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseCsv, parseCsvFile, parseXlsxFile } = require('../utils/spreadsheet');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spreadsheet-test-'));
+let files = 0;
+
+function writeFile(extension, content) {
+  const file = path.join(dir, `posts-${++files}.${extension}`);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+const messages = diagnostics => diagnostics.map(item => `${item.line}: ${item.message}`);
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('parseCsv handles quotes, embedded newlines and the line each record starts on', () => {
+  const records = parseCsv('\uFEFFsubreddit,title\r\npics,"Say ""hi"", world"\r\naww,"Two\nlines"\nlast,row');
+
+  assert.deepEqual(records, [
+    { line: 1, fields: ['subreddit', 'title'] },
+    { line: 2, fields: ['pics', 'Say "hi", world'] },
+    { line: 3, fields: ['aww', 'Two\nlines'] },
+    { line: 5, fields: ['last', 'row'] }
+  ]);
+});
+
+test('parseCsv uses the delimiter of the header row', () => {
+  assert.deepEqual(parseCsv('subreddit;title\npics;Hello, world').map(record => record.fields), [['subreddit', 'title'], ['pics', 'Hello, world']]);
+  assert.deepEqual(parseCsv('subreddit\ttitle\npics\tHi; there').map(record => record.fields), [['subreddit', 'title'], ['pics', 'Hi; there']]);
+});
+
+test('CSV rows become posts like TXT posts do', () => {
+  const file = writeFile('csv', [
+    'Subreddit,Title,URL,Flair Text,flair-id,Body,NSFW,Schedule',
+    'r/pics,My cat,https://example.com/cat.jpg,OC,,,yes,2026-05-01T18:30:00Z',
+    ',,,,,,,',
+    'AskReddit,A question,,,abc-123,"Line one\r\n\r\nLine three",no,'
+  ].join('\n'));
+  const { posts, diagnostics } = parseCsvFile(file);
+
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(posts.map(post => [post.id, post.subreddit, post.title, post.url, post.flair_text, post.flair_id, post.nsfw, post.schedule]), [
+    [1, 'pics', 'My cat', 'https://example.com/cat.jpg', 'OC', null, true, '2026-05-01T18:30:00.000Z'],
+    [2, 'AskReddit', 'A question', null, null, 'abc-123', false, null]
+  ]);
+  assert.equal(posts[1].body, 'Line one\n\nLine three');
+});
+
+test('reports columns and values it can\'t use', () => {
+  const file = writeFile('csv', [
+    'subreddit,title,url,nsfw,schedule,colour',
+    'pics,,ftp://example.com/a,maybe,someday,red',
+    ',Orphan,,,,'
+  ].join('\n'));
+  const { posts, diagnostics } = parseCsvFile(file);
+
+  assert.equal(posts.length, 1);
+  assert.equal(posts[0].url, null);
+  assert.deepEqual(messages(diagnostics), [
+    '1: Unknown column "colour" - it is ignored. Columns: subreddit, title, url, flair_id, flair_text, body, nsfw, schedule.',
+    '2: The post has no title - it can\'t be posted.',
+    '2: Only http:// and https:// links can be posted - the url is ignored.',
+    '2: Use yes or no for nsfw - the value is ignored.',
+    '2: The schedule is ignored: can\'t read the time "someday" (use e.g. 2026-05-01 18:30 or an ISO time).',
+    '3: No subreddit in this row - the post is skipped.'
+  ]);
+  assert.deepEqual(diagnostics.map(item => item.postId), [null, 1, 1, 1, 1, null]);
+});
+
+test('a file without the required columns has no posts', () => {
+  assert.deepEqual(messages(parseCsvFile(writeFile('csv', 'subreddit,link\npics,https://example.com')).diagnostics), [
+    '1: Unknown column "link" - it is ignored. Columns: subreddit, title, url, flair_id, flair_text, body, nsfw, schedule.',
+    '1: The header row has no title column.'
+  ]);
+  assert.deepEqual(messages(parseCsvFile(writeFile('csv', '')).diagnostics), ['1: The file is empty - it needs a header row and one row per post.']);
+});
+
+test('XLSX rows are read from the first sheet, links and all', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Posts');
+  sheet.addRow(['subreddit', 'title', 'url', 'nsfw']);
+  sheet.addRow(['pics', { richText: [{ text: 'Bold ' }, { text: 'cat' }] }, { text: 'the cat', hyperlink: 'https://example.com/cat' }, true]);
+  sheet.addRow([]);
+  sheet.addRow(['aww', 'Puppy', null, 'no']);
+  const file = path.join(dir, 'posts.xlsx');
+  await workbook.xlsx.writeFile(file);
+
+  const { posts, diagnostics } = await parseXlsxFile(file);
+  assert.deepEqual(diagnostics, []);
+  assert.deepEqual(posts.map(post => [post.subreddit, post.title, post.url, post.nsfw]), [
+    ['pics', 'Bold cat', 'https://example.com/cat', true],
+    ['aww', 'Puppy', null, false]
+  ]);
+});
+
+test('a file that isn\'t a spreadsheet is INVALID_REQUEST', async () => {
+  await assert.rejects(parseXlsxFile(writeFile('xlsx', 'not a zip')), { code: 'INVALID_REQUEST' });
+});
@@ -0,0 +1,101 @@
+// The post status checker (utils/tracker.js) against stand-ins for the
+// submission queries of db/database.js and for axios - nothing reaches
+// Postgres or Reddit.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+const database = require('../db/database');
+
+let due = [];
+const statuses = [];
+const metrics = [];
+Object.assign(database, {
+  async getAccountById(id) {
+    return id === 1 ? { id: 1, client_id: 'client', client_secret: 'secret', refresh_token: 'refresh' } : null;
+  },
+  async getSubmissionsToCheck() {
+    return due;
+  },
+  async updateSubmissionStatus(id, status) {
+    statuses.push({ id, ...status });
+  },
+  async addSubmissionMetrics(id, values) {
+    metrics.push({ id, ...values });
+  }
+});
+
+axios.post = async () => ({ data: { access_token: 'token', expires_in: 3600 } });
+// /api/info answers with the posts it still knows
+const posts = new Map();
+const infoRequests = [];
+axios.request = async (config) => {
+  infoRequests.push(config.params.id);
+  const children = config.params.id.split(',').filter(name => posts.has(name)).map(name => ({ kind: 't3', data: posts.get(name) }));
+  return { data: { data: { children } }, headers: {} };
+};
+
+const { interpretPostStatus, checkSubmissions } = require('../utils/tracker');
+
+test('a post Reddit still shows is live', () => {
+  assert.deepEqual(interpretPostStatus({ name: 't3_a', removed_by_category: null }), {
+    reddit_status: 'live',
+    removed_by_category: null,
+    is_removed: false,
+    is_spam: false,
+    is_visible: true
+  });
+});
+
+test('tells removed, spam-filtered and deleted posts apart', () => {
+  const removed = interpretPostStatus({ removed_by_category: 'automod_filtered' });
+  assert.equal(removed.reddit_status, 'removed');
+  assert.equal(removed.removed_by_category, 'automod_filtered');
+  assert.equal(removed.is_visible, false);
+  assert.equal(interpretPostStatus({ removed: true }).reddit_status, 'removed');
+
+  const spam = interpretPostStatus({ removed_by_category: 'reddit' });
+  assert.deepEqual([spam.reddit_status, spam.is_spam, spam.is_removed], ['spam', true, true]);
+  assert.equal(interpretPostStatus({ spam: true }).reddit_status, 'spam');
+
+  for (const data of [{ removed_by_category: 'deleted' }, { removed_by_category: 'author' }, { author: '[deleted]' }]) {
+    const deleted = interpretPostStatus(data);
+    assert.equal(deleted.reddit_status, 'deleted');
+    assert.equal(deleted.is_removed, false);
+  }
+  // /api/info leaves out posts that are gone altogether
+  assert.deepEqual(interpretPostStatus(null), { reddit_status: 'deleted', removed_by_category: null, is_removed: null, is_spam: null, is_visible: false });
+});
+
+test('checkSubmissions saves the status of each due post', async () => {
+  posts.set('t3_live', { name: 't3_live', score: 42, upvote_ratio: 0.97, num_comments: 5 });
+  posts.set('t3_gone', { name: 't3_gone', removed_by_category: 'moderator', score: 1 });
+  due = [
+    { id: 1, account_id: 1, fullname: 't3_live', subreddit: 'pics', reddit_status: null },
+    { id: 2, account_id: 1, fullname: 't3_gone', subreddit: 'pics', reddit_status: 'live' },
+    { id: 3, account_id: 1, fullname: 't3_missing', subreddit: 'pics', reddit_status: 'live' },
+    { id: 4, account_id: 9, fullname: 't3_other', subreddit: 'pics', reddit_status: null }
+  ];
+  await checkSubmissions();
+
+  // One /api/info request for the account; the unknown account is left alone
+  assert.deepEqual(infoRequests, ['t3_live,t3_gone,t3_missing']);
+  assert.deepEqual(statuses.map(row => [row.id, row.reddit_status]), [[1, 'live'], [2, 'removed'], [3, 'deleted']]);
+});
+
+test('checkSubmissions keeps a metrics snapshot of each post Reddit returned', async () => {
+  posts.set('t3_popular', { name: 't3_popular', score: 42, upvote_ratio: 0.97, num_comments: 5 });
+  posts.set('t3_removed', { name: 't3_removed', removed_by_category: 'moderator', score: 1 });
+  due = [
+    { id: 5, account_id: 1, fullname: 't3_popular', subreddit: 'pics', reddit_status: 'live' },
+    { id: 6, account_id: 1, fullname: 't3_removed', subreddit: 'pics', reddit_status: 'live' },
+    { id: 7, account_id: 1, fullname: 't3_vanished', subreddit: 'pics', reddit_status: 'live' }
+  ];
+  metrics.length = 0;
+  await checkSubmissions();
+
+  assert.deepEqual(metrics, [
+    { id: 5, score: 42, upvote_ratio: 0.97, num_comments: 5 },
+    { id: 6, score: 1, upvote_ratio: null, num_comments: null }
+  ]);
+});
@@ -0,0 +1,174 @@
+// JSON batches, for scripts and tools that build posts without writing the TXT
+// format. schemas/batch.schema.json describes a batch - { posts: [...] } plus
+// the posting options - and a JSON Lines file has one post per line. Batches
+// are validated against the schema and turned into the same post objects as a
+// TXT file (see utils/parser.js).
+const fs = require('fs');
+const Ajv = require('ajv');
+const BATCH_SCHEMA = require('../schemas/batch.schema.json');
+const { buildPost, parseValueDirective } = require('./parser');
+const { getMediaType } = require('./media');
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(BATCH_SCHEMA, 'batch');
+const validateBatch = ajv.getSchema('batch');
+// A single post, for JSON Lines
+const validatePost = ajv.compile({ $ref: 'batch#/definitions/post' });
+
+// { path, post, field, message }: path is a JSON pointer to the value
+// (/posts/2/title), post the post's number in the batch (1-based, null for
+// batch fields) and field the path within the post (gallery.1.caption)
+function fieldError(path, message) {
+  const segments = path.split('/').slice(1);
+  const inPost = segments[0] === 'posts' && segments.length > 1;
+  return {
+    path,
+    post: inPost ? Number(segments[1]) + 1 : null,
+    field: (inPost ? segments.slice(2) : segments).join('.') || null,
+    message
+  };
+}
+
+// Field errors for what ajv reported, prefixed with where the value sits
+function schemaErrors(errors, prefix = '') {
+  return errors.map(error => {
+    const path = `${prefix}${error.instancePath}`;
+    switch (error.keyword) {
+      case 'required':
+        return fieldError(`${path}/${error.params.missingProperty}`, 'is required');
+      case 'additionalProperties':
+        return fieldError(`${path}/${error.params.additionalProperty}`, 'is not a batch field (see GET /api/batches/schema)');
+      case 'enum':
+        return fieldError(path, `must be one of ${error.params.allowedValues.join(', ')}`);
+      case 'pattern':
+        // Only links have a pattern
+        return fieldError(path, 'must be an http:// or https:// link');
+      default:
+        return fieldError(path, error.message);
+    }
+  });
+}
+
+// The app's post object for a post that matched the schema, and field errors
+// for what the schema can't check (times that can't be read)
+function toPost(item, id, prefix) {
+  const errors = [];
+  const currentPost = {
+    title: item.title,
+    url: item.url || null,
+    flair_id: item.flair_id || null,
+    flair_text: item.flair_text || null,
+    notes: item.notes || null,
+    crosspost: item.crosspost || null,
+    body: item.body || null,
+    comment: item.comment || null,
+    nsfw: item.nsfw,
+    spoiler: item.spoiler,
+    oc: item.oc,
+    sendreplies: item.sendreplies
+  };
+  parseValueDirective('subreddit', item.subreddit.trim(), currentPost);
+  ['kind', 'schedule'].forEach(key => {
+    const problem = item[key] !== undefined ? parseValueDirective(key, item[key].trim(), currentPost) : null;
+    if (problem === undefined) {
+      errors.push(fieldError(`${prefix}/${key}`, 'must not be blank'));
+    } else if (problem) {
+      errors.push(fieldError(`${prefix}/${key}`, problem));
+    }
+  });
+
+  // Same shape as image/video/poster/caption/link lines in a TXT file
+  if (item.gallery) {
+    currentPost.mediaItems = item.gallery.map(image => ({
+      type: 'image',
+      file: image.file,
+      caption: image.caption || null,
+      outbound_url: image.outbound_url || null
+    }));
+    if (item.media) {
+      errors.push(fieldError(`${prefix}/media`, 'can\'t be used together with gallery'));
+    }
+  } else if (item.media) {
+    currentPost.mediaItems = [{ type: item.media.type || getMediaType(item.media.file)?.type || null, file: item.media.file }];
+    currentPost.poster = item.media.poster || null;
+  }
+
+  const post = buildPost(currentPost, id);
+  if (!post || !post.hasTitle) {
+    errors.push(fieldError(`${prefix}/${post ? 'title' : 'subreddit'}`, 'must not be blank'));
+  }
+  return { post, errors };
+}
+
+// Check a batch ({ posts, ...options }). Returns { posts, errors }: the posts
+// as the app sees them, or field errors if anything doesn't match the schema.
+function parseBatch(batch) {
+  if (!validateBatch(batch)) {
+    return { posts: [], errors: schemaErrors(validateBatch.errors) };
+  }
+
+  const posts = [];
+  const errors = [];
+  batch.posts.forEach((item, index) => {
+    const result = toPost(item, index + 1, `/posts/${index}`);
+    posts.push(result.post);
+    errors.push(...result.errors);
+  });
+  return { posts: errors.length > 0 ? [] : posts, errors };
+}
+
+// Parse a .json upload: one batch. Returns { posts, errors } like parseBatch.
+function parseJsonFile(filePath) {
+  let batch;
+  try {
+    batch = JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return { posts: [], errors: [fieldError('', `The file is not valid JSON: ${error.message}`)] };
+  }
+  return parseBatch(batch);
+}
+
+// Parse a .jsonl upload: one post per line, blank lines skipped. Returns
+// { posts, errors } like parseBatch; errors also have the line number.
+function parseJsonlFile(filePath) {
+  const posts = [];
+  const errors = [];
+  const lines = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').split('\n');
+
+  lines.forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    const prefix = `/posts/${posts.length}`;
+    const lineError = error => ({ ...error, line: index + 1 });
+
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (error) {
+      errors.push(lineError(fieldError(prefix, `The line is not valid JSON: ${error.message}`)));
+      posts.push(null);
+      return;
+    }
+    if (!validatePost(item)) {
+      errors.push(...schemaErrors(validatePost.errors, prefix).map(lineError));
+      posts.push(null);
+      return;
+    }
+    const result = toPost(item, posts.length + 1, prefix);
+    errors.push(...result.errors.map(lineError));
+    posts.push(result.post);
+  });
+
+  if (posts.length === 0) {
+    errors.push(fieldError('/posts', 'The file has no posts - it needs one JSON post per line.'));
+  }
+  return { posts: errors.length > 0 ? [] : posts, errors };
+}
+
+module.exports = {
+  BATCH_SCHEMA,
+  parseBatch,
+  parseJsonFile,
+  parseJsonlFile
+};
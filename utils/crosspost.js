@@ -0,0 +1,63 @@
+// Crossposts share an existing submission to another subreddit: /api/submit
+// with kind=crosspost and the source's fullname instead of a URL. A post names
+// its source with `crosspost` - a fullname (t3_abc123) or a permalink. This
+// module works out the fullname and checks the source's /api/info data (looked
+// up in utils/reddit.js) before anything is submitted.
+
+// Reddit hosts that serve permalinks (www., old., new., np., ...)
+const REDDIT_HOST = /(^|\.)reddit\.com$/i;
+
+// t3_abc123 for a fullname, permalink or redd.it short link; null if it's none of them
+function parseCrosspostSource(value) {
+  const source = String(value || '').trim();
+  if (/^t3_[a-z0-9]+$/i.test(source)) {
+    return source.toLowerCase();
+  }
+
+  let urlObj;
+  try {
+    urlObj = new URL(source);
+  } catch (e) {
+    return null;
+  }
+
+  const host = urlObj.hostname.toLowerCase();
+  // https://www.reddit.com/r/sub/comments/abc123/title/ (also /comments/abc123 and /user/name/comments/abc123)
+  const match = REDDIT_HOST.test(host)
+    ? urlObj.pathname.match(/\/comments\/([a-z0-9]+)(\/|$)/i)
+    : (host === 'redd.it' ? urlObj.pathname.match(/^\/([a-z0-9]+)\/?$/i) : null);
+  return match ? `t3_${match[1].toLowerCase()}` : null;
+}
+
+function problem(severity, code, message) {
+  return { severity, code, message };
+}
+
+// Problems with crossposting a source post (its /api/info data, null if Reddit
+// didn't return it) to the post's subreddit
+function checkCrosspostSource(source, post) {
+  if (!source) {
+    return [problem('error', 'CROSSPOST_INVALID', 'The post to crosspost was not found.')];
+  }
+
+  const problems = [];
+  const category = source.removed_by_category;
+  if (category === 'deleted' || category === 'author' || source.author === '[deleted]') {
+    problems.push(problem('error', 'CROSSPOST_INVALID', `The post to crosspost (r/${source.subreddit}) was deleted by its author.`));
+  } else if (category || source.removed) {
+    problems.push(problem('error', 'CROSSPOST_INVALID', `The post to crosspost (r/${source.subreddit}) was removed.`));
+  } else if (source.is_crosspostable === false) {
+    // The source subreddit turned crossposts off, or the post is archived or locked
+    problems.push(problem('error', 'CROSSPOST_NOT_ALLOWED', `The post in r/${source.subreddit} can't be crossposted.`));
+  }
+
+  if (post.subreddit && source.subreddit?.toLowerCase() === post.subreddit.toLowerCase()) {
+    problems.push(problem('error', 'CROSSPOST_INVALID', `The post is already in r/${source.subreddit} - crossposts have to go to another subreddit.`));
+  }
+  return problems;
+}
+
+module.exports = {
+  parseCrosspostSource,
+  checkCrosspostSource
+};
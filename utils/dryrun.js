@@ -0,0 +1,123 @@
+// Dry run: go through everything a real submission does - account, access
+// token, proxy, URL validation, flair lookup - and build the exact submit
+// request body, but never submit. Problems are collected instead of thrown.
+const { getAccountById } = require('../db/database');
+const { getAccessToken, prepareSubmission, checkProxy } = require('./reddit');
+const { getRateLimitWait } = require('./ratelimit');
+const { findDuplicateSubmission } = require('./duplicates');
+const { RedditError, interpretRequestError } = require('./errors');
+
+const REDDIT_API_URL = 'https://oauth.reddit.com';
+
+// Reddit's limit for comment text
+const MAX_COMMENT_LENGTH = 10000;
+
+function problem(severity, code, message) {
+  return { severity, code, message };
+}
+
+// Checks that apply to the whole account: { token, proxy, rateLimit, problems }
+async function checkAccount(account) {
+  const problems = [];
+
+  let token = { ok: true };
+  try {
+    await getAccessToken(account.id);
+  } catch (error) {
+    const tokenError = interpretRequestError(error, { account });
+    token = { ok: false, code: tokenError.code, error: tokenError.message };
+    problems.push(problem('error', tokenError.code, `Could not get an access token: ${tokenError.message}`));
+  }
+
+  const proxy = await checkProxy(account);
+  if (proxy.configured && !proxy.reachable) {
+    problems.push(problem('error', 'PROXY_FAILURE', `Proxy ${account.proxy_host}:${account.proxy_port} is not reachable: ${proxy.error}`));
+  }
+
+  const wait = getRateLimitWait(account.id, { submitting: true });
+  if (wait > 0) {
+    problems.push(problem('warning', 'RATELIMIT', `The account is rate limited - posting would wait ${wait} seconds first.`));
+  }
+
+  return { token, proxy, rateLimitWait: wait, problems };
+}
+
+// Dry-run one post once the account checks are done
+async function dryRunPost(post, account, tokenOk, resubmit) {
+  const problems = [];
+  let prepared = null;
+
+  if (!post.isValid) {
+    problems.push(problem('error', 'INVALID_REQUEST', 'Post is missing a subreddit or title and would be skipped.'));
+  }
+
+  if (!resubmit && !post.resubmit) {
+    const duplicate = await findDuplicateSubmission(post, account.id);
+    if (duplicate) {
+      problems.push(problem('error', 'DUPLICATE_SUBMISSION', `Already posted to r/${duplicate.subreddit}${duplicate.permalink ? ` (${duplicate.permalink})` : ''} - it would be skipped. Use resubmit to post it again.`));
+    }
+  }
+
+  try {
+    // Flairs can only be looked up with a working token
+    prepared = await prepareSubmission(account, post, { checkFlairId: true, lookupFlairs: tokenOk });
+    problems.push(...prepared.problems);
+  } catch (error) {
+    const redditError = interpretRequestError(error, { account, post });
+    problems.push(problem('error', redditError.code, redditError.message));
+  }
+
+  // The first comment goes out after the post, as a reply to its fullname
+  if (post.comment && post.comment.length > MAX_COMMENT_LENGTH) {
+    problems.push(problem('error', 'TOO_LONG', `The comment is ${post.comment.length} characters - the maximum is ${MAX_COMMENT_LENGTH}.`));
+  }
+  const commentPayload = post.comment ? { api_type: 'json', thing_id: '(fullname of the new post)', text: post.comment } : null;
+
+  return {
+    postId: post.id,
+    subreddit: post.subreddit,
+    title: post.title,
+    ok: !problems.some(p => p.severity === 'error'),
+    request: prepared ? {
+      method: 'POST',
+      url: `${REDDIT_API_URL}${prepared.path}`,
+      payload: prepared.data,
+      body: prepared.json ? JSON.stringify(prepared.data) : new URLSearchParams(prepared.data).toString()
+    } : null,
+    commentRequest: commentPayload ? {
+      method: 'POST',
+      url: `${REDDIT_API_URL}/api/comment`,
+      payload: commentPayload,
+      body: new URLSearchParams(commentPayload).toString()
+    } : null,
+    problems
+  };
+}
+
+// Dry-run posts for an account. Returns
+// { account: { id, name }, checks: { token, proxy, rateLimitWait }, problems, results }
+// With resubmit, links posted before aren't reported as duplicates.
+async function dryRunPosts(posts, accountId, { resubmit = false } = {}) {
+  const account = await getAccountById(accountId);
+  if (!account) {
+    throw new RedditError('ACCOUNT_NOT_FOUND', 'Account not found');
+  }
+
+  const { problems, ...checks } = await checkAccount(account);
+
+  const results = [];
+  for (const post of posts) {
+    results.push(await dryRunPost(post, account, checks.token.ok, resubmit));
+  }
+
+  return {
+    account: { id: account.id, name: account.name },
+    checks,
+    problems,
+    results
+  };
+}
+
+module.exports = {
+  dryRunPosts
+};
@@ -0,0 +1,74 @@
+// Duplicate guard: before submitting, look for the same link already posted by
+// the same account to the same subreddit in the submission history. Reddit's
+// own ALREADY_SUB check doesn't catch everything (e.g. links posted long ago,
+// or the same link with different tracking parameters).
+const { findPostedSubmission, getSubmissionsWithoutNormalizedUrl, setNormalizedUrl } = require('../db/database');
+const { parseCrosspostSource } = require('./crosspost');
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|igshid|ref|ref_src|ref_url|si)$/i;
+
+// Reduce a URL to what identifies the content: no scheme, "www.", fragment,
+// tracking parameters or trailing slash; remaining parameters sorted
+function normalizeUrl(url) {
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const urlObj = new URL(url.trim());
+    const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    const path = urlObj.pathname.replace(/\/+$/, '');
+    const params = [...urlObj.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+    return `${host}${path}${query}`;
+  } catch (e) {
+    return url.trim().toLowerCase();
+  }
+}
+
+// Find an earlier successful submission of the post's link (or crosspost of the
+// same post) by the same account in the same subreddit. Returns the submission
+// or null. Text, image, video and gallery posts are never treated as duplicates.
+async function findDuplicateSubmission(post, accountId) {
+  const crosspostFullname = post.crosspost ? parseCrosspostSource(post.crosspost) : null;
+  if (crosspostFullname && post.subreddit) {
+    return findPostedSubmission(accountId, post.subreddit, { crosspost_fullname: crosspostFullname });
+  }
+
+  const normalized = post.crosspost || post.media || post.gallery?.length > 0 ? null : normalizeUrl(post.url);
+  if (!normalized || !post.subreddit) {
+    return null;
+  }
+
+  return findPostedSubmission(accountId, post.subreddit, { normalized_url: normalized });
+}
+
+// Fill in normalized_url for submissions recorded before it was stored, so
+// the duplicate guard finds them too. Run once at startup.
+async function backfillNormalizedUrls() {
+  let afterId = 0;
+  let count = 0;
+  for (;;) {
+    const submissions = await getSubmissionsWithoutNormalizedUrl(afterId);
+    if (submissions.length === 0) {
+      break;
+    }
+    for (const submission of submissions) {
+      await setNormalizedUrl(submission.id, normalizeUrl(submission.url));
+      afterId = submission.id;
+      count++;
+    }
+  }
+  if (count > 0) {
+    console.log(`[History] Normalized the links of ${count} earlier submissions`);
+  }
+}
+
+module.exports = {
+  normalizeUrl,
+  findDuplicateSubmission,
+  backfillNormalizedUrls
+};
@@ -0,0 +1,412 @@
+// Turns Reddit API responses and request failures into one error shape:
+// { code, message, retryable, retryAfter, raw }
+//
+// Codes are stable and machine-readable - the UI and API clients should switch
+// on `code`, never on the message text.
+
+// Known error codes and whether trying again later can help
+const ERROR_CODES = {
+  // Post validation
+  FLAIR_REQUIRED: { retryable: false },
+  BAD_FLAIR_TEMPLATE_ID: { retryable: false },
+  FLAIR_TEXT_WITHOUT_ID: { retryable: false },
+  INVALID_URL: { retryable: false },
+  DOMAIN_BANNED: { retryable: false },
+  NO_LINKS: { retryable: false },
+  NO_SELFS: { retryable: false },
+  TITLE_INVALID: { retryable: false },
+  TOO_LONG: { retryable: false },
+  NO_TEXT: { retryable: false },
+  ALREADY_SUB: { retryable: false },
+  // Our own history says the link was already posted there (see utils/duplicates.js)
+  DUPLICATE_SUBMISSION: { retryable: false },
+  // Image/video posts: the local file is missing, or not something Reddit takes
+  MEDIA_NOT_FOUND: { retryable: false },
+  MEDIA_INVALID: { retryable: false },
+  // Crossposts: the source isn't a post (any more), or can't be crossposted
+  CROSSPOST_INVALID: { retryable: false },
+  CROSSPOST_NOT_ALLOWED: { retryable: false },
+  // The request to this API itself is missing something or malformed
+  INVALID_REQUEST: { retryable: false },
+
+  // Subreddit and account permissions
+  SUBREDDIT_NOTALLOWED: { retryable: false },
+  SUBREDDIT_NOEXIST: { retryable: false },
+  SUBMIT_RESTRICTED: { retryable: false },
+  AUTH_INVALID: { retryable: false },
+  FORBIDDEN: { retryable: false },
+  ACCOUNT_NOT_FOUND: { retryable: false },
+
+  // Preflight notes: options the subreddit ignores, and an 18+ subreddit
+  SPOILERS_DISABLED: { retryable: false },
+  OC_DISABLED: { retryable: false },
+  NSFW_SUBREDDIT: { retryable: false },
+
+  // Transient failures
+  RATELIMIT: { retryable: true },
+  PROXY_FAILURE: { retryable: true },
+  NETWORK_ERROR: { retryable: true },
+  TIMEOUT: { retryable: true },
+  SERVER_ERROR: { retryable: true },
+  MEDIA_UPLOAD_FAILED: { retryable: true },
+
+  // A bulk job post whose outcome is unknown because the server restarted mid-submit
+  INTERRUPTED: { retryable: false },
+
+  // Anything we can't classify
+  INVALID_RESPONSE: { retryable: false },
+  REDDIT_ERROR: { retryable: false },
+  UNKNOWN: { retryable: false }
+};
+
+// Reddit uses several codes for the same problem
+const CODE_ALIASES = {
+  SUBMIT_VALIDATION_FLAIR_REQUIRED: 'FLAIR_REQUIRED',
+  SUBMIT_VALIDATION_TITLE_BLACKLISTED_STRING: 'TITLE_INVALID',
+  SUBMIT_VALIDATION_TITLE_REQUIREMENT: 'TITLE_INVALID',
+  SUBMIT_VALIDATION_TITLE_REGEX_REQUIREMENT: 'TITLE_INVALID',
+  SUBMIT_VALIDATION_TITLE_TOO_SHORT: 'TITLE_INVALID',
+  SUBMIT_VALIDATION_TITLE_TOO_LONG: 'TOO_LONG',
+  SUBMIT_VALIDATION_LINK_WHITELIST: 'DOMAIN_BANNED',
+  SUBMIT_VALIDATION_LINK_BLACKLIST: 'DOMAIN_BANNED',
+  SUBMIT_VALIDATION_BODY_NOT_ALLOWED: 'NO_SELFS',
+  BAD_URL: 'INVALID_URL',
+  NO_URL: 'INVALID_URL',
+  IN_TIMEOUT: 'SUBMIT_RESTRICTED',
+  SUBREDDIT_NOTALLOWED_BANNED: 'SUBREDDIT_NOTALLOWED',
+  NO_SUBREDDIT_FOUND: 'SUBREDDIT_NOEXIST',
+  INVALID_CROSSPOST_THING: 'CROSSPOST_INVALID'
+};
+
+// Network error codes from Node/axios
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_SOCKET_CLOSED'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT', 'ERR_CANCELED'];
+
+class RedditError extends Error {
+  constructor(code, message, { retryAfter = null, raw = null, retryable } = {}) {
+    super(message);
+    this.name = 'RedditError';
+    this.code = code;
+    this.retryable = retryable !== undefined ? retryable : !!ERROR_CODES[code]?.retryable;
+    this.retryAfter = retryAfter;
+    this.raw = raw;
+    // Kept for older callers that read the raw Reddit payload from here
+    this.redditResponse = raw;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      retryAfter: this.retryAfter,
+      raw: this.raw
+    };
+  }
+}
+
+// "try again in 9 minutes" / "try again in 30 seconds" -> seconds
+function parseRetryAfter(message) {
+  if (typeof message !== 'string') {
+    return null;
+  }
+  const match = message.match(/(\d+)\s*(milliseconds?|seconds?|minutes?|hours?)/i);
+  if (!match) {
+    return null;
+  }
+  const value = parseInt(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit.startsWith('millisecond')) return Math.ceil(value / 1000);
+  if (unit.startsWith('second')) return value;
+  if (unit.startsWith('minute')) return value * 60;
+  return value * 3600;
+}
+
+function normalizeCode(code) {
+  const upper = String(code || '').toUpperCase();
+  return CODE_ALIASES[upper] || upper;
+}
+
+// Friendly message for a code, falling back to what Reddit said
+function describeError(code, redditMessage, post = {}) {
+  const subreddit = post.subreddit ? `r/${post.subreddit}` : 'this subreddit';
+  switch (code) {
+    case 'FLAIR_REQUIRED':
+      return `This subreddit (${subreddit}) REQUIRES post flair. Please add a valid flair_id using "flair_id:..." in your TXT file.`;
+    case 'BAD_FLAIR_TEMPLATE_ID':
+      return `Flair template not found. The flair_id "${post.flair_id || 'unknown'}" is invalid for ${subreddit}. Please check the flair_id and make sure it belongs to this subreddit.`;
+    case 'FLAIR_TEXT_WITHOUT_ID':
+      return 'Flair error: Cannot use flair_text without flair_id. This subreddit requires a valid flair_id. Please use "flair_id:..." in your TXT file instead of "flair:...".';
+    case 'SUBREDDIT_NOTALLOWED':
+      return `You are not allowed to post in ${subreddit}. You may need to join the subreddit or meet karma requirements.`;
+    case 'SUBREDDIT_NOEXIST':
+      return `Subreddit ${subreddit} does not exist.`;
+    case 'RATELIMIT':
+      return redditMessage ? `Rate limit exceeded: ${redditMessage}` : 'Rate limit exceeded. Please wait before posting again.';
+    case 'ALREADY_SUB':
+      return `This link has already been submitted to ${subreddit}.`;
+    case 'INVALID_URL':
+      return `Invalid URL: ${post.url}. Please check that the URL is valid and accessible.`;
+    case 'DOMAIN_BANNED':
+      return `Domain not allowed: The URL domain may not be allowed in ${subreddit}.`;
+    case 'NO_LINKS':
+      return `${subreddit} doesn't allow link posts.`;
+    case 'NO_SELFS':
+      return `${subreddit} doesn't allow text posts.`;
+    default:
+      return redditMessage || 'Reddit API returned an error. The subreddit may have restrictions or the post may be invalid.';
+  }
+}
+
+// Build an error from a Reddit error code and message
+function fromRedditCode(redditCode, redditMessage, raw, post) {
+  let code = normalizeCode(redditCode);
+  if (!ERROR_CODES[code]) {
+    // Unknown Reddit code - keep it, it is still machine-readable
+    code = code || 'REDDIT_ERROR';
+  }
+  const retryAfter = code === 'RATELIMIT' ? parseRetryAfter(redditMessage) : null;
+  return new RedditError(code, describeError(code, redditMessage, post), { retryAfter, raw });
+}
+
+// Guess the code from free text (old-style jquery responses don't always carry one)
+function fromErrorText(text, raw, post) {
+  if (text.includes('flair_text without a flair_id')) {
+    return fromRedditCode('FLAIR_TEXT_WITHOUT_ID', text, raw, post);
+  }
+  if (text.includes('must contain post flair') || text.includes('FLAIR_REQUIRED')) {
+    return fromRedditCode('FLAIR_REQUIRED', text, raw, post);
+  }
+  if (text.includes('Flair template not found') || text.includes('BAD_FLAIR_TEMPLATE_ID')) {
+    return fromRedditCode('BAD_FLAIR_TEMPLATE_ID', text, raw, post);
+  }
+  if (/doing that (too much|a lot)|try again in/i.test(text)) {
+    return fromRedditCode('RATELIMIT', text, raw, post);
+  }
+  return new RedditError('REDDIT_ERROR', text, { raw });
+}
+
+// Old-style responses come as a list of jquery calls. Errors show up as a
+// selector like ".error.RATELIMIT.field-ratelimit" followed by the message text.
+function findJqueryError(jquery) {
+  let code = null;
+  let message = null;
+
+  for (const item of jquery) {
+    if (!Array.isArray(item) || item.length < 4 || !Array.isArray(item[3]) || item[3].length === 0) {
+      continue;
+    }
+    const text = item[3][0];
+    if (typeof text !== 'string' || text.length === 0) {
+      continue;
+    }
+
+    const selector = text.match(/^\.error\.([A-Z_]+)/);
+    if (selector) {
+      code = selector[1];
+      continue;
+    }
+
+    if ((item[2] === 'call' || item[2] === 'text') && !text.startsWith('.') && !text.startsWith('http')) {
+      const looksLikeError = code || text.includes('FLAIR') || text.includes('flair') ||
+        (text.length > 10 && /error|must|required|try again/i.test(text));
+      if (looksLikeError) {
+        message = text;
+        break;
+      }
+    }
+  }
+
+  // Success responses also list (empty) error selectors, so only a message counts
+  return message ? { code, message } : null;
+}
+
+function findJqueryRedirect(jquery) {
+  for (const item of jquery) {
+    if (Array.isArray(item) && item.length >= 4 && item[2] === 'call' && Array.isArray(item[3])) {
+      const callArg = item[3][0];
+      if (typeof callArg === 'string' && callArg.includes('reddit.com') && callArg.includes('/comments/')) {
+        return callArg;
+      }
+    }
+  }
+  return null;
+}
+
+// Read the response of /api/submit. Returns { success, postId, name, url } or throws a RedditError.
+// Image and video posts are only processed after the response, so it has no
+// post id yet: those come back with pending: true and the user's submitted page as url.
+function interpretSubmitResponse(data, post = {}) {
+  if (!data || typeof data !== 'object') {
+    throw new RedditError('INVALID_RESPONSE', 'Unexpected response format from Reddit API.', { raw: data });
+  }
+
+  // Reddit API returns errors in json.errors array: [code, message, field]
+  const errors = data.json?.errors;
+  if (Array.isArray(errors) && errors.length > 0) {
+    const [redditCode, redditMessage] = errors[0];
+    throw fromRedditCode(redditCode, redditMessage || redditCode, data, post);
+  }
+
+  if (data.json?.data?.name) {
+    const { id, name, permalink, url } = data.json.data;
+    return {
+      success: true,
+      postId: id || name.replace(/^t3_/, ''),
+      name,
+      url: permalink ? `https://reddit.com${permalink}` : url
+    };
+  }
+
+  // Gallery posts (/api/submit_gallery_post.json) return the fullname as id
+  if (typeof data.json?.data?.id === 'string' && data.json.data.id.startsWith('t3_')) {
+    const { id, url } = data.json.data;
+    return {
+      success: true,
+      postId: id.replace(/^t3_/, ''),
+      name: id,
+      url
+    };
+  }
+
+  if (data.json?.data?.websocket_url || data.json?.data?.user_submitted_page) {
+    return {
+      success: true,
+      postId: null,
+      name: null,
+      url: data.json.data.user_submitted_page || null,
+      pending: true
+    };
+  }
+
+  // jquery array format (Reddit sometimes returns this for both success and errors)
+  if (Array.isArray(data.jquery)) {
+    const jqueryError = findJqueryError(data.jquery);
+    if (jqueryError) {
+      throw jqueryError.code
+        ? fromRedditCode(jqueryError.code, jqueryError.message, data, post)
+        : fromErrorText(jqueryError.message, data, post);
+    }
+
+    if (data.success === true) {
+      const redirectUrl = findJqueryRedirect(data.jquery);
+      const match = redirectUrl ? redirectUrl.match(/\/comments\/([^\/]+)\//) : null;
+      return {
+        success: true,
+        postId: match ? match[1] : null,
+        name: match ? `t3_${match[1]}` : null,
+        url: redirectUrl || 'N/A'
+      };
+    }
+
+    throw new RedditError('REDDIT_ERROR', describeError('REDDIT_ERROR', null, post), { raw: data });
+  }
+
+  if (data.ratelimit) {
+    const retryAfter = Math.ceil(data.ratelimit);
+    throw new RedditError('RATELIMIT', `Rate limit: You can post again in ${retryAfter} seconds.`, { retryAfter, raw: data });
+  }
+
+  throw new RedditError(
+    'INVALID_RESPONSE',
+    'Failed to submit post - no data returned. The subreddit may have restrictions (karma, account age, verification).',
+    { raw: data }
+  );
+}
+
+// Read the response of other api_type=json endpoints (e.g. /api/editusertext).
+// Returns json.data or throws a RedditError for json.errors.
+function interpretJsonResponse(data, post = {}) {
+  const errors = data?.json?.errors;
+  if (Array.isArray(errors) && errors.length > 0) {
+    const [redditCode, redditMessage] = errors[0];
+    throw fromRedditCode(redditCode, redditMessage || redditCode, data, post);
+  }
+  return data?.json?.data || null;
+}
+
+// Turn any failure of a Reddit request (axios error, network error, RedditError) into a RedditError
+function interpretRequestError(error, { account = null, post = {} } = {}) {
+  if (error instanceof RedditError) {
+    return error;
+  }
+  // Only failures of the HTTP client are network problems - an ECONNREFUSED
+  // from the database is our own, not something a retry or proxy check fixes
+  if (!error.isAxiosError && !error.config) {
+    return new RedditError(ERROR_CODES[error.code] ? error.code : 'UNKNOWN', error.message || 'Unknown error');
+  }
+
+  const response = error.response;
+  if (response) {
+    const data = response.data;
+    const status = response.status;
+
+    if (Array.isArray(data?.json?.errors) && data.json.errors.length > 0) {
+      const [redditCode, redditMessage] = data.json.errors[0];
+      return fromRedditCode(redditCode, redditMessage || redditCode, data, post);
+    }
+
+    if (status === 401) {
+      return new RedditError('AUTH_INVALID', 'Unauthorized: Invalid refresh_token, client_id, or client_secret. Please verify your credentials and get a new refresh_token if needed.', { raw: data });
+    }
+    if (status === 403) {
+      return new RedditError('FORBIDDEN', `Access forbidden${post.subreddit ? ` for r/${post.subreddit}` : ''}. The subreddit may be private or the account may be suspended.`, { raw: data });
+    }
+    if (status === 404 && post.subreddit) {
+      return new RedditError('SUBREDDIT_NOEXIST', describeError('SUBREDDIT_NOEXIST', null, post), { raw: data });
+    }
+    if (status === 429) {
+      const retryAfter = parseInt(response.headers?.['retry-after']) || parseInt(response.headers?.['x-ratelimit-reset']) || null;
+      return new RedditError('RATELIMIT', 'Rate limit exceeded. Please wait before trying again.', { retryAfter, raw: data });
+    }
+    if (status === 407) {
+      return new RedditError('PROXY_FAILURE', 'Proxy authentication failed. Please check the proxy username and password.', { raw: data, retryable: false });
+    }
+    if (status >= 500) {
+      return new RedditError('SERVER_ERROR', `Reddit returned ${status}. Reddit may be having problems - try again later.`, { raw: data });
+    }
+
+    const message = data?.message || data?.error_description || (typeof data?.error === 'string' ? data.error : null);
+    return new RedditError('REDDIT_ERROR', message || `Reddit returned ${status}`, { raw: data });
+  }
+
+  const usingProxy = !!(account && account.proxy_host && account.proxy_port);
+  const proxyHint = usingProxy ? ` Please check your proxy settings (${account.proxy_host}:${account.proxy_port})` : '';
+
+  if (TIMEOUT_ERROR_CODES.includes(error.code) || /timeout/i.test(error.message || '')) {
+    return new RedditError(usingProxy ? 'PROXY_FAILURE' : 'TIMEOUT', `Request timed out: ${error.message}.${proxyHint}`);
+  }
+  if (NETWORK_ERROR_CODES.includes(error.code) || /proxy|socket/i.test(error.message || '')) {
+    return new RedditError(usingProxy ? 'PROXY_FAILURE' : 'NETWORK_ERROR', `${usingProxy ? 'Proxy connection failed' : 'Connection failed'}: ${error.message}.${proxyHint}`);
+  }
+
+  return new RedditError(ERROR_CODES[error.code] ? error.code : 'UNKNOWN', error.message || 'Unknown error');
+}
+
+// Error body for API responses: { error, code, retryable, retryAfter, redditResponse }
+function toErrorResponse(error, fallbackMessage = 'Something went wrong', fallbackCode = 'UNKNOWN') {
+  if (typeof error === 'string') {
+    return { error, code: fallbackCode, retryable: false, retryAfter: null, redditResponse: null };
+  }
+  const redditError = interpretRequestError(error || new Error(fallbackMessage));
+  if (redditError.code === 'UNKNOWN') {
+    redditError.code = fallbackCode;
+  }
+  return {
+    error: redditError.message || fallbackMessage,
+    code: redditError.code,
+    retryable: redditError.retryable,
+    retryAfter: redditError.retryAfter,
+    redditResponse: redditError.raw || null
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  RedditError,
+  parseRetryAfter,
+  interpretSubmitResponse,
+  interpretJsonResponse,
+  interpretRequestError,
+  toErrorResponse
+};
@@ -0,0 +1,345 @@
+const { EventEmitter } = require('events');
+const {
+  createJob,
+  getJobById,
+  getJobStatus,
+  getJobItemCounts,
+  getDueJobs,
+  getNextJobItem,
+  updateJobStatus,
+  setJobNextRun,
+  pauseJob: pauseJobRecord,
+  resumeJob: resumeJobRecord,
+  cancelJob: cancelJobRecord,
+  startJobItem,
+  updateJobItem,
+  rescheduleJobItem,
+  failInterruptedJobItems
+} = require('../db/database');
+const { submitPost, getRandomDelay } = require('./reddit');
+
+// How often the worker looks for jobs that are due
+const POLL_INTERVAL = 2000;
+
+// How long to wait after a RATELIMIT error that doesn't say how long (seconds)
+const DEFAULT_RATELIMIT_WAIT = 60;
+
+// Jobs currently being worked on by this process
+const activeJobs = new Set();
+
+let pollTimer = null;
+let running = false;
+
+// Per-post progress events, streamed to the browser over SSE.
+// Every event is emitted as 'event' with { type, jobId, ... }.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+async function emitJobEvent(type, job, data = {}) {
+  try {
+    const counts = await getJobItemCounts(job.id);
+    jobEvents.emit('event', { type, jobId: job.id, counts, ...data });
+  } catch (error) {
+    console.error(`[Jobs] Error emitting ${type} event for job ${job.id}:`, error);
+  }
+}
+
+// Describe a job item in an event
+function itemInfo(item) {
+  return {
+    itemId: item.id,
+    position: item.position,
+    postId: item.post.id,
+    subreddit: item.post.subreddit,
+    title: item.post.title
+  };
+}
+
+// Count job items per status
+function summarizeJob(job) {
+  const counts = { total: job.items.length, pending: 0, posting: 0, posted: 0, failed: 0, skipped: 0 };
+  job.items.forEach(item => {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+  });
+  return { ...job, counts };
+}
+
+// Queue a new bulk posting job and wake the worker up
+// Options: { resubmit } - post links again even if they were posted before
+async function enqueueJob(posts, accountId, delayFrom, delayUpTo, options = {}) {
+  const job = await createJob(accountId, posts, parseInt(delayFrom) || 0, parseInt(delayUpTo) || 0, options);
+  console.log(`[Jobs] Queued job ${job.id} with ${posts.length} posts for account ${accountId}`);
+  wakeWorker();
+  return job;
+}
+
+async function getJob(id) {
+  const job = await getJobById(id);
+  return job ? summarizeJob(job) : null;
+}
+
+// Seconds until a post's scheduled time (0 if it has none or it has passed)
+function getScheduledWait(post) {
+  const scheduledAt = post.schedule ? new Date(post.schedule).getTime() : NaN;
+  return isNaN(scheduledAt) ? 0 : Math.max(0, Math.ceil((scheduledAt - Date.now()) / 1000));
+}
+
+// Post the next pending item of a job, then schedule the one after it
+async function processJob(job) {
+  if (activeJobs.has(job.id)) {
+    return;
+  }
+  activeJobs.add(job.id);
+
+  try {
+    const item = await getNextJobItem(job.id);
+    if (!item) {
+      await completeJob(job);
+      return;
+    }
+
+    if (job.status === 'pending' && !(await updateJobStatus(job.id, 'running'))) {
+      return;
+    }
+
+    // A post with a schedule waits for its time (after the job's own delay)
+    const scheduledWait = getScheduledWait(item.post);
+    if (scheduledWait > 0) {
+      if (await setJobNextRun(job.id, scheduledWait)) {
+        await emitJobEvent('waiting', job, { seconds: scheduledWait, next: itemInfo(item), scheduledFor: item.post.schedule });
+      }
+      return;
+    }
+
+    // Paused or cancelled since the job was picked up
+    if (!(await startJobItem(item.id))) {
+      return;
+    }
+
+    console.log(`[Jobs] Job ${job.id}: posting item ${item.position + 1} to r/${item.post.subreddit}`);
+    await emitJobEvent('started', job, itemInfo(item));
+
+    try {
+      const result = await submitPost(item.post, job.account_id, {
+        jobId: job.id,
+        resubmit: !!job.options?.resubmit,
+        // Pausing or cancelling the job stops the retries too
+        shouldContinue: async () => (await getJobStatus(job.id)) === 'running',
+        onRetry: (error, attempt, delay) => emitJobEvent('retrying', job, {
+          ...itemInfo(item),
+          attempt,
+          delay,
+          error: error.message,
+          code: error.code
+        })
+      });
+      await updateJobItem(item.id, 'posted', result, null, null, result.attempts);
+      await emitJobEvent('posted', job, { ...itemInfo(item), permalink: result.url, name: result.name, attempts: result.attempts, comment: result.comment });
+    } catch (error) {
+      if (error.code === 'RATELIMIT') {
+        await rescheduleRateLimited(job, item, error);
+        return;
+      }
+      if (error.stopped && !error.submitSent) {
+        await holdStoppedItem(job, item, error);
+        return;
+      }
+      if (error.code === 'DUPLICATE_SUBMISSION') {
+        // Nothing was sent, so there's no need to wait before the next post
+        await skipDuplicate(job, item, error);
+        return;
+      }
+
+      console.error(`[Jobs] Job ${job.id}: item ${item.position + 1} failed:`, error.message);
+      await updateJobItem(item.id, 'failed', null, error.message, error.code || 'UNKNOWN', error.attempts || 1);
+      await emitJobEvent('failed', job, {
+        ...itemInfo(item),
+        error: error.message,
+        code: error.code || 'UNKNOWN',
+        retryable: !!error.retryable,
+        retryAfter: error.retryAfter || null,
+        attempts: error.attempts || 1
+      });
+    }
+
+    // Wait the random delay before the next post (nothing to wait for after the last one)
+    const nextItem = await getNextJobItem(job.id);
+    if (nextItem) {
+      const delay = getRandomDelay(job.delay_from, job.delay_up_to);
+      const scheduled = await setJobNextRun(job.id, delay);
+      if (scheduled && delay > 0) {
+        await emitJobEvent('waiting', job, { seconds: delay, next: itemInfo(nextItem) });
+      }
+    } else {
+      await completeJob(job);
+    }
+  } catch (error) {
+    console.error(`[Jobs] Error processing job ${job.id}:`, error);
+  } finally {
+    activeJobs.delete(job.id);
+  }
+}
+
+// Reddit wants us to wait - put the post back and try it again once the wait is over
+async function rescheduleRateLimited(job, item, error) {
+  const seconds = error.retryAfter || DEFAULT_RATELIMIT_WAIT;
+  console.log(`[Jobs] Job ${job.id}: rate limited, retrying item ${item.position + 1} in ${seconds}s`);
+  await rescheduleJobItem(item.id, error.message, error.code);
+  if (await setJobNextRun(job.id, seconds)) {
+    await emitJobEvent('rescheduled', job, {
+      ...itemInfo(item),
+      seconds,
+      error: error.message,
+      code: error.code
+    });
+  }
+}
+
+// The job was paused or cancelled while the post waited for a retry, and
+// nothing reached Reddit yet: a paused job tries the post again once it's
+// resumed, a cancelled one skips it like the rest of its posts. (If a submit
+// request had gone out, the post fails as usual - it may be up on Reddit.)
+async function holdStoppedItem(job, item, error) {
+  const status = await getJobStatus(job.id);
+  console.log(`[Jobs] Job ${job.id} is ${status} - item ${item.position + 1} is not retried now`);
+  if (status === 'paused') {
+    await rescheduleJobItem(item.id, error.message, error.code);
+    // No wait - the post is next once the job is resumed
+    await emitJobEvent('rescheduled', job, {
+      ...itemInfo(item),
+      seconds: null,
+      error: error.message,
+      code: error.code
+    });
+  } else {
+    const message = `Job ${status} before the post was retried: ${error.message}`;
+    await updateJobItem(item.id, 'skipped', null, message, error.code, error.attempts || 1);
+    await emitJobEvent('skipped', job, {
+      ...itemInfo(item),
+      error: message,
+      code: error.code
+    });
+  }
+}
+
+// The link was posted before - skip it instead of failing
+async function skipDuplicate(job, item, error) {
+  console.log(`[Jobs] Job ${job.id}: skipping item ${item.position + 1}, already posted`);
+  await updateJobItem(item.id, 'skipped', { duplicateOf: error.duplicateOf }, error.message, error.code);
+  await emitJobEvent('skipped', job, {
+    ...itemInfo(item),
+    error: error.message,
+    code: error.code,
+    duplicateOf: { id: error.duplicateOf.id, permalink: error.duplicateOf.permalink, created_at: error.duplicateOf.created_at }
+  });
+  if (!(await getNextJobItem(job.id))) {
+    await completeJob(job);
+  }
+}
+
+async function completeJob(job) {
+  if (await updateJobStatus(job.id, 'completed')) {
+    console.log(`[Jobs] Job ${job.id} completed`);
+    await emitJobEvent('completed', job);
+  }
+}
+
+// Pause, resume and cancel only touch the database - the worker checks the job
+// status before every post, so a job waiting between posts reacts right away.
+// A post waiting for a retry stops at the end of its backoff at the latest.
+// Each returns the updated job, or null if the job isn't in a state that allows it.
+async function pauseJob(id) {
+  const job = await pauseJobRecord(id);
+  if (!job) {
+    return null;
+  }
+  console.log(`[Jobs] Job ${id} paused`);
+  await emitJobEvent('paused', job);
+  return getJob(id);
+}
+
+async function resumeJob(id) {
+  const job = await resumeJobRecord(id);
+  if (!job) {
+    return null;
+  }
+  console.log(`[Jobs] Job ${id} resumed`);
+  await emitJobEvent('resumed', job);
+  wakeWorker();
+  return getJob(id);
+}
+
+async function cancelJob(id) {
+  const job = await cancelJobRecord(id);
+  if (!job) {
+    return null;
+  }
+  console.log(`[Jobs] Job ${id} cancelled`);
+  await emitJobEvent('cancelled', job);
+  return getJob(id);
+}
+
+async function poll() {
+  pollTimer = null;
+  try {
+    const jobs = await getDueJobs();
+    // Jobs run side by side; each one posts a single item per pass
+    jobs.forEach(job => processJob(job));
+  } catch (error) {
+    console.error('[Jobs] Error polling jobs:', error);
+  } finally {
+    if (running && !pollTimer) {
+      pollTimer = setTimeout(poll, POLL_INTERVAL);
+    }
+  }
+}
+
+// Check for due jobs right away instead of waiting for the next poll
+function wakeWorker() {
+  if (!running) {
+    return;
+  }
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+  poll();
+}
+
+// Start processing jobs. Jobs live in the database, so anything left over
+// from before a restart simply continues from its next pending post.
+async function startWorker() {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  const interrupted = await failInterruptedJobItems();
+  if (interrupted.length > 0) {
+    console.log(`[Jobs] Marked ${interrupted.length} interrupted posts as failed`);
+  }
+
+  console.log('[Jobs] Worker started');
+  poll();
+}
+
+// Stop looking for due jobs - a post that is being submitted still finishes
+function stopWorker() {
+  running = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  jobEvents,
+  startWorker,
+  stopWorker,
+  wakeWorker
+};
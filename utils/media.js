@@ -0,0 +1,178 @@
+// Native image and video posts. Reddit doesn't take the file with /api/submit:
+// the app leases an upload slot (/api/media/asset.json, see uploadMedia in
+// utils/reddit.js), sends the bytes to the target it returns and then submits
+// the asset URL with kind=image or kind=video. This module finds and checks
+// the local files and does the upload to the target.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
+const { RedditError, interpretRequestError } = require('./errors');
+
+// Where media files referenced by posts live: TXT "image:" / "video:" lines
+// name files in here, and files attached in the UI are saved here
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || 'media');
+
+// Upload somewhere other than the target Reddit returns - e.g. a local
+// stand-in (node media-upload-server.js) to test uploads without S3
+const MEDIA_UPLOAD_URL = process.env.REDDIT_MEDIA_UPLOAD_URL || null;
+
+const MEDIA_TYPES = {
+  '.jpg': { mimetype: 'image/jpeg', type: 'image' },
+  '.jpeg': { mimetype: 'image/jpeg', type: 'image' },
+  '.png': { mimetype: 'image/png', type: 'image' },
+  '.gif': { mimetype: 'image/gif', type: 'image' },
+  '.mp4': { mimetype: 'video/mp4', type: 'video' },
+  '.mov': { mimetype: 'video/quicktime', type: 'video' }
+};
+
+// Reddit's size limits
+const MAX_SIZE = {
+  image: 20 * 1024 * 1024,
+  video: 1024 * 1024 * 1024
+};
+
+// Gallery limits: number of images, caption length
+const GALLERY_MIN_ITEMS = 2;
+const GALLERY_MAX_ITEMS = 20;
+const GALLERY_MAX_CAPTION = 180;
+
+// Only plain file names - a post can't point outside MEDIA_DIR
+function getMediaPath(file) {
+  return path.join(MEDIA_DIR, path.basename(String(file)));
+}
+
+// { mimetype, type } for a file name, or null if it isn't a supported format
+function getMediaType(file) {
+  return MEDIA_TYPES[path.extname(String(file)).toLowerCase()] || null;
+}
+
+function problem(severity, code, message) {
+  return { severity, code, message };
+}
+
+// Check one file: exists, supported format, expected type, within Reddit's limit
+function checkMediaFile(file, expectedType, label) {
+  const mediaType = getMediaType(file);
+  if (!mediaType) {
+    return [problem('error', 'MEDIA_INVALID', `${label} ${file} is not a supported format (${Object.keys(MEDIA_TYPES).join(', ')}).`)];
+  }
+  if (expectedType && mediaType.type !== expectedType) {
+    return [problem('error', 'MEDIA_INVALID', `${label} ${file} is not a${expectedType === 'image' ? 'n image' : ' video'}.`)];
+  }
+
+  let stats;
+  try {
+    stats = fs.statSync(getMediaPath(file));
+  } catch (e) {
+    return [problem('error', 'MEDIA_NOT_FOUND', `${label} ${file} was not found in the media folder.`)];
+  }
+  if (stats.size > MAX_SIZE[mediaType.type]) {
+    return [problem('error', 'MEDIA_INVALID', `${label} ${file} is ${Math.round(stats.size / 1024 / 1024)} MB - Reddit allows ${MAX_SIZE[mediaType.type] / 1024 / 1024} MB for ${mediaType.type}s.`)];
+  }
+  return [];
+}
+
+// Problems with a gallery ([{ file, caption, outbound_url }]): images only
+function checkGallery(gallery) {
+  const problems = [];
+  if (gallery.length < GALLERY_MIN_ITEMS || gallery.length > GALLERY_MAX_ITEMS) {
+    problems.push(problem('error', 'MEDIA_INVALID', `A gallery needs ${GALLERY_MIN_ITEMS} to ${GALLERY_MAX_ITEMS} images - this one has ${gallery.length}.`));
+  }
+
+  gallery.forEach((item, index) => {
+    const label = `Gallery image ${index + 1}`;
+    if (!item.file) {
+      problems.push(problem('error', 'MEDIA_NOT_FOUND', `${label} has no file.`));
+      return;
+    }
+    problems.push(...checkMediaFile(item.file, 'image', label));
+    if (item.caption && item.caption.length > GALLERY_MAX_CAPTION) {
+      problems.push(problem('error', 'TOO_LONG', `${label} caption is ${item.caption.length} characters - the maximum is ${GALLERY_MAX_CAPTION}.`));
+    }
+    if (item.outbound_url && !/^https?:\/\/\S+$/i.test(item.outbound_url)) {
+      problems.push(problem('error', 'INVALID_URL', `${label} link is not a valid http(s) URL: ${item.outbound_url}`));
+    }
+  });
+  return problems;
+}
+
+// Problems with a post's media before anything is uploaded: a gallery, or an
+// image or video ({ type, file, poster })
+function checkPostMedia(post) {
+  if (post.gallery?.length > 0) {
+    const problems = checkGallery(post.gallery);
+    if (post.media || post.url) {
+      problems.push(problem('warning', 'MEDIA_INVALID', 'The post is a gallery - its other media and URL are ignored.'));
+    }
+    return problems;
+  }
+
+  const media = post.media;
+  if (!media) {
+    return [];
+  }
+  if (!media.file) {
+    return [problem('error', 'MEDIA_NOT_FOUND', 'No media file attached.')];
+  }
+
+  const type = media.type || getMediaType(media.file)?.type;
+  const problems = checkMediaFile(media.file, type, type === 'video' ? 'Video' : 'Image');
+  if (type === 'video') {
+    // Reddit needs a poster (thumbnail) image for video posts
+    if (!media.poster) {
+      problems.push(problem('error', 'MEDIA_INVALID', 'Video posts need a poster image (add a "poster:" line or attach one).'));
+    } else {
+      problems.push(...checkMediaFile(media.poster, 'image', 'Poster'));
+    }
+  }
+  if (post.url) {
+    problems.push(problem('warning', 'MEDIA_INVALID', `The post has both a URL and ${type === 'video' ? 'a video' : 'an image'} - the ${type} is posted and the URL is ignored.`));
+  }
+  return problems;
+}
+
+// Upload a file to the target of a media asset lease ({ action, fields }).
+// Goes through the account's proxy agents. Returns the asset URL to submit.
+async function uploadToTarget(lease, file, { account = null, httpAgent = null, httpsAgent = null } = {}) {
+  const uploadUrl = MEDIA_UPLOAD_URL || `https:${lease.action}`;
+  const fields = Object.fromEntries((lease.fields || []).map(field => [field.name, field.value]));
+  const mediaType = getMediaType(file);
+
+  // The file has to come after the lease fields
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  form.append('file', fs.createReadStream(getMediaPath(file)), {
+    filename: path.basename(file),
+    contentType: mediaType.mimetype
+  });
+
+  try {
+    await axios.post(uploadUrl, form, {
+      headers: form.getHeaders(),
+      ...(httpAgent && httpsAgent && { httpAgent, httpsAgent }),
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      timeout: 5 * 60 * 1000 // Videos take a while through a proxy
+    });
+  } catch (error) {
+    if (error.response) {
+      throw new RedditError('MEDIA_UPLOAD_FAILED', `Uploading ${file} failed: the upload target returned ${error.response.status}.`, {
+        raw: error.response.data,
+        retryable: error.response.status >= 500
+      });
+    }
+    throw interpretRequestError(error, { account });
+  }
+
+  return `${uploadUrl.replace(/\/+$/, '')}/${fields.key}`;
+}
+
+module.exports = {
+  MEDIA_DIR,
+  MEDIA_TYPES,
+  getMediaPath,
+  getMediaType,
+  checkPostMedia,
+  uploadToTarget
+};
@@ -1,37 +1,294 @@
 const fs = require('fs');
 
+// Post option lines: "nsfw", "spoiler", "oc" or "noreplies", optionally with a
+// value ("nsfw: no") to override the account's default
+const OPTION_LINE = /^(nsfw|spoiler|oc|sendreplies|noreplies)(?:\s*:\s*(yes|no|true|false|on|off|1|0))?$/i;
+
+function parseOptionLine(line) {
+  const match = line.match(OPTION_LINE);
+  if (!match) {
+    return null;
+  }
+  const name = match[1].toLowerCase();
+  const value = !match[2] || ['yes', 'true', 'on', '1'].includes(match[2].toLowerCase());
+  // "noreplies" is the negative form of "sendreplies"
+  return name === 'noreplies' ? { name: 'sendreplies', value: !value } : { name, value };
+}
+
+// Media lines: "image: photo.jpg", "video: clip.mp4", "poster: thumb.jpg"
+// (a video's thumbnail). Files are looked up in the media folder. Several
+// image lines make a gallery, in file order; "caption:" and "link:" lines
+// belong to the image line above them.
+const MEDIA_LINE = /^(image|video|poster|caption|link)\s*:\s*(.+)$/i;
+
+// Returns why the line can't be used, or null. lineNumber is kept for lines
+// that only turn out unusable once the whole post is read (see mediaLineProblems).
+function parseMediaLine(line, currentPost, lineNumber) {
+  const [, name, value] = line.match(MEDIA_LINE);
+  const key = name.toLowerCase();
+  const items = currentPost.mediaItems || (currentPost.mediaItems = []);
+  const lastItem = items[items.length - 1];
+
+  if (key === 'image' || key === 'video') {
+    items.push({ type: key, file: value.trim(), caption: null, outbound_url: null, detailLines: [] });
+  } else if (key === 'poster') {
+    currentPost.poster = value.trim();
+    currentPost.posterLine = lineNumber;
+  } else if (!lastItem) {
+    return `"${key}:" belongs to an image line above it - there is none, so the line is ignored.`;
+  } else {
+    lastItem[key === 'caption' ? 'caption' : 'outbound_url'] = value.trim();
+    lastItem.detailLines.push(lineNumber);
+  }
+  return null;
+}
+
+// Media lines of a finished post that end up unused: { line, message }
+function mediaLineProblems(currentPost) {
+  const items = currentPost.mediaItems || [];
+  const problems = [];
+  if (currentPost.poster && !(items.length === 1 && items[0].type === 'video')) {
+    problems.push({ line: currentPost.posterLine, message: 'The post has no video - the poster is ignored.' });
+  }
+  // Captions and links are sent with gallery images only
+  if (items.length === 1) {
+    items[0].detailLines.forEach(line => {
+      problems.push({ line, message: 'Captions and links only apply to gallery images (two or more image lines) - the line is ignored.' });
+    });
+  }
+  return problems;
+}
+
+// "crosspost: t3_abc123" or "crosspost: <permalink>" shares an existing post
+const CROSSPOST_LINE = /^crosspost\s*:\s*(.+)$/i;
+
+// Text blocks: "body: text" (a text post's body), "comment: text" (the first
+// comment posted under the new post) and "notes: text" (for yourself, never
+// sent). On a line of its own, "body:", "comment:" or "notes:" starts a block
+// that runs up to its closing line - "/body", "/comment" or "/notes" - and
+// keeps blank lines and indentation (Markdown, "---" rules included). A
+// closing line only counts if it comes before the next block or "subreddit:"
+// line; without one, the block ends at the next blank or directive line.
+const BLOCK_LINE = /^(body|comment|notes)\s*:\s*(.*)$/i;
+const BLOCK_START = /^((body|comment|notes)\s*:\s*|subreddit\s*:.*)$/i;
+
+function blockEnd(key) {
+  return `/${key}`;
+}
+
+// Whether an unclosed block stops at the line: a blank line or a directive
+function endsOpenBlock(line) {
+  const keyMatch = line.match(KEY_LINE);
+  return line === '' || OPTION_LINE.test(line) || (!!keyMatch && DIRECTIVE_KEYS.includes(keyMatch[1].toLowerCase()));
+}
+
+// Text of the key's block starting after rawLines[start]; next is the last
+// line it used, closed whether it ended at its closing line
+function readBlock(rawLines, start, key) {
+  // A closing line after the next block or post belongs to that one
+  let limit = rawLines.findIndex((line, index) => index > start && BLOCK_START.test(line.trim()));
+  if (limit === -1) limit = rawLines.length;
+
+  let end = rawLines.findIndex((line, index) => index > start && index < limit && line.trim().toLowerCase() === blockEnd(key));
+  const closed = end !== -1;
+  if (!closed) {
+    end = rawLines.findIndex((line, index) => index > start && endsOpenBlock(line.trim()));
+    if (end === -1) end = rawLines.length;
+  }
+  return {
+    text: rawLines.slice(start + 1, end).join('\n').replace(/^(\s*\n)+|\s+$/g, ''),
+    // The blank or directive line after an unclosed block is read as usual
+    next: closed ? end : end - 1,
+    closed
+  };
+}
+
+// { media, gallery } from the media lines of a post
+function postMedia(currentPost) {
+  const items = currentPost.mediaItems || [];
+  if (items.length > 1) {
+    return {
+      media: null,
+      gallery: items.map(({ file, caption, outbound_url }) => ({ file, caption, outbound_url }))
+    };
+  }
+  if (items.length === 1) {
+    return {
+      media: { type: items[0].type, file: items[0].file, poster: currentPost.poster || null },
+      gallery: null
+    };
+  }
+  return { media: null, gallery: null };
+}
+
+// Options set in the file; the rest stay null (= account default)
+function postOptions(currentPost) {
+  return {
+    nsfw: currentPost.nsfw ?? null,
+    spoiler: currentPost.spoiler ?? null,
+    oc: currentPost.oc ?? null,
+    sendreplies: currentPost.sendreplies ?? null
+  };
+}
+
+// Keyed directives: "key: value" lines. A post starts with its subreddit and
+// title as plain lines, or as "subreddit:" / "title:" directives anywhere in
+// the post; directives mix freely with them and a plain URL line. Keys that
+// aren't listed here are reported on the post instead of being ignored.
+const KEY_LINE = /^([a-z][\w-]*)\s*:\s*(.*)$/i;
+const DIRECTIVE_KEYS = [
+  'subreddit', 'title', 'url', 'flair', 'flair_id', 'kind', 'schedule', 'notes',
+  'nsfw', 'spoiler', 'oc', 'sendreplies', 'noreplies',
+  'body', 'comment', 'crosspost', 'image', 'video', 'poster', 'caption', 'link'
+];
+
+// "kind:" values - "text" is another name for self posts
+const KINDS = { link: 'link', self: 'self', text: 'self', image: 'image', video: 'video', gallery: 'gallery', crosspost: 'crosspost' };
+
+// Directives with a plain value. Returns why the value can't be used, or null
+// - undefined for keys that aren't value directives and for empty values. A
+// subreddit, title or URL the post already has is kept.
+function parseValueDirective(key, value, currentPost) {
+  if (value === '') {
+    return undefined;
+  }
+  switch (key) {
+    case 'subreddit':
+      if (currentPost.subreddit) {
+        return `the post already has a subreddit (${currentPost.subreddit})`;
+      }
+      currentPost.subreddit = value.replace(/^\/?r\//i, '');
+      return null;
+    case 'title':
+      if (currentPost.title) {
+        return `the post already has a title ("${currentPost.title}")`;
+      }
+      currentPost.title = value;
+      return null;
+    case 'url':
+      if (!/^https?:\/\//i.test(value)) {
+        if (OTHER_SCHEME_URL.test(value)) {
+          return 'only http:// and https:// links can be posted';
+        }
+        return SCHEMELESS_URL.test(value)
+          ? `it looks like a link without http:// or https:// - write it as https://${value} to use it`
+          : `"${value}" is not an http:// or https:// link`;
+      }
+      if (currentPost.url) {
+        return `the post already has a URL (${currentPost.url})`;
+      }
+      currentPost.url = value;
+      return null;
+    case 'flair':
+      currentPost.flair_text = value;
+      return null;
+    case 'flair_id':
+      currentPost.flair_id = value;
+      return null;
+    case 'kind': {
+      const kind = KINDS[value.toLowerCase()];
+      if (!kind) {
+        return `unknown kind "${value}" (use ${Object.keys(KINDS).join(', ')})`;
+      }
+      currentPost.kind = kind;
+      return null;
+    }
+    case 'schedule': {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return `can't read the time "${value}" (use e.g. 2026-05-01 18:30 or an ISO time)`;
+      }
+      currentPost.schedule = date.toISOString();
+      return null;
+    }
+    default:
+      return undefined;
+  }
+}
+
+// Something worth telling the user about a line of the file. postId is the
+// post it belongs to (null if the post was skipped).
+function diagnostic(severity, line, text, message) {
+  return { severity, line, text, message, postId: null };
+}
+
+// A line that is a link without its scheme ("www.example.com/x") or with one
+// Reddit can't post ("ftp://...")
+const SCHEMELESS_URL = /^(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(\/\S*)?$/i;
+const OTHER_SCHEME_URL = /^[a-z][\w+.-]*:\/\/\S+$/i;
+
+// The post as the rest of the app sees it, or null without a subreddit
+function buildPost(currentPost, id) {
+  const hasValidSubreddit = currentPost.subreddit && currentPost.subreddit.trim().length > 0;
+  const hasValidTitle = currentPost.title && currentPost.title.trim().length > 0;
+  if (!hasValidSubreddit) {
+    return null;
+  }
+
+  return {
+    id,
+    subreddit: currentPost.subreddit.trim(),
+    title: currentPost.title ? currentPost.title.trim() : '',
+    url: currentPost.url ? currentPost.url.trim() : null,
+    flair_id: currentPost.flair_id || null,
+    flair_text: currentPost.flair_text || null,
+    kind: currentPost.kind || null,
+    schedule: currentPost.schedule || null,
+    notes: currentPost.notes || null,
+    crosspost: currentPost.crosspost || null,
+    body: currentPost.body || null,
+    comment: currentPost.comment || null,
+    ...postOptions(currentPost),
+    ...postMedia(currentPost),
+    hasUrl: !!(currentPost.url && currentPost.url.trim().length > 0),
+    hasTitle: hasValidTitle,
+    hasSubreddit: hasValidSubreddit,
+    isValid: hasValidSubreddit && hasValidTitle
+  };
+}
+
+// Parse a TXT file. Returns { posts, diagnostics }: diagnostics
+// ({ severity, line, text, message, postId }) explain skipped posts and lines
+// that couldn't be used, by line number (1-based).
 function parseTxtFile(filePath) {
   const content = fs.readFileSync(filePath, 'utf8');
-  const lines = content.split('\n').map(line => line.trim());
+  // Blocks keep their lines as written
+  const rawLines = content.split('\n').map(line => line.replace(/\r$/, ''));
+  const lines = rawLines.map(line => line.trim());
   
   const posts = [];
+  const diagnostics = [];
   let currentPost = null;
 
+  const addPost = () => {
+    mediaLineProblems(currentPost).forEach(({ line, message }) => {
+      currentPost.diagnostics.push(diagnostic('warning', line, lines[line - 1], message));
+    });
+    const post = buildPost(currentPost, posts.length + 1);
+    if (post) {
+      posts.push(post);
+      if (!post.hasTitle) {
+        currentPost.diagnostics.push(diagnostic('error', currentPost.line, lines[currentPost.line - 1], 'The post has no title - it can\'t be posted.'));
+      }
+      currentPost.diagnostics.forEach(item => { item.postId = post.id; });
+    } else {
+      currentPost.diagnostics.push(diagnostic('error', currentPost.line, lines[currentPost.line - 1], 'The post has no subreddit - it is skipped.'));
+    }
+    diagnostics.push(...currentPost.diagnostics);
+    currentPost = null;
+  };
+
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
+    const keyMatch = line.match(KEY_LINE);
+    const key = keyMatch ? keyMatch[1].toLowerCase() : null;
+    const isDirective = DIRECTIVE_KEYS.includes(key);
+    const report = (severity, message) => currentPost.diagnostics.push(diagnostic(severity, i + 1, line, message));
 
     // Skip empty lines (they separate posts)
     if (line === '') {
       if (currentPost) {
-        // Validate and add post
-        const hasValidSubreddit = currentPost.subreddit && currentPost.subreddit.trim().length > 0;
-        const hasValidTitle = currentPost.title && currentPost.title.trim().length > 0;
-        
-        if (hasValidSubreddit) {
-          posts.push({
-            id: posts.length + 1,
-            subreddit: currentPost.subreddit.trim(),
-            title: currentPost.title ? currentPost.title.trim() : '',
-            url: currentPost.url ? currentPost.url.trim() : null,
-            flair_id: currentPost.flair_id || null,
-            flair_text: currentPost.flair_text || null,
-            hasUrl: !!(currentPost.url && currentPost.url.trim().length > 0),
-            hasTitle: hasValidTitle,
-            hasSubreddit: hasValidSubreddit,
-            isValid: hasValidSubreddit && hasValidTitle
-          });
-        }
-        currentPost = null;
+        addPost();
       }
       continue;
     }
@@ -49,65 +306,110 @@ function parseTxtFile(filePath) {
       continue;
     }
 
-    // Check if subreddit has comments in brackets (e.g., "EmoAltFashion[NO NSFW]")
-    if (!currentPost) {
-      // Extract subreddit name (remove anything in brackets)
-      const subreddit = line.replace(/\[.*?\]/g, '').trim();
+    // The first line starts a post. It is the subreddit unless it is a
+    // directive ("subreddit:", "title:", ...), which is read like any other.
+    const startsPost = !currentPost;
+    if (startsPost) {
       currentPost = {
-        subreddit: subreddit,
+        subreddit: null,
         title: null,
         url: null,
         flair_id: null,
-        flair_text: null
+        flair_text: null,
+        line: i + 1,
+        diagnostics: []
       };
     }
-    // Second line is title
-    else if (!currentPost.title) {
-      // Only set title if line is not empty and not just whitespace
-      if (line && line.trim().length > 0) {
-        currentPost.title = line.trim();
-      } else {
-        // Empty title - mark it but continue
-        currentPost.title = '';
-      }
+
+    // Check if subreddit has comments in brackets (e.g., "EmoAltFashion[NO NSFW]")
+    if (startsPost && !isDirective) {
+      // Extract subreddit name (remove anything in brackets)
+      currentPost.subreddit = line.replace(/\[.*?\]/g, '').trim();
+    }
+    // The first plain line after it is the title
+    else if (!currentPost.title && !isDirective) {
+      currentPost.title = line;
     }
     // Third line is URL (if it starts with http)
     else if (!currentPost.url && line.startsWith('http')) {
       currentPost.url = line;
     }
-    // Fourth line can be flair (format: "flair:FlairName" or "flair_id:abc123")
-    else if (line.startsWith('flair:')) {
-      currentPost.flair_text = line.replace('flair:', '').trim();
+    // Crosspost of an existing submission instead of a new link
+    else if (CROSSPOST_LINE.test(line)) {
+      currentPost.crosspost = line.match(CROSSPOST_LINE)[1].trim();
+    }
+    // Body text, first comment and notes, on the line or as a block
+    else if (BLOCK_LINE.test(line)) {
+      const [, name, inline] = line.match(BLOCK_LINE);
+      const blockKey = name.toLowerCase();
+      if (inline.trim()) {
+        currentPost[blockKey] = inline.trim();
+      } else {
+        const block = readBlock(rawLines, i, blockKey);
+        if (!block.closed) {
+          const stop = lines[block.next + 1];
+          const where = stop === undefined ? 'runs to the end of the file'
+            : stop === '' ? `ends at the empty line ${block.next + 2}`
+            : `ends before line ${block.next + 2} ("${stop}")`;
+          report('warning', `No closing "${blockEnd(blockKey)}" line - the ${blockKey} ${where}.`);
+        }
+        currentPost[blockKey] = block.text;
+        i = block.next;
+      }
+    }
+    // Images or a video to upload (a video's poster, gallery captions and links)
+    else if (MEDIA_LINE.test(line)) {
+      const problem = parseMediaLine(line, currentPost, i + 1);
+      if (problem) {
+        report('warning', problem);
+      }
     }
-    else if (line.startsWith('flair_id:')) {
-      currentPost.flair_id = line.replace('flair_id:', '').trim();
+    // Post options (nsfw, spoiler, oc, noreplies)
+    else if (parseOptionLine(line)) {
+      const option = parseOptionLine(line);
+      currentPost[option.name] = option.value;
+    }
+    else if (line.startsWith('http')) {
+      report('warning', 'The post already has a URL - this one is ignored.');
+    }
+    else if (OTHER_SCHEME_URL.test(line)) {
+      report('warning', 'Only http:// and https:// links can be posted - this line is ignored.');
+    }
+    // Other directives: subreddit, title, url, flair ("flair: FlairName" or
+    // "flair_id: abc123"), kind and schedule
+    else if (keyMatch) {
+      const problem = parseValueDirective(key, keyMatch[2].trim(), currentPost);
+      if (problem === undefined) {
+        if (!DIRECTIVE_KEYS.includes(key)) {
+          report('warning', `Unknown key "${keyMatch[1]}" - the line is ignored.`);
+        } else if (OPTION_LINE.test(key)) {
+          report('warning', `Use yes or no for ${key} - the line is ignored.`);
+        } else {
+          report('warning', `"${key}:" needs a value - the line is ignored.`);
+        }
+      } else if (problem) {
+        report('warning', `The ${key} is ignored: ${problem}.`);
+      }
+    }
+    else if (SCHEMELESS_URL.test(line)) {
+      report('warning', `Looks like a link without http:// or https:// - it is ignored. Write it as https://${line} to use it.`);
+    }
+    else {
+      report('warning', 'Line not recognized - it is ignored.');
     }
-    // If we already have subreddit, title, and url, skip additional lines
   }
 
   // Add last post if exists
   if (currentPost) {
-    const hasValidSubreddit = currentPost.subreddit && currentPost.subreddit.trim().length > 0;
-    const hasValidTitle = currentPost.title && currentPost.title.trim().length > 0;
-    
-    if (hasValidSubreddit) {
-      posts.push({
-        id: posts.length + 1,
-        subreddit: currentPost.subreddit.trim(),
-        title: currentPost.title ? currentPost.title.trim() : '',
-        url: currentPost.url ? currentPost.url.trim() : null,
-        flair_id: currentPost.flair_id || null,
-        flair_text: currentPost.flair_text || null,
-        hasUrl: !!(currentPost.url && currentPost.url.trim().length > 0),
-        hasTitle: hasValidTitle,
-        hasSubreddit: hasValidSubreddit,
-        isValid: hasValidSubreddit && hasValidTitle
-      });
-    }
+    addPost();
   }
 
-  return posts;
+  return { posts, diagnostics };
 }
 
-module.exports = { parseTxtFile };
-
+module.exports = {
+  parseTxtFile,
+  buildPost,
+  diagnostic,
+  parseValueDirective
+};
@@ -0,0 +1,250 @@
+// Preflight check: compare posts against their subreddit's posting rules
+// (/api/v1/{subreddit}/post_requirements and /r/{subreddit}/about) so problems
+// like a missing flair or a disallowed domain show up before anything is submitted.
+const { getAccountById } = require('../db/database');
+const { redditRequest, resolvePostOptions, getPostMediaType } = require('./reddit');
+const { RedditError, interpretRequestError } = require('./errors');
+
+// Subreddit rules rarely change - reuse them for a while (per account, since
+// about data includes things like user_is_banned)
+const RULES_CACHE_TTL = 10 * 60 * 1000;
+const rulesCache = new Map();
+
+// Reddit's own limit, whatever the subreddit says
+const MAX_TITLE_LENGTH = 300;
+
+// Fetch post requirements and about data for a subreddit
+async function getSubredditRules(account, subreddit) {
+  const cacheKey = `${account.id}:${subreddit.toLowerCase()}`;
+  const cached = rulesCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.rules;
+  }
+
+  const [requirementsResponse, aboutResponse] = await Promise.all([
+    redditRequest(account, 'get', `/api/v1/${encodeURIComponent(subreddit)}/post_requirements`),
+    redditRequest(account, 'get', `/r/${encodeURIComponent(subreddit)}/about`, { params: { raw_json: 1 } })
+  ]);
+
+  // Unknown subreddits come back as a search listing instead of a t5
+  if (aboutResponse.data?.kind !== 't5') {
+    throw new RedditError('SUBREDDIT_NOEXIST', `Subreddit r/${subreddit} does not exist.`, { raw: aboutResponse.data });
+  }
+
+  const rules = {
+    requirements: requirementsResponse.data || {},
+    about: aboutResponse.data.data || {}
+  };
+  rulesCache.set(cacheKey, { rules, expiresAt: Date.now() + RULES_CACHE_TTL });
+  return rules;
+}
+
+// Turn a failed rules request into a violation. Private and banned subreddits
+// answer 403/404 with a reason, which is the answer we were looking for.
+function rulesErrorViolation(error, subreddit) {
+  const reason = error.response?.data?.reason;
+  if (reason === 'private') {
+    return violation('error', 'SUBREDDIT_NOTALLOWED', `r/${subreddit} is private - only approved users can post.`);
+  }
+  if (reason === 'banned') {
+    return violation('error', 'SUBREDDIT_NOEXIST', `r/${subreddit} has been banned.`);
+  }
+  if (reason === 'quarantined') {
+    return violation('warning', 'FORBIDDEN', `r/${subreddit} is quarantined - the account has to opt in before posting.`);
+  }
+
+  const redditError = interpretRequestError(error, { post: { subreddit } });
+  if (redditError.code === 'SUBREDDIT_NOEXIST') {
+    return violation('error', 'SUBREDDIT_NOEXIST', `r/${subreddit} does not exist.`);
+  }
+  // Couldn't check - not a reason to block the post
+  return violation('warning', redditError.code, `Could not check r/${subreddit}: ${redditError.message}`);
+}
+
+function violation(severity, code, message) {
+  return { severity, code, message };
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+// "i.imgur.com" matches a rule for "imgur.com"
+function domainMatches(domain, list) {
+  return (list || []).some(entry => {
+    const rule = String(entry).toLowerCase().replace(/^www\./, '');
+    return domain === rule || domain.endsWith(`.${rule}`);
+  });
+}
+
+// Check one post against its subreddit's rules
+function checkPost(post, { requirements, about }) {
+  const violations = [];
+  const title = post.title || '';
+  const body = post.body || '';
+  // A crosspost shares another post - its own URL and media don't count
+  const isCrosspost = !!post.crosspost;
+  const mediaType = getPostMediaType(post);
+  // Image, video and gallery posts count as link posts for the subreddit's post type setting
+  const isLink = !isCrosspost && (!!post.url || !!mediaType);
+  const linkDomain = post.url && !mediaType && !isCrosspost ? getDomain(post.url) : null;
+
+  // Who may post at all
+  if (about.user_is_banned) {
+    violations.push(violation('error', 'SUBREDDIT_NOTALLOWED', 'This account is banned from the subreddit.'));
+  }
+  if (about.subreddit_type === 'archived') {
+    violations.push(violation('error', 'SUBREDDIT_NOTALLOWED', 'The subreddit is archived and doesn\'t accept posts.'));
+  } else if (['private', 'restricted', 'gold_restricted', 'employees_only'].includes(about.subreddit_type) && !about.user_is_contributor) {
+    violations.push(violation('error', 'SUBMIT_RESTRICTED', `The subreddit is ${about.subreddit_type.replace('_', ' ')} - only approved users can post.`));
+  }
+
+  // Post type
+  if (isCrosspost) {
+    if (about.is_crosspostable_subreddit === false) {
+      violations.push(violation('error', 'CROSSPOST_NOT_ALLOWED', 'The subreddit doesn\'t allow crossposts.'));
+    }
+  } else if (about.submission_type === 'self' && isLink) {
+    violations.push(violation('error', 'NO_LINKS', 'The subreddit only allows text posts.'));
+  } else if (about.submission_type === 'link' && !isLink) {
+    violations.push(violation('error', 'NO_SELFS', 'The subreddit only allows link posts.'));
+  }
+  if (mediaType === 'image' && about.allow_images === false) {
+    violations.push(violation('error', 'MEDIA_INVALID', 'The subreddit doesn\'t allow image posts.'));
+  }
+  if (mediaType === 'video' && about.allow_videos === false) {
+    violations.push(violation('error', 'MEDIA_INVALID', 'The subreddit doesn\'t allow video posts.'));
+  }
+  if (mediaType === 'gallery' && about.allow_galleries === false) {
+    violations.push(violation('error', 'MEDIA_INVALID', 'The subreddit doesn\'t allow gallery posts.'));
+  }
+  if (linkDomain && requirements.link_restriction_policy === 'whitelist' && requirements.domain_whitelist?.length > 0) {
+    if (!domainMatches(linkDomain, requirements.domain_whitelist)) {
+      violations.push(violation('error', 'DOMAIN_BANNED', `Links to ${linkDomain} are not allowed. Allowed domains: ${requirements.domain_whitelist.join(', ')}`));
+    }
+  }
+  if (linkDomain && requirements.link_restriction_policy === 'blacklist') {
+    if (domainMatches(linkDomain, requirements.domain_blacklist)) {
+      violations.push(violation('error', 'DOMAIN_BANNED', `Links to ${linkDomain} are not allowed in this subreddit.`));
+    }
+  }
+
+  // Flair
+  if (requirements.is_flair_required && !post.flair_id && !post.flair_text) {
+    violations.push(violation('error', 'FLAIR_REQUIRED', 'The subreddit requires post flair.'));
+  }
+
+  // Title
+  const maxTitle = Math.min(requirements.title_text_max_length || MAX_TITLE_LENGTH, MAX_TITLE_LENGTH);
+  if (title.length > maxTitle) {
+    violations.push(violation('error', 'TOO_LONG', `Title is ${title.length} characters - the maximum is ${maxTitle}.`));
+  }
+  if (requirements.title_text_min_length && title.length < requirements.title_text_min_length) {
+    violations.push(violation('error', 'TITLE_INVALID', `Title is ${title.length} characters - the minimum is ${requirements.title_text_min_length}.`));
+  }
+  const lowerTitle = title.toLowerCase();
+  if (requirements.title_required_strings?.length > 0 &&
+      !requirements.title_required_strings.some(text => lowerTitle.includes(String(text).toLowerCase()))) {
+    violations.push(violation('error', 'TITLE_INVALID', `Title must contain one of: ${requirements.title_required_strings.join(', ')}`));
+  }
+  const blacklisted = (requirements.title_blacklisted_strings || []).filter(text => lowerTitle.includes(String(text).toLowerCase()));
+  if (blacklisted.length > 0) {
+    violations.push(violation('error', 'TITLE_INVALID', `Title contains words the subreddit doesn't allow: ${blacklisted.join(', ')}`));
+  }
+  if (requirements.title_regexes?.length > 0) {
+    const matches = requirements.title_regexes.some(pattern => {
+      try {
+        return new RegExp(pattern, 'i').test(title);
+      } catch (e) {
+        return true; // Reddit's regex syntax isn't always valid in JS - don't block on it
+      }
+    });
+    if (!matches) {
+      violations.push(violation('error', 'TITLE_INVALID', `Title doesn't match the format the subreddit requires (${requirements.title_regexes.join(' or ')}).`));
+    }
+  }
+
+  // Body text
+  if (requirements.body_restriction_policy === 'required' && !isLink && !isCrosspost && body.trim().length === 0) {
+    violations.push(violation('error', 'NO_TEXT', 'The subreddit requires body text.'));
+  } else if (requirements.body_restriction_policy === 'notAllowed' && body.trim().length > 0) {
+    violations.push(violation('warning', 'NO_TEXT', 'The subreddit doesn\'t allow body text - it may be dropped.'));
+  }
+  if (body && requirements.body_text_max_length && body.length > requirements.body_text_max_length) {
+    violations.push(violation('error', 'TOO_LONG', `Body is ${body.length} characters - the maximum is ${requirements.body_text_max_length}.`));
+  }
+
+  // Post options the subreddit doesn't support
+  if (post.spoiler && about.spoilers_enabled === false) {
+    violations.push(violation('warning', 'SPOILERS_DISABLED', 'The subreddit doesn\'t use spoiler tags - the post won\'t be marked as a spoiler.'));
+  }
+  if (post.oc && about.original_content_tag_enabled === false) {
+    violations.push(violation('warning', 'OC_DISABLED', 'The subreddit doesn\'t use OC tags - the post won\'t be marked as original content.'));
+  }
+
+  // Good to know, not a problem
+  if (about.over18) {
+    violations.push(violation('info', 'NSFW_SUBREDDIT', 'The subreddit is marked NSFW (18+).'));
+  }
+
+  return violations;
+}
+
+function subredditInfo(about) {
+  return {
+    type: about.subreddit_type || null,
+    submission_type: about.submission_type || null,
+    over18: !!about.over18
+  };
+}
+
+// Check posts for an account. Returns one result per post:
+// { postId, subreddit, ok, violations: [{ severity, code, message }], subreddit_info }
+async function preflightPosts(posts, accountId) {
+  const account = await getAccountById(accountId);
+  if (!account) {
+    throw new RedditError('ACCOUNT_NOT_FOUND', 'Account not found');
+  }
+
+  // One lookup per subreddit, however many posts go there
+  const subreddits = [...new Set(posts.filter(post => post.subreddit).map(post => post.subreddit))];
+  const rulesBySubreddit = new Map();
+  for (const subreddit of subreddits) {
+    try {
+      rulesBySubreddit.set(subreddit, { rules: await getSubredditRules(account, subreddit) });
+    } catch (error) {
+      console.error(`[Preflight] Could not get rules for r/${subreddit}:`, error.message);
+      rulesBySubreddit.set(subreddit, { error });
+    }
+  }
+
+  return posts.map(post => {
+    const { rules, error } = rulesBySubreddit.get(post.subreddit) || {};
+    const violations = [];
+
+    if (!post.subreddit) {
+      violations.push(violation('error', 'SUBREDDIT_NOEXIST', 'Missing subreddit.'));
+    } else if (error) {
+      violations.push(rulesErrorViolation(error, post.subreddit));
+    } else {
+      violations.push(...checkPost({ ...post, ...resolvePostOptions(account, post) }, rules));
+    }
+
+    return {
+      postId: post.id,
+      subreddit: post.subreddit,
+      ok: !violations.some(v => v.severity === 'error'),
+      violations,
+      subreddit_info: rules ? subredditInfo(rules.about) : null
+    };
+  });
+}
+
+module.exports = {
+  preflightPosts,
+  checkPost
+};
@@ -0,0 +1,102 @@
+// Per-account Reddit rate limit tracking.
+// Reddit sends X-Ratelimit-Used/Remaining/Reset with every oauth.reddit.com
+// response; we keep the latest values per account and stop calling Reddit once
+// the budget is used up. Submissions have their own limit ("try again in 9
+// minutes"), which is tracked separately as a wait until a point in time.
+
+// Latest known budget per account:
+// { remaining, used, resetAt, updatedAt, submitBlockedUntil }
+const budgets = new Map();
+
+// Keep this many requests in reserve instead of spending the budget down to 0
+const MIN_REMAINING = 1;
+
+function getBudget(accountId) {
+  const key = String(accountId);
+  if (!budgets.has(key)) {
+    budgets.set(key, { remaining: null, used: null, resetAt: null, updatedAt: null, submitBlockedUntil: null });
+  }
+  return budgets.get(key);
+}
+
+// Remember the budget from a Reddit response's headers
+function recordRateLimitHeaders(accountId, headers) {
+  if (!headers) return;
+
+  const remaining = parseFloat(headers['x-ratelimit-remaining']);
+  const used = parseInt(headers['x-ratelimit-used']);
+  const reset = parseInt(headers['x-ratelimit-reset']);
+
+  // Not every response (e.g. errors from a proxy) carries the headers
+  if (isNaN(remaining) && isNaN(reset)) return;
+
+  const budget = getBudget(accountId);
+  budget.remaining = isNaN(remaining) ? null : remaining;
+  budget.used = isNaN(used) ? null : used;
+  budget.resetAt = isNaN(reset) ? null : Date.now() + reset * 1000;
+  budget.updatedAt = Date.now();
+}
+
+// Reddit told us to wait before submitting again
+function recordSubmitWait(accountId, seconds) {
+  if (!seconds || seconds <= 0) return;
+
+  const budget = getBudget(accountId);
+  const until = Date.now() + seconds * 1000;
+  if (!budget.submitBlockedUntil || budget.submitBlockedUntil < until) {
+    budget.submitBlockedUntil = until;
+  }
+}
+
+// Seconds to wait before the account may call Reddit again (0 = go ahead).
+// With `submitting` the submission wait counts too.
+function getRateLimitWait(accountId, { submitting = false } = {}) {
+  const budget = budgets.get(String(accountId));
+  if (!budget) return 0;
+
+  const now = Date.now();
+  let waitUntil = now;
+
+  if (budget.remaining !== null && budget.remaining < MIN_REMAINING && budget.resetAt > now) {
+    waitUntil = budget.resetAt;
+  }
+  if (submitting && budget.submitBlockedUntil > waitUntil) {
+    waitUntil = budget.submitBlockedUntil;
+  }
+
+  return Math.ceil((waitUntil - now) / 1000);
+}
+
+// Current budget of an account, as returned by the API
+function getRateLimit(accountId) {
+  const budget = budgets.get(String(accountId));
+  const now = Date.now();
+
+  // Once the window has reset the stored numbers no longer apply
+  const current = budget && budget.resetAt > now;
+
+  return {
+    accountId: parseInt(accountId),
+    remaining: current ? budget.remaining : null,
+    used: current ? budget.used : null,
+    resetAt: current ? new Date(budget.resetAt).toISOString() : null,
+    resetInSeconds: current ? Math.ceil((budget.resetAt - now) / 1000) : null,
+    submitBlockedUntil: budget?.submitBlockedUntil > now ? new Date(budget.submitBlockedUntil).toISOString() : null,
+    waitSeconds: getRateLimitWait(accountId),
+    submitWaitSeconds: getRateLimitWait(accountId, { submitting: true }),
+    updatedAt: budget?.updatedAt ? new Date(budget.updatedAt).toISOString() : null
+  };
+}
+
+// Forget everything about an account (e.g. when it's deleted)
+function clearRateLimit(accountId) {
+  budgets.delete(String(accountId));
+}
+
+module.exports = {
+  recordRateLimitHeaders,
+  recordSubmitWait,
+  getRateLimitWait,
+  getRateLimit,
+  clearRateLimit
+};
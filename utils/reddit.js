@@ -1,15 +1,28 @@
 const axios = require('axios');
-const { getAccountById } = require('../db/database');
+const path = require('path');
+const { getAccountById, updateRefreshToken, addSubmission } = require('../db/database');
 const { HttpsProxyAgent } = require('https-proxy-agent');
 const { HttpProxyAgent } = require('http-proxy-agent');
 const { SocksProxyAgent } = require('socks-proxy-agent');
-
-// In-memory storage for upload progress
-const uploadProgress = {};
+const { RedditError, interpretSubmitResponse, interpretJsonResponse, interpretRequestError } = require('./errors');
+const { withRetry } = require('./retry');
+const { findDuplicateSubmission, normalizeUrl } = require('./duplicates');
+const { recordRateLimitHeaders, recordSubmitWait, getRateLimitWait } = require('./ratelimit');
+const { getMediaType, checkPostMedia, uploadToTarget } = require('./media');
+const { parseCrosspostSource, checkCrosspostSource } = require('./crosspost');
 
 // Cache for proxy agents (reuse agents for better performance)
 const agentCache = new Map();
 
+// Cache for access tokens per account: { accessToken, expiresAt }
+const tokenCache = new Map();
+
+// Token refreshes in flight per account, so concurrent requests share one exchange
+const pendingTokenRequests = new Map();
+
+// Refresh tokens this long before Reddit says they expire
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
 // Get proxy agents for account (with caching)
 function getProxyAgents(account) {
   if (!account || !account.proxy_host || !account.proxy_port) {
@@ -58,23 +71,50 @@ function getProxyAgents(account) {
   return agents;
 }
 
+// Get an access token for an account, reusing the cached one until shortly before it expires
 async function getAccessToken(accountId) {
+  const cacheKey = String(accountId);
+
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN > Date.now()) {
+    return cached.accessToken;
+  }
+
+  if (pendingTokenRequests.has(cacheKey)) {
+    return pendingTokenRequests.get(cacheKey);
+  }
+
+  const request = requestAccessToken(accountId).finally(() => {
+    pendingTokenRequests.delete(cacheKey);
+  });
+  pendingTokenRequests.set(cacheKey, request);
+  return request;
+}
+
+// Forget the cached access token (e.g. after the account's credentials changed)
+function clearAccessToken(accountId) {
+  tokenCache.delete(String(accountId));
+}
+
+// Exchange the account's refresh token for a new access token
+async function requestAccessToken(accountId) {
+  let account = null;
   try {
-    const account = await getAccountById(accountId);
+    account = await getAccountById(accountId);
 
     if (!account) {
-      throw new Error('Account not found');
+      throw new RedditError('ACCOUNT_NOT_FOUND', 'Account not found');
     }
 
     const { client_id, client_secret, refresh_token } = account;
 
     // Validate credentials
     if (!client_id || !client_secret) {
-      throw new Error('Missing client_id or client_secret in account configuration');
+      throw new RedditError('AUTH_INVALID', 'Missing client_id or client_secret in account configuration');
     }
 
     if (!refresh_token || refresh_token === 'YOUR_REFRESH_TOKEN') {
-      throw new Error('Invalid or missing refresh_token. Please get a valid refresh_token using get-refresh-token.js');
+      throw new RedditError('AUTH_INVALID', 'Invalid or missing refresh_token. Please get a valid refresh_token using get-refresh-token.js');
     }
 
     // Get proxy agents if configured
@@ -112,383 +152,691 @@ async function getAccessToken(accountId) {
       }
     );
 
-    return response.data.access_token;
-  } catch (error) {
-    console.error('Error getting access token:', error.response?.data || error.message);
-    
-    // Check if it's a proxy connection error
-    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT' || error.message?.includes('proxy')) {
-      throw new Error(`Proxy connection failed: ${error.message}. Please check your proxy settings (${account.proxy_host}:${account.proxy_port})`);
+    const { access_token, expires_in, refresh_token: newRefreshToken } = response.data;
+
+    if (!access_token) {
+      // Reddit answers an invalid refresh token with 200 { error: 'invalid_grant' }
+      throw new RedditError('AUTH_INVALID', `Failed to get access token: ${JSON.stringify(response.data)}`, { raw: response.data });
     }
-    
-    // Provide more specific error messages
-    if (error.response?.status === 401) {
-      throw new Error('Unauthorized: Invalid refresh_token, client_id, or client_secret. Please verify your credentials and get a new refresh_token if needed.');
+
+    tokenCache.set(String(accountId), {
+      accessToken: access_token,
+      expiresAt: Date.now() + (parseInt(expires_in) || 3600) * 1000
+    });
+
+    // Reddit can hand out a new refresh token - the old one stops working, so save it
+    if (newRefreshToken && newRefreshToken !== refresh_token) {
+      await updateRefreshToken(account.id, newRefreshToken);
+      console.log(`[Auth] Saved rotated refresh token for account ${account.id}`);
     }
+
+    return access_token;
+  } catch (error) {
+    console.error('Error getting access token:', error.response?.data || error.message);
     
-    if (error.response?.data) {
-      throw new Error(`Failed to get access token: ${JSON.stringify(error.response.data)}`);
+    // The token endpoint answers bad credentials with 400/401
+    if (error.response?.status === 400 || error.response?.status === 401) {
+      throw new RedditError('AUTH_INVALID', 'Unauthorized: Invalid refresh_token, client_id, or client_secret. Please verify your credentials and get a new refresh_token if needed.', { raw: error.response.data });
     }
     
-    throw new Error(error.message || 'Failed to get access token');
+    throw interpretRequestError(error, { account });
+  }
+}
+
+// Link flair templates are looked up to turn flair text into an id - cache them
+// per account (the list can depend on the account's permissions)
+const FLAIR_CACHE_TTL = 10 * 60 * 1000;
+const flairCache = new Map();
+
+// Link flair templates of a subreddit: [{ id, text, text_editable }]
+async function getLinkFlairs(account, subreddit) {
+  const cacheKey = `${account.id}:${subreddit.toLowerCase()}`;
+  const cached = flairCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.flairs;
   }
+
+  const response = await redditRequest(account, 'get', `/r/${encodeURIComponent(subreddit)}/api/link_flair_v2`, {
+    params: { raw_json: 1 }
+  });
+  const flairs = (Array.isArray(response.data) ? response.data : []).map(flair => ({
+    id: flair.id,
+    text: flair.text || '',
+    text_editable: !!flair.text_editable
+  }));
+
+  flairCache.set(cacheKey, { flairs, expiresAt: Date.now() + FLAIR_CACHE_TTL });
+  return flairs;
 }
 
-async function uploadPost(post, accountId) {
+// Check that a URL has a protocol and host; throws INVALID_URL otherwise
+function validatePostUrl(url) {
+  let urlObj = null;
   try {
-    const account = await getAccountById(accountId);
-    const accessToken = await getAccessToken(accountId);
+    urlObj = new URL(url);
+  } catch (e) {
+    // Handled below
+  }
+  if (!urlObj || !urlObj.protocol || !urlObj.hostname) {
+    throw new RedditError('INVALID_URL', `Invalid URL: ${url}. Please provide a valid URL (e.g., https://www.redgifs.com/watch/...)`);
+  }
+}
+
+// Post options and Reddit's behaviour when they aren't set. Accounts can set
+// their own defaults (post_defaults); a post's own true/false wins over both.
+const POST_OPTION_DEFAULTS = {
+  nsfw: false,
+  spoiler: false,
+  oc: false,
+  sendreplies: true
+};
+
+function resolvePostOptions(account, post) {
+  const accountDefaults = account?.post_defaults || {};
+  return Object.fromEntries(Object.keys(POST_OPTION_DEFAULTS).map(name => {
+    if (typeof post[name] === 'boolean') return [name, post[name]];
+    if (typeof accountDefaults[name] === 'boolean') return [name, accountDefaults[name]];
+    return [name, POST_OPTION_DEFAULTS[name]];
+  }));
+}
+
+// Image, video or gallery post? null for link, text and crossposts
+// (a crosspost shares its source post, so any media of its own is ignored)
+function getPostMediaType(post) {
+  if (post.crosspost) {
+    return null;
+  }
+  if (post.gallery?.length > 0) {
+    return 'gallery';
+  }
+  if (!post.media) {
+    return null;
+  }
+  return post.media.type || getMediaType(post.media.file)?.type || 'image';
+}
+
+// The kind a post is submitted as
+function getPostKind(post) {
+  if (post.crosspost) {
+    return 'crosspost';
+  }
+  return getPostMediaType(post) || (post.url ? 'link' : 'self');
+}
+
+// The source of a crosspost as /api/info returns it, or null if Reddit doesn't know it
+async function getCrosspostSource(account, fullname, accessToken = null) {
+  const response = await redditRequest(account, 'get', '/api/info', {
+    accessToken,
+    params: { id: fullname, raw_json: 1 }
+  });
+  return response.data?.data?.children?.[0]?.data || null;
+}
+
+// The fullname of a post's crosspost source; throws CROSSPOST_INVALID if it's neither a fullname nor a permalink
+function getCrosspostFullname(post) {
+  const fullname = parseCrosspostSource(post.crosspost);
+  if (!fullname) {
+    throw new RedditError('CROSSPOST_INVALID', `Not a post to crosspost: ${post.crosspost}. Use its fullname (t3_...) or permalink.`);
+  }
+  return fullname;
+}
+
+// Reddit's limit for the text of a text post
+const MAX_BODY_LENGTH = 40000;
+
+// Build the exact submit request body for a post. Flair text without an id
+// is looked up in the subreddit's templates, since Reddit needs the id.
+// Returns { path, json, data, problems }: galleries go to their own endpoint
+// as JSON, everything else to /api/submit as a form. Problems didn't stop the
+// body from being built ({ severity, code, message }). With checkFlairId a
+// given flair id is checked against the templates too; lookupFlairs: false
+// skips the lookup. Image, video and gallery posts need the uploaded assets
+// (from uploadPostMedia) - without them the body has placeholders and the
+// media is only checked. A crosspost's source is looked up and checked unless
+// lookupCrosspost is false (it follows lookupFlairs). Text posts send the
+// post's body as `text`.
+async function prepareSubmission(account, post, { checkFlairId = false, lookupFlairs = true, lookupCrosspost = lookupFlairs, media = null } = {}) {
+  const problems = [];
+  const mediaType = getPostMediaType(post);
+  const crosspostFullname = post.crosspost ? getCrosspostFullname(post) : null;
 
-    // Validate URL if provided
-    if (post.url) {
+  if (crosspostFullname) {
+    if (post.url || post.media || post.gallery?.length > 0) {
+      problems.push({ severity: 'warning', code: 'CROSSPOST_INVALID', message: 'The post is a crosspost - its own URL and media are ignored.' });
+    }
+    if (lookupCrosspost) {
       try {
-        const urlObj = new URL(post.url);
-        // Check if URL is valid (has protocol and host)
-        if (!urlObj.protocol || !urlObj.hostname) {
-          throw new Error(`Invalid URL format: ${post.url}`);
+        problems.push(...checkCrosspostSource(await getCrosspostSource(account, crosspostFullname), post));
+      } catch (error) {
+        const redditError = interpretRequestError(error, { account, post });
+        problems.push({ severity: 'warning', code: redditError.code, message: `Could not look up the post to crosspost: ${redditError.message}` });
+      }
+    }
+  }
+  if (mediaType && !media) {
+    problems.push(...checkPostMedia(post));
+  }
+  const kind = getPostKind(post);
+  // A declared kind ("kind:" in the TXT file) has to match what the post turned out to be
+  if (post.kind && post.kind !== kind) {
+    problems.push({ severity: 'error', code: 'INVALID_REQUEST', message: `The post is declared as kind ${post.kind}, but it is a ${kind} post - check its URL, media and crosspost lines.` });
+  }
+  if (post.body && kind !== 'self') {
+    problems.push({ severity: 'warning', code: 'NO_TEXT', message: `Body text is only sent with text posts - this is a ${kind} post, so it is left out.` });
+  } else if (post.body && post.body.length > MAX_BODY_LENGTH) {
+    problems.push({ severity: 'error', code: 'TOO_LONG', message: `Body is ${post.body.length} characters - Reddit allows ${MAX_BODY_LENGTH}.` });
+  }
+  if (post.url && !mediaType && !crosspostFullname) {
+    validatePostUrl(post.url);
+  }
+
+  let flairId = post.flair_id || null;
+  const flairText = post.flair_text || null;
+
+  if (lookupFlairs && ((flairText && !flairId) || (flairId && checkFlairId))) {
+    try {
+      const flairs = await getLinkFlairs(account, post.subreddit);
+      if (flairId) {
+        if (!flairs.some(flair => flair.id === flairId)) {
+          problems.push({ severity: 'error', code: 'BAD_FLAIR_TEMPLATE_ID', message: `r/${post.subreddit} has no flair with id ${flairId}.` });
+        }
+      } else {
+        const match = flairs.find(flair => flair.text.trim().toLowerCase() === flairText.trim().toLowerCase());
+        if (match) {
+          flairId = match.id;
+        } else {
+          problems.push({ severity: 'warning', code: 'FLAIR_TEXT_WITHOUT_ID', message: `No flair named "${flairText}" in r/${post.subreddit} - the text is sent without an id and Reddit may reject it.` });
         }
-      } catch (e) {
-        throw new Error(`Invalid URL: ${post.url}. Please provide a valid URL (e.g., https://www.redgifs.com/watch/...)`);
       }
+    } catch (error) {
+      const redditError = interpretRequestError(error, { account, post });
+      problems.push({ severity: 'warning', code: redditError.code, message: `Could not look up flairs for r/${post.subreddit}: ${redditError.message}` });
     }
+  }
+
+  const options = resolvePostOptions(account, post);
+  const flair = {
+    ...(flairId && { flair_id: flairId }),
+    ...(flairText && !flairId && { flair_text: flairText })
+  };
+  const postOptions = {
+    nsfw: options.nsfw,
+    spoiler: options.spoiler,
+    sendreplies: options.sendreplies,
+    // Only subreddits with OC tags enabled accept this
+    ...(options.oc && { original_content: true })
+  };
 
-    const postData = {
+  if (mediaType === 'gallery') {
+    const data = {
+      api_type: 'json',
+      show_error_list: true,
       sr: post.subreddit,
       title: post.title,
-      kind: post.url ? 'link' : 'self',
-      ...(post.url && { url: post.url }),
-      ...(post.flair_id && { flair_id: post.flair_id }),
-      ...(post.flair_text && !post.flair_id && { flair_text: post.flair_text })
+      items: post.gallery.map((item, index) => ({
+        caption: item.caption || '',
+        outbound_url: item.outbound_url || '',
+        media_id: media?.assetIds?.[index] || `(asset id after uploading ${item.file})`
+      })),
+      ...flair,
+      ...postOptions
     };
+    return { path: '/api/submit_gallery_post.json', json: true, data, problems };
+  }
 
-    // Get proxy agents if configured
-    const { httpAgent, httpsAgent } = getProxyAgents(account);
-    const axiosConfig = {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'User-Agent': 'RedditPostAPI/1.0 by /u/yourusername'
-      }
-    };
-    
-    // Add proxy agents if available
-    if (httpAgent && httpsAgent) {
-      axiosConfig.httpAgent = httpAgent;
-      axiosConfig.httpsAgent = httpsAgent;
-      console.log(`[Proxy] Using proxy for post submission: ${account.proxy_type || 'http'}://${account.proxy_host}:${account.proxy_port}`);
-      console.log(`[Proxy] Posting to r/${post.subreddit} via proxy`);
-    } else {
-      console.log('[Proxy] No proxy configured - using direct connection for post submission');
+  const data = {
+    api_type: 'json', // Structured json.errors instead of jquery
+    sr: post.subreddit,
+    title: post.title,
+    kind,
+    ...(kind === 'self' && post.body && { text: post.body }),
+    ...(crosspostFullname && { crosspost_fullname: crosspostFullname }),
+    ...(mediaType && { url: media?.url || `(asset URL after uploading ${post.media.file})` }),
+    ...(mediaType === 'video' && (media?.posterUrl || post.media.poster) && {
+      video_poster_url: media?.posterUrl || `(asset URL after uploading ${post.media.poster})`
+    }),
+    ...(post.url && !mediaType && !crosspostFullname && { url: post.url }),
+    ...flair,
+    ...postOptions
+  };
+
+  return { path: '/api/submit', json: false, data, problems };
+}
+
+// Check that the account's proxy (if any) can reach the internet.
+// Returns { configured, reachable, ip, error }.
+async function checkProxy(account) {
+  const { httpAgent, httpsAgent } = getProxyAgents(account);
+  if (!httpAgent || !httpsAgent) {
+    return { configured: false, reachable: null, ip: null, error: null };
+  }
+
+  try {
+    const response = await axios.get('https://api.ipify.org?format=json', {
+      httpAgent,
+      httpsAgent,
+      timeout: 15000
+    });
+    return { configured: true, reachable: true, ip: response.data?.ip || null, error: null };
+  } catch (error) {
+    const proxyError = interpretRequestError(error, { account });
+    return { configured: true, reachable: false, ip: null, error: proxyError.message };
+  }
+}
+
+// Fail with RATELIMIT instead of calling Reddit when the account has to wait
+function checkRateLimit(accountId, options) {
+  const wait = getRateLimitWait(accountId, options);
+  if (wait > 0) {
+    throw new RedditError('RATELIMIT', `Rate limit reached for this account. Try again in ${wait} seconds.`, { retryAfter: wait });
+  }
+}
+
+// Authenticated request to oauth.reddit.com for an account, through its proxy.
+// Checks the account's rate limit budget first and records the one Reddit
+// reports back. Errors are left to the caller to interpret.
+// `data` is sent as a form, `json` as a JSON body.
+async function redditRequest(account, method, path, { accessToken = null, data = null, json = null, params = null, submitting = false, timeout = 30000 } = {}) {
+  checkRateLimit(account.id, { submitting });
+
+  const token = accessToken || await getAccessToken(account.id);
+
+  // Get proxy agents if configured
+  const { httpAgent, httpsAgent } = getProxyAgents(account);
+  const axiosConfig = {
+    method,
+    url: `https://oauth.reddit.com${path}`,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'User-Agent': 'RedditPostAPI/1.0 by /u/yourusername'
+    },
+    timeout // 30 second timeout for proxy connections by default
+  };
+  if (data) {
+    axiosConfig.data = new URLSearchParams(data);
+  } else if (json) {
+    axiosConfig.headers['Content-Type'] = 'application/json';
+    axiosConfig.data = json;
+  }
+  if (params) {
+    axiosConfig.params = params;
+  }
+
+  // Add proxy agents if available
+  if (httpAgent && httpsAgent) {
+    axiosConfig.httpAgent = httpAgent;
+    axiosConfig.httpsAgent = httpsAgent;
+    console.log(`[Proxy] Using proxy for ${method.toUpperCase()} ${path}: ${account.proxy_type || 'http'}://${account.proxy_host}:${account.proxy_port}`);
+  } else {
+    console.log(`[Proxy] No proxy configured - using direct connection for ${method.toUpperCase()} ${path}`);
+  }
+
+  try {
+    const response = await axios.request(axiosConfig);
+    recordRateLimitHeaders(account.id, response.headers);
+    return response;
+  } catch (error) {
+    recordRateLimitHeaders(account.id, error.response?.headers);
+    throw error;
+  }
+}
+
+// Lease an upload slot for a media file (/api/media/asset.json) and upload it
+// to the returned target through the account's proxy. Returns { url, assetId }:
+// image and video posts submit the URL, galleries the asset id.
+async function uploadMedia(account, file, accessToken = null) {
+  const mediaType = getMediaType(file);
+  const response = await redditRequest(account, 'post', '/api/media/asset.json', {
+    accessToken,
+    data: { filepath: path.basename(file), mimetype: mediaType.mimetype }
+  });
+
+  const lease = response.data?.args;
+  if (!lease?.action || !Array.isArray(lease.fields)) {
+    throw new RedditError('INVALID_RESPONSE', 'Reddit did not return an upload target for the media file.', { raw: response.data });
+  }
+
+  console.log(`[Reddit] Uploading ${file}`);
+  const url = await uploadToTarget(lease, file, { account, ...getProxyAgents(account) });
+  return { url, assetId: response.data.asset?.asset_id || null };
+}
+
+// Upload a post's media: a gallery's images in order ({ assetIds }), or an
+// image or video and a video's poster ({ url, posterUrl }).
+async function uploadPostMedia(account, post, accessToken) {
+  const error = checkPostMedia(post).find(problem => problem.severity === 'error');
+  if (error) {
+    throw new RedditError(error.code, error.message);
+  }
+
+  const mediaType = getPostMediaType(post);
+  if (mediaType === 'gallery') {
+    const assetIds = [];
+    for (const item of post.gallery) {
+      assetIds.push((await uploadMedia(account, item.file, accessToken)).assetId);
     }
+    return { assetIds };
+  }
 
-    const response = await axios.post(
-      'https://oauth.reddit.com/api/submit',
-      new URLSearchParams(postData),
-      {
-        ...axiosConfig,
-        timeout: 30000 // 30 second timeout for proxy connections
-      }
-    );
+  const { url } = await uploadMedia(account, post.media.file, accessToken);
+  const posterUrl = mediaType === 'video' ? (await uploadMedia(account, post.media.poster, accessToken)).url : null;
+  return { url, posterUrl };
+}
 
-    // Log full response for debugging
-    console.log('=== Reddit API Response ===');
-    console.log('Status:', response.status);
-    console.log('Headers:', response.headers);
-    console.log('Full Response Data:', JSON.stringify(response.data, null, 2));
-    console.log('Response Type:', typeof response.data);
-    console.log('Has json property:', !!response.data.json);
-    console.log('==========================');
-
-    // Check if response structure is different (jquery array format)
-    if (!response.data.json) {
-      console.error('Response does not have json property. Full response:', response.data);
-      
-      // Check if it's a jquery array response (Reddit sometimes returns this for both success and errors)
-      if (response.data.jquery && Array.isArray(response.data.jquery)) {
-        // First, check for error messages in the jquery array
-        const jqueryData = response.data.jquery;
-        let errorMessage = null;
-        
-        // Look for error messages in the jquery array
-        for (let i = 0; i < jqueryData.length; i++) {
-          const item = jqueryData[i];
-          if (Array.isArray(item) && item.length >= 4) {
-            // Check for 'call' action with error messages
-            if (item[2] === 'call' && Array.isArray(item[3]) && item[3].length > 0) {
-              const textContent = item[3][0];
-              if (typeof textContent === 'string' && textContent.length > 0) {
-                // Check for specific error messages
-                if (textContent.includes('Can\'t set flair_text without a flair_id') || 
-                    textContent.includes('flair_text without a flair_id')) {
-                  errorMessage = `Flair error: Cannot use flair_text without flair_id. This subreddit requires a valid flair_id. Please use "flair_id:..." in your TXT file instead of "flair:...".`;
-                  break;
-                } else if (textContent.includes('must contain post flair') || 
-                           textContent.includes('FLAIR_REQUIRED') ||
-                           textContent.includes('SUBMIT_VALIDATION_FLAIR_REQUIRED')) {
-                  errorMessage = `This subreddit (r/${post.subreddit}) REQUIRES post flair. Please add a valid flair_id using "flair_id:..." in your TXT file.`;
-                  break;
-                } else if (textContent.includes('Flair template not found') || 
-                           textContent.includes('BAD_FLAIR_TEMPLATE_ID')) {
-                  errorMessage = `Flair template not found. The flair_id "${post.flair_id || 'unknown'}" is invalid for r/${post.subreddit}. Please check the flair_id and make sure it belongs to this subreddit.`;
-                  break;
-                } else if (textContent.length > 10 && 
-                    (textContent.includes('error') || textContent.includes('Error') || 
-                     textContent.includes('must') || textContent.includes('required'))) {
-                  errorMessage = textContent;
-                  break;
-                }
-              }
-            }
-            // Check for 'text' action with error messages
-            else if (item[2] === 'text' && Array.isArray(item[3]) && item[3].length > 0) {
-              const textContent = item[3][0];
-              if (typeof textContent === 'string' && textContent.length > 10 && 
-                  (textContent.includes('error') || textContent.includes('Error') || 
-                   textContent.includes('must') || textContent.includes('required'))) {
-                errorMessage = textContent;
-                break;
-              }
-            }
-          }
-        }
-        
-        // If we found an error message, throw it
-        if (errorMessage) {
-          const error = new Error(errorMessage);
-          error.redditResponse = response.data;
-          throw error;
-        }
-        
-        // Check if success is true - this means the post was successful!
-        if (response.data.success === true) {
-          // Extract redirect URL from jquery array
-          const jqueryData = response.data.jquery;
-          let redirectUrl = null;
-          
-          // Look for redirect URL in the jquery array
-          // Pattern: [index, index, "attr", "redirect"], [index, index, "call", [URL]]
-          for (let i = 0; i < jqueryData.length; i++) {
-            const item = jqueryData[i];
-            if (Array.isArray(item) && item.length >= 4) {
-              // Check for redirect pattern
-              if (item[2] === 'call' && Array.isArray(item[3]) && item[3].length > 0) {
-                const callArg = item[3][0];
-                if (typeof callArg === 'string' && callArg.includes('reddit.com') && callArg.includes('/comments/')) {
-                  redirectUrl = callArg;
-                  break;
-                }
-              }
-            }
-          }
-          
-          // Extract post ID from redirect URL
-          let postId = null;
-          let postName = null;
-          if (redirectUrl) {
-            const match = redirectUrl.match(/\/comments\/([^\/]+)\//);
-            if (match) {
-              postId = match[1];
-              postName = `t3_${postId}`;
-            }
-          }
-          
-          return {
-            success: true,
-            postId: postId,
-            name: postName,
-            url: redirectUrl || 'N/A'
-          };
-        }
-        
-        // If success is false, it's an error
-        if (response.data.success === false) {
-          // Try to extract error message from jquery array
-          const jqueryData = response.data.jquery;
-          let errorMessage = 'Unknown error from Reddit API';
-          
-          // Look for error messages in the jquery array
-          for (let i = 0; i < jqueryData.length; i++) {
-            const item = jqueryData[i];
-            if (Array.isArray(item) && item.length >= 4) {
-              // Check for 'call' action with error messages
-              if (item[2] === 'call' && Array.isArray(item[3]) && item[3].length > 0) {
-                const textContent = item[3][0];
-                if (typeof textContent === 'string' && textContent.length > 0) {
-                  // Check for specific error messages
-                  if (textContent.includes('Can\'t set flair_text without a flair_id') || 
-                      textContent.includes('flair_text without a flair_id')) {
-                    errorMessage = `Flair error: Cannot use flair_text without flair_id. This subreddit requires a valid flair_id. Please use "flair_id:..." in your TXT file instead of "flair:...".`;
-                    break;
-                  } else if (textContent.includes('must contain post flair') || 
-                             textContent.includes('FLAIR_REQUIRED') ||
-                             textContent.includes('SUBMIT_VALIDATION_FLAIR_REQUIRED')) {
-                    errorMessage = `This subreddit (r/${post.subreddit}) REQUIRES post flair. Please add a valid flair_id using "flair_id:..." in your TXT file.`;
-                    break;
-                  } else if (textContent.includes('Flair template not found') || 
-                             textContent.includes('BAD_FLAIR_TEMPLATE_ID')) {
-                    errorMessage = `Flair template not found. The flair_id "${post.flair_id || 'unknown'}" is invalid for r/${post.subreddit}. Please check the flair_id and make sure it belongs to this subreddit.`;
-                    break;
-                  } else if (textContent.length > 10 && 
-                      (textContent.includes('error') || textContent.includes('Error') || 
-                       textContent.includes('must') || textContent.includes('required'))) {
-                    errorMessage = textContent;
-                    break;
-                  }
-                }
-              }
-              // Check for 'text' action with error messages
-              else if (item[2] === 'text' && Array.isArray(item[3]) && item[3].length > 0) {
-                const textContent = item[3][0];
-                if (typeof textContent === 'string' && textContent.length > 10 && 
-                    (textContent.includes('error') || textContent.includes('Error') || 
-                     textContent.includes('must') || textContent.includes('required'))) {
-                  errorMessage = textContent;
-                  break;
-                }
-              }
-            }
-          }
-          
-          if (errorMessage === 'Unknown error from Reddit API') {
-            errorMessage = 'Reddit API returned an error. The subreddit may have restrictions or the post may be invalid.';
-          }
-          
-          const error = new Error(errorMessage);
-          error.redditResponse = response.data;
-          throw error;
-        }
+// Media posts are processed after /api/submit answers, so there's no post id
+// in the response. Look for the new post among the account's latest submissions.
+// Lookup errors are logged and give null, unless rethrow is set.
+const MEDIA_POST_LOOKUP_ATTEMPTS = 3;
+const MEDIA_POST_LOOKUP_DELAY = 3000;
+
+async function findSubmittedPost(account, post, since, { rethrow = false } = {}) {
+  try {
+    const me = await redditRequest(account, 'get', '/api/v1/me');
+    for (let attempt = 1; attempt <= MEDIA_POST_LOOKUP_ATTEMPTS; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, MEDIA_POST_LOOKUP_DELAY));
+      const response = await redditRequest(account, 'get', `/user/${encodeURIComponent(me.data.name)}/submitted`, {
+        params: { sort: 'new', limit: 10, raw_json: 1 }
+      });
+      const match = (response.data?.data?.children || [])
+        .map(child => child.data)
+        .find(data => data.subreddit?.toLowerCase() === post.subreddit.toLowerCase() &&
+          data.title === post.title &&
+          data.created_utc * 1000 >= since.getTime() - 60 * 1000);
+      if (match) {
+        return { postId: match.id, name: match.name, url: `https://reddit.com${match.permalink}` };
       }
-      
-      const error = new Error('Unexpected response format from Reddit API. Check console for details.');
-      error.redditResponse = response.data;
-      throw error;
     }
+  } catch (error) {
+    const redditError = interpretRequestError(error, { account, post });
+    console.error(`[Reddit] Could not look up the new post in r/${post.subreddit} [${redditError.code}]:`, redditError.message);
+    if (rethrow) {
+      throw redditError;
+    }
+  }
+  return null;
+}
 
-    // Reddit API returns errors in json.errors array
-    if (response.data.json?.errors && response.data.json.errors.length > 0) {
-      const errorCode = response.data.json.errors[0][0];
-      const errorMessage = response.data.json.errors[0][1] || response.data.json.errors[0][0];
-      
-      // Common error codes and their meanings
-      let detailedMessage = errorMessage;
-      if (errorCode === 'SUBREDDIT_NOTALLOWED') {
-        detailedMessage = `You are not allowed to post in r/${post.subreddit}. You may need to join the subreddit or meet karma requirements.`;
-      } else if (errorCode === 'SUBREDDIT_NOEXIST') {
-        detailedMessage = `Subreddit r/${post.subreddit} does not exist.`;
-      } else if (errorCode === 'RATELIMIT') {
-        detailedMessage = `Rate limit exceeded. Please wait before posting again.`;
-      } else if (errorCode === 'ALREADY_SUB') {
-        detailedMessage = `This link has already been submitted to r/${post.subreddit}.`;
-      } else if (errorMessage && errorMessage.toLowerCase().includes('url')) {
-        detailedMessage = `Invalid URL: ${post.url}. Please check that the URL is valid and accessible.`;
-      } else if (errorMessage && errorMessage.toLowerCase().includes('domain')) {
-        detailedMessage = `Domain not allowed: The URL domain may not be allowed in this subreddit.`;
-      }
-      
-      throw new Error(detailedMessage);
+// One attempt at a submission. `progress` is shared by the attempts of a
+// submission (see submitPost): media uploaded by an earlier attempt is reused,
+// and once a submit request has gone out (submittedAt) a retry first looks for
+// the post - Reddit may have made it even though the answer was lost.
+async function uploadPost(post, accountId, progress = {}) {
+  let account = null;
+  try {
+    account = await getAccountById(accountId);
+    if (!account) {
+      throw new RedditError('ACCOUNT_NOT_FOUND', 'Account not found');
+    }
+
+    // Don't even ask for a token while Reddit wants us to wait
+    checkRateLimit(accountId, { submitting: true });
+    const accessToken = await getAccessToken(accountId);
+
+    if (getPostMediaType(post) && !progress.media) {
+      progress.media = await uploadPostMedia(account, post, accessToken);
     }
+    const media = progress.media || null;
+    const { path: submitPath, json, data: postData, problems } = await prepareSubmission(account, post, { media });
+    problems.forEach(problem => console.log(`[Reddit] r/${post.subreddit}: ${problem.message}`));
+    // E.g. a crosspost source that was removed - Reddit's own error for it says much less
+    const blocking = problems.find(problem => problem.severity === 'error');
+    if (blocking) {
+      throw new RedditError(blocking.code, blocking.message);
+    }
+
+    // Without a successful lookup the post isn't submitted again - a failed
+    // lookup fails this attempt instead
+    const earlier = progress.submittedAt ? await findSubmittedPost(account, post, progress.submittedAt, { rethrow: true }) : null;
+
+    let result;
+    if (earlier) {
+      console.log(`[Reddit] The earlier attempt for r/${post.subreddit} went through: ${earlier.url}`);
+      result = { success: true, ...earlier };
+    } else {
+      console.log(`[Reddit] Posting to r/${post.subreddit}`);
+      const submittedAt = new Date();
+      progress.submittedAt = progress.submittedAt || submittedAt;
+      const response = await redditRequest(account, 'post', submitPath, {
+        accessToken,
+        ...(json ? { json: postData } : { data: postData }),
+        submitting: true
+      });
 
-    // Check if submission was successful
-    if (!response.data.json?.data) {
-      // Log the full response to see what we got
-      console.error('No data in response. Full response:', JSON.stringify(response.data, null, 2));
-      
-      // Check if there's a ratelimit message
-      if (response.data.ratelimit) {
-        const error = new Error(`Rate limit: You can post again in ${Math.ceil(response.data.ratelimit)} seconds.`);
-        error.redditResponse = response.data;
-        throw error;
+      console.log(`[Reddit] Submit response for r/${post.subreddit}:`, JSON.stringify(response.data));
+
+      result = interpretSubmitResponse(response.data, post);
+      if (result.pending) {
+        const found = await findSubmittedPost(account, post, submittedAt);
+        result = found ? { ...result, ...found, pending: false } : result;
       }
-      
-      const error = new Error('Failed to submit post - no data returned. The subreddit may have restrictions (karma, account age, verification).');
-      error.redditResponse = response.data;
-      throw error;
     }
 
     return {
-      success: true,
-      postId: response.data.json.data.id,
-      name: response.data.json.data.name,
-      url: `https://reddit.com${response.data.json.data.permalink}`
+      ...result,
+      // What was actually sent (flair text may have been resolved to an id)
+      kind: postData.kind || getPostMediaType(post),
+      flair_id: postData.flair_id || null,
+      text: postData.text || null,
+      crosspost_fullname: postData.crosspost_fullname || null
     };
   } catch (error) {
-    console.error('Error uploading post:', error.response?.data || error.message);
-    
-    // Check if it's a proxy connection error
-    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT' || error.message?.includes('proxy')) {
-      throw new Error(`Proxy connection failed: ${error.message}. Please check your proxy settings (${account.proxy_host}:${account.proxy_port})`);
+    const redditError = interpretRequestError(error, { account, post });
+    console.error(`Error uploading post [${redditError.code}]:`, redditError.message);
+
+    // The access token was rejected - get a fresh one next time
+    if (redditError.code === 'AUTH_INVALID') {
+      clearAccessToken(accountId);
     }
-    
-    // Extract error message from Reddit API response
-    if (error.response?.data?.json?.errors) {
-      const errorMessage = error.response.data.json.errors[0][1] || error.response.data.json.errors[0][0];
-      throw new Error(errorMessage);
+
+    // Reddit asked us to wait before submitting again
+    if (redditError.code === 'RATELIMIT') {
+      recordSubmitWait(accountId, redditError.retryAfter);
     }
-    
-    throw new Error(error.response?.data?.message || error.message || 'Failed to upload post');
+
+    throw redditError;
   }
 }
 
-function getRandomDelay(delayFrom, delayUpTo) {
-  const from = parseInt(delayFrom) || 0;
-  const upTo = parseInt(delayUpTo) || 0;
-  if (from >= upTo) return from;
-  return Math.floor(Math.random() * (upTo - from + 1)) + from;
-}
+// uploadPost, retried with backoff on transient failures (timeouts, proxy
+// resets, 5xx) - media is uploaded once, and a retry after the submit request
+// went out only submits again if the post isn't on the account's profile.
+// The result - or the final error - carries the number of attempts.
+// Every submission is recorded in the submissions table (jobId links it to its
+// job), except posts held back by the rate limit.
+// Links already posted by the account to the subreddit fail with
+// DUPLICATE_SUBMISSION without calling Reddit, unless resubmit is set
+// (for the call or on the post). shouldContinue can stop the retries (see
+// withRetry); the error then says whether a submit request had gone out
+// (error.submitSent).
+async function submitPost(post, accountId, { onRetry, shouldContinue, jobId = null, resubmit = false } = {}) {
+  // Skip links this account already posted there, unless asked to post them again
+  if (!resubmit && !post.resubmit) {
+    const duplicate = await findDuplicateSubmission(post, accountId);
+    if (duplicate) {
+      const error = new RedditError(
+        'DUPLICATE_SUBMISSION',
+        `Already posted to r/${duplicate.subreddit} on ${new Date(duplicate.created_at).toISOString().slice(0, 10)}${duplicate.permalink ? ` (${duplicate.permalink})` : ''}. Use resubmit to post it again.`,
+        { raw: { duplicateOf: duplicate } }
+      );
+      error.duplicateOf = duplicate;
+      throw error;
+    }
+  }
 
-async function uploadAllPosts(posts, accountId, delayFrom, delayUpTo, progressCallback) {
-  const validPosts = posts.filter(p => p.isValid);
-  const uploadId = Date.now().toString();
-  
-  uploadProgress[uploadId] = {
-    total: validPosts.length,
-    current: 0,
-    completed: [],
-    failed: []
-  };
+  const createdAt = new Date();
+  const progress = {};
+  let posted;
+  try {
+    posted = await withRetry(() => uploadPost(post, accountId, progress), { onRetry, shouldContinue });
+  } catch (error) {
+    error.submitSent = !!progress.submittedAt;
+    // Nothing to attach a record to without an account. A rate-limited post
+    // wasn't refused - it's tried again after the wait (jobs put it back), so
+    // it isn't a failure for the history or analytics. Neither is a post whose
+    // retries were stopped before anything reached Reddit.
+    const recorded = error.code !== 'ACCOUNT_NOT_FOUND' && error.code !== 'RATELIMIT' &&
+      !(error.stopped && !error.submitSent);
+    const submission = recorded ? await recordSubmission(post, accountId, jobId, createdAt, {
+      status: 'failed',
+      error_code: error.code || 'UNKNOWN',
+      error: error.message,
+      attempts: error.attempts || 1
+    }) : null;
+    error.submissionId = submission?.id || null;
+    throw error;
+  }
 
-  for (let i = 0; i < validPosts.length; i++) {
-    try {
-      const result = await uploadPost(validPosts[i], accountId);
-      uploadProgress[uploadId].current = i + 1;
-      uploadProgress[uploadId].completed.push({
-        post: validPosts[i],
-        result
-      });
+  // The post is live from here on - neither the comment nor the history
+  // record can turn it into a failure (both report their own errors)
+  const { result, attempts } = posted;
+  const comment = post.comment ? await postFirstComment(post, accountId, result.name) : null;
+  const submission = await recordSubmission(post, accountId, jobId, createdAt, {
+    status: 'posted',
+    kind: result.kind,
+    flair_id: result.flair_id,
+    reddit_id: result.postId,
+    fullname: result.name,
+    permalink: result.url,
+    body: result.text,
+    attempts,
+    submitted_at: new Date(),
+    ...(comment && {
+      comment_id: comment.id,
+      comment_error_code: comment.code,
+      comment_error: comment.error
+    })
+  });
+  return { ...result, attempts, comment, submissionId: submission?.id || null };
+}
 
-      if (progressCallback) {
-        progressCallback({
-          current: i + 1,
-          total: validPosts.length,
-          post: validPosts[i]
-        });
-      }
+// Reply to a new post with its first comment (/api/comment), e.g. the source
+// a subreddit asks for. Transient failures are retried; any other failure is
+// returned rather than thrown, since the post itself is up.
+// Returns { success, id, code, error }.
+async function postFirstComment(post, accountId, fullname) {
+  if (!fullname) {
+    return { success: false, id: null, code: 'INVALID_RESPONSE', error: 'Reddit did not return the new post\'s id, so the comment could not be posted.' };
+  }
 
-      // Add delay before next post (except for last one)
-      if (i < validPosts.length - 1) {
-        const delay = getRandomDelay(delayFrom, delayUpTo);
-        await new Promise(resolve => setTimeout(resolve, delay * 1000));
-      }
-    } catch (error) {
-      uploadProgress[uploadId].failed.push({
-        post: validPosts[i],
-        error: error.message
+  let account = null;
+  try {
+    account = await getAccountById(accountId);
+    const { result: thing } = await withRetry(async () => {
+      console.log(`[Reddit] Commenting on ${fullname} in r/${post.subreddit}`);
+      const response = await redditRequest(account, 'post', '/api/comment', {
+        data: { api_type: 'json', thing_id: fullname, text: post.comment }
       });
+      return interpretJsonResponse(response.data, post)?.things?.[0]?.data || null;
+    });
+    return { success: true, id: thing?.id?.replace(/^t1_/, '') || null, code: null, error: null };
+  } catch (error) {
+    const redditError = interpretRequestError(error, { account, post });
+    console.error(`[Reddit] Could not comment on ${fullname} [${redditError.code}]:`, redditError.message);
+    if (redditError.code === 'AUTH_INVALID') {
+      clearAccessToken(accountId);
     }
+    return { success: false, id: null, code: redditError.code, error: redditError.message };
+  }
+}
+
+// Save a submission to the history. A failure here is only logged - the post
+// itself already went through (or didn't), and that's what the caller needs to know.
+async function recordSubmission(post, accountId, jobId, createdAt, outcome) {
+  const url = ['link', 'self'].includes(getPostKind(post)) ? post.url : null;
+  try {
+    return await addSubmission({
+      account_id: accountId,
+      job_id: jobId,
+      subreddit: post.subreddit,
+      title: post.title,
+      url,
+      normalized_url: normalizeUrl(url),
+      flair_id: post.flair_id,
+      flair_text: post.flair_text,
+      kind: getPostKind(post),
+      crosspost_fullname: parseCrosspostSource(post.crosspost),
+      comment: post.comment || null,
+      created_at: createdAt,
+      ...outcome
+    });
+  } catch (error) {
+    console.error(`[History] Could not record submission to r/${post.subreddit}:`, error.message);
+    return null;
+  }
+}
+
+// The account that made a submission - changes to a post have to come from it
+async function getSubmissionAccount(submission) {
+  const account = submission.account_id ? await getAccountById(submission.account_id) : null;
+  if (!account) {
+    throw new RedditError('ACCOUNT_NOT_FOUND', 'The account that made this post no longer exists.');
+  }
+  return account;
+}
+
+// Errors of /api/del and /api/editusertext. Both need the 'edit' scope, which
+// accounts authorized before it was requested don't have.
+function interpretChangeError(error, account, submission) {
+  const redditError = interpretRequestError(error, { account, post: { subreddit: submission.subreddit } });
+  if (redditError.code === 'AUTH_INVALID') {
+    clearAccessToken(account.id);
+  }
+  if (redditError.code === 'FORBIDDEN') {
+    return new RedditError('FORBIDDEN', 'Reddit refused to change this post. Authorize the account again to grant the "edit" permission.', { raw: redditError.raw });
+  }
+  return redditError;
+}
+
+// Delete a submitted post on Reddit (/api/del)
+async function deleteSubmission(submission) {
+  const account = await getSubmissionAccount(submission);
+  try {
+    console.log(`[Reddit] Deleting ${submission.fullname} in r/${submission.subreddit}`);
+    await redditRequest(account, 'post', '/api/del', { data: { id: submission.fullname } });
+  } catch (error) {
+    throw interpretChangeError(error, account, submission);
   }
+}
 
-  return uploadProgress[uploadId];
+// Replace the text of a submitted self-post (/api/editusertext).
+// Returns the text Reddit saved.
+async function editSubmissionText(submission, text) {
+  const account = await getSubmissionAccount(submission);
+  try {
+    console.log(`[Reddit] Editing ${submission.fullname} in r/${submission.subreddit}`);
+    const response = await redditRequest(account, 'post', '/api/editusertext', {
+      data: { api_type: 'json', thing_id: submission.fullname, text }
+    });
+    const thing = interpretJsonResponse(response.data, { subreddit: submission.subreddit })?.things?.[0]?.data;
+    return thing?.selftext ?? text;
+  } catch (error) {
+    throw interpretChangeError(error, account, submission);
+  }
 }
 
-function getUploadProgress(uploadId) {
-  return uploadProgress[uploadId] || null;
+function getRandomDelay(delayFrom, delayUpTo) {
+  const from = parseInt(delayFrom) || 0;
+  const upTo = parseInt(delayUpTo) || 0;
+  if (from >= upTo) return from;
+  return Math.floor(Math.random() * (upTo - from + 1)) + from;
 }
 
 module.exports = {
   uploadPost,
-  uploadAllPosts,
-  getUploadProgress,
+  submitPost,
+  deleteSubmission,
+  editSubmissionText,
+  prepareSubmission,
+  resolvePostOptions,
+  getPostMediaType,
+  POST_OPTION_DEFAULTS,
+  checkProxy,
+  getLinkFlairs,
+  redditRequest,
+  getRandomDelay,
   getProxyAgents,
-  getAccessToken
+  getAccessToken,
+  clearAccessToken
 };
 
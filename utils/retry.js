@@ -0,0 +1,79 @@
+// Retry for transient failures (timeouts, proxy connection resets, 5xx from
+// Reddit) with exponential backoff and jitter. Only errors marked retryable in
+// utils/errors.js are retried - RATELIMIT is left to the caller, since Reddit
+// says exactly how long to wait (jobs reschedule the post for that time).
+
+// Read a whole number from the environment, falling back to the default
+function envInt(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+// Defaults, configurable through .env:
+// SUBMIT_MAX_ATTEMPTS - attempts per post including the first one (1 = no retries)
+// SUBMIT_RETRY_BASE_DELAY / SUBMIT_RETRY_MAX_DELAY - backoff in milliseconds
+const RETRY_DEFAULTS = {
+  maxAttempts: Math.max(1, envInt('SUBMIT_MAX_ATTEMPTS', 3)),
+  baseDelay: envInt('SUBMIT_RETRY_BASE_DELAY', 2000),
+  maxDelay: envInt('SUBMIT_RETRY_MAX_DELAY', 30000)
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isTransientError(error) {
+  return !!error?.retryable && error.code !== 'RATELIMIT';
+}
+
+// Backoff before the retry that follows `attempt`: doubles every attempt up to
+// maxDelay, half of it random so retries from several jobs don't line up
+function getRetryDelay(attempt, { baseDelay, maxDelay } = RETRY_DEFAULTS) {
+  const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+// Run fn(attempt) until it succeeds, fails with a non-transient error or runs
+// out of attempts. Resolves to { result, attempts }; a final error gets
+// error.attempts. onRetry(error, attempt, delay) is called before each wait.
+// shouldContinue() (may be async) is asked before and after each wait - when
+// it says no, the last error is thrown with error.stopped set.
+async function withRetry(fn, options = {}) {
+  const { maxAttempts, baseDelay, maxDelay } = { ...RETRY_DEFAULTS, ...options };
+  const { onRetry, shouldContinue } = options;
+  const stopIfAsked = async (error) => {
+    if (shouldContinue && !(await shouldContinue())) {
+      console.log(`[Retry] Stopped after attempt ${error.attempts} [${error.code}]`);
+      error.stopped = true;
+      throw error;
+    }
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fn(attempt);
+      return { result, attempts: attempt };
+    } catch (error) {
+      error.attempts = attempt;
+      if (attempt >= maxAttempts || !isTransientError(error)) {
+        throw error;
+      }
+
+      await stopIfAsked(error);
+      const delay = getRetryDelay(attempt, { baseDelay, maxDelay });
+      console.log(`[Retry] Attempt ${attempt}/${maxAttempts} failed [${error.code}], retrying in ${delay}ms`);
+      if (onRetry) {
+        await onRetry(error, attempt, delay);
+      }
+      await sleep(delay);
+      await stopIfAsked(error);
+    }
+  }
+}
+
+module.exports = {
+  RETRY_DEFAULTS,
+  isTransientError,
+  getRetryDelay,
+  withRetry
+};
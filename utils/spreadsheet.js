@@ -0,0 +1,210 @@
+// CSV and XLSX post batches: one post per row, with a header row naming the
+// columns. Rows become the same post objects (and diagnostics) as a TXT file
+// (see utils/parser.js), so the rest of the app doesn't care where they came from.
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+const { buildPost, diagnostic, parseValueDirective } = require('./parser');
+const { RedditError } = require('./errors');
+
+// Columns a sheet can have, in the order they're documented
+const COLUMNS = ['subreddit', 'title', 'url', 'flair_id', 'flair_text', 'body', 'nsfw', 'schedule'];
+const REQUIRED_COLUMNS = ['subreddit', 'title'];
+
+const BOOLEAN_VALUES = { yes: true, true: true, on: true, 1: true, no: false, false: false, off: false, 0: false };
+
+// "Flair ID" and "flair-id" mean flair_id
+function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Split CSV text into records ({ line, fields }), RFC 4180 style: quoted
+// fields can hold the delimiter, newlines and "" for a quote. line is where
+// the record starts. The delimiter is whichever of , ; or tab the header row
+// uses most - spreadsheet apps in some locales export with semicolons.
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.slice(0, content.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    records.push({ line: recordLine, fields });
+    fields = [];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+// Text of an XLSX cell value (rich text, hyperlinks, formulas, dates...)
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if (value.hyperlink) return String(value.text?.richText ? cellText(value.text) : (value.text || value.hyperlink));
+  if ('result' in value) return cellText(value.result);
+  if (value.error) return '';
+  return String(value.text ?? '');
+}
+
+// Turn rows ({ line, cells }) into { posts, diagnostics }. The first row is
+// the header; unknown columns are reported and ignored.
+function rowsToPosts(rows) {
+  const posts = [];
+  const diagnostics = [];
+  if (rows.length === 0) {
+    return { posts, diagnostics: [diagnostic('error', 1, '', 'The file is empty - it needs a header row and one row per post.')] };
+  }
+
+  const [header, ...dataRows] = rows;
+  const headers = header.cells.map(cellText);
+  const columns = headers.map(normalizeHeader);
+  columns.forEach((column, index) => {
+    if (column && !COLUMNS.includes(column)) {
+      diagnostics.push(diagnostic('warning', header.line, headers[index], `Unknown column "${headers[index]}" - it is ignored. Columns: ${COLUMNS.join(', ')}.`));
+    }
+  });
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    diagnostics.push(diagnostic('error', header.line, headers.join(', '), `The header row has no ${missing.join(' or ')} column.`));
+    return { posts, diagnostics };
+  }
+
+  for (const row of dataRows) {
+    const values = {};
+    columns.forEach((column, index) => {
+      if (COLUMNS.includes(column)) {
+        const cell = row.cells[index];
+        // A linked cell in the url column posts its link, not the text shown
+        values[column] = (column === 'url' && cell?.hyperlink ? cell.hyperlink : cellText(cell)).trim();
+      }
+    });
+    // Blank rows between posts are fine
+    if (Object.values(values).every(value => value === '')) {
+      continue;
+    }
+
+    const rowDiagnostics = [];
+    const report = (severity, text, message) => rowDiagnostics.push(diagnostic(severity, row.line, text, message));
+    const currentPost = {
+      subreddit: values.subreddit ? values.subreddit.replace(/^\/?r\//i, '') : '',
+      title: values.title || '',
+      url: null,
+      flair_id: values.flair_id || null,
+      flair_text: values.flair_text || null,
+      // Keep the body's line breaks, only trim around it
+      body: values.body ? cellText(row.cells[columns.indexOf('body')]).replace(/\r\n/g, '\n').replace(/^(\s*\n)+|\s+$/g, '') : null
+    };
+
+    if (/^https?:\/\//i.test(values.url || '')) {
+      currentPost.url = values.url;
+    } else if (values.url) {
+      report('warning', values.url, 'Only http:// and https:// links can be posted - the url is ignored.');
+    }
+    if (values.nsfw) {
+      const nsfw = BOOLEAN_VALUES[values.nsfw.toLowerCase()];
+      if (nsfw === undefined) {
+        report('warning', values.nsfw, 'Use yes or no for nsfw - the value is ignored.');
+      } else {
+        currentPost.nsfw = nsfw;
+      }
+    }
+    if (values.schedule) {
+      const problem = parseValueDirective('schedule', values.schedule, currentPost);
+      if (problem) {
+        report('warning', values.schedule, `The schedule is ignored: ${problem}.`);
+      }
+    }
+
+    const post = buildPost(currentPost, posts.length + 1);
+    const rowText = row.cells.map(cellText).join(', ');
+    if (!post) {
+      diagnostics.push(diagnostic('error', row.line, rowText, 'No subreddit in this row - the post is skipped.'), ...rowDiagnostics);
+      continue;
+    }
+    posts.push(post);
+    if (!post.hasTitle) {
+      rowDiagnostics.unshift(diagnostic('error', row.line, rowText, 'The post has no title - it can\'t be posted.'));
+    }
+    rowDiagnostics.forEach(item => { item.postId = post.id; });
+    diagnostics.push(...rowDiagnostics);
+  }
+
+  return { posts, diagnostics };
+}
+
+// Parse a CSV file. Returns { posts, diagnostics } like parseTxtFile.
+function parseCsvFile(filePath) {
+  const records = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  return rowsToPosts(records.map(record => ({ line: record.line, cells: record.fields })));
+}
+
+// Parse the first sheet of an XLSX file. Returns { posts, diagnostics }, with
+// sheet row numbers as line numbers.
+async function parseXlsxFile(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.readFile(filePath);
+  } catch (error) {
+    throw new RedditError('INVALID_REQUEST', `Could not read the spreadsheet: ${error.message}`);
+  }
+
+  const sheet = workbook.worksheets[0];
+  const rows = [];
+  if (sheet) {
+    sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      // row.values is 1-based
+      rows.push({ line: rowNumber, cells: Array.from(row.values.slice(1)) });
+    });
+  }
+  return rowsToPosts(rows);
+}
+
+module.exports = {
+  COLUMNS,
+  parseCsv,
+  parseCsvFile,
+  parseXlsxFile
+};
@@ -0,0 +1,142 @@
+// Background status checker for submitted posts. "Posted" only means
+// /api/submit accepted the post - AutoModerator or the spam filter often
+// remove it minutes later. This polls /api/info for recently submitted
+// fullnames (as the account that posted them) and records what happened,
+// along with a snapshot of score, upvote ratio and comment count.
+const { getAccountById, getSubmissionsToCheck, updateSubmissionStatus, addSubmissionMetrics } = require('../db/database');
+const { redditRequest } = require('./reddit');
+const { interpretRequestError } = require('./errors');
+
+// How often to look for submissions that are due for a check
+const TRACKER_INTERVAL = 60 * 1000;
+
+// Stop checking posts this long after they were submitted
+const TRACK_WINDOW_HOURS = 72;
+
+// /api/info takes up to 100 fullnames per request
+const INFO_BATCH_SIZE = 100;
+
+let trackerTimer = null;
+let checking = false;
+
+// Work out a post's status from its /api/info data (null = not returned, i.e. gone).
+// removed_by_category is set for removed posts: 'moderator', 'automod_filtered',
+// 'reddit' (spam filter / admins), 'deleted' or 'author' (the author deleted it), ...
+function interpretPostStatus(data) {
+  if (!data) {
+    return { reddit_status: 'deleted', removed_by_category: null, is_removed: null, is_spam: null, is_visible: false };
+  }
+
+  const category = data.removed_by_category || null;
+  const isSpam = !!data.spam || category === 'reddit';
+  const isRemoved = !!data.removed || (!!category && !['deleted', 'author'].includes(category));
+
+  let status = 'live';
+  if (category === 'deleted' || category === 'author' || data.author === '[deleted]') {
+    status = 'deleted';
+  } else if (isSpam) {
+    status = 'spam';
+  } else if (isRemoved) {
+    status = 'removed';
+  }
+
+  return {
+    reddit_status: status,
+    removed_by_category: category,
+    is_removed: isRemoved,
+    is_spam: isSpam,
+    is_visible: status === 'live'
+  };
+}
+
+// Engagement numbers from a post's /api/info data
+function interpretPostMetrics(data) {
+  return {
+    score: Number.isFinite(data.score) ? data.score : null,
+    upvote_ratio: Number.isFinite(data.upvote_ratio) ? data.upvote_ratio : null,
+    num_comments: Number.isFinite(data.num_comments) ? data.num_comments : null
+  };
+}
+
+// Fetch /api/info for a batch of fullnames: Map fullname -> post data
+async function fetchPostInfo(account, fullnames) {
+  const response = await redditRequest(account, 'get', '/api/info', {
+    params: { id: fullnames.join(','), raw_json: 1 }
+  });
+  const children = response.data?.data?.children || [];
+  return new Map(children.map(child => [child.data.name, child.data]));
+}
+
+// Check a list of submissions of one account
+async function checkAccountSubmissions(accountId, submissions) {
+  const account = await getAccountById(accountId);
+  if (!account) {
+    return;
+  }
+
+  for (let i = 0; i < submissions.length; i += INFO_BATCH_SIZE) {
+    const batch = submissions.slice(i, i + INFO_BATCH_SIZE);
+    let info;
+    try {
+      info = await fetchPostInfo(account, batch.map(submission => submission.fullname));
+    } catch (error) {
+      const redditError = interpretRequestError(error, { account });
+      console.error(`[Tracker] Could not check posts of account ${accountId} [${redditError.code}]:`, redditError.message);
+      return; // Try again on the next pass
+    }
+
+    for (const submission of batch) {
+      const data = info.get(submission.fullname);
+      const status = interpretPostStatus(data);
+      if (status.reddit_status !== submission.reddit_status && submission.reddit_status) {
+        console.log(`[Tracker] ${submission.fullname} in r/${submission.subreddit}: ${submission.reddit_status} -> ${status.reddit_status}`);
+      }
+      await updateSubmissionStatus(submission.id, status);
+      if (data) {
+        await addSubmissionMetrics(submission.id, interpretPostMetrics(data));
+      }
+    }
+  }
+}
+
+// One pass: check every submission that is due, account by account
+async function checkSubmissions() {
+  if (checking) {
+    return;
+  }
+  checking = true;
+
+  try {
+    const submissions = await getSubmissionsToCheck(TRACK_WINDOW_HOURS);
+    const byAccount = new Map();
+    submissions.forEach(submission => {
+      if (!byAccount.has(submission.account_id)) {
+        byAccount.set(submission.account_id, []);
+      }
+      byAccount.get(submission.account_id).push(submission);
+    });
+
+    for (const [accountId, accountSubmissions] of byAccount) {
+      await checkAccountSubmissions(accountId, accountSubmissions);
+    }
+  } catch (error) {
+    console.error('[Tracker] Error checking submissions:', error);
+  } finally {
+    checking = false;
+  }
+}
+
+function startTracker() {
+  if (trackerTimer) {
+    return;
+  }
+  console.log('[Tracker] Status checker started');
+  trackerTimer = setInterval(checkSubmissions, TRACKER_INTERVAL);
+  checkSubmissions();
+}
+
+module.exports = {
+  startTracker,
+  checkSubmissions,
+  interpretPostStatus
+};